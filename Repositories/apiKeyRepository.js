@@ -0,0 +1,51 @@
+/**
+ * @file apiKeyRepository.js
+ * @description
+ * Repository class to handle direct database operations for the ApiKey model.
+ *
+ * Methods:
+ * - async create(keyData)
+ * - async findByHash(keyHash)
+ * - async findById(id)
+ * - async findAll()
+ * - async revoke(id)
+ * - async touch(id, usedAt)
+ */
+
+import ApiKey from "../models/apiKeyModel.js";
+
+export default class ApiKeyRepository {
+  // -------------------- Create API key --------------------
+  async create(keyData) {
+    return ApiKey.create(keyData);
+  }
+
+  // -------------------- Find API key by hash --------------------
+  async findByHash(keyHash) {
+    return ApiKey.findOne({ keyHash });
+  }
+
+  // -------------------- Find API key by id --------------------
+  async findById(id) {
+    return ApiKey.findById(id);
+  }
+
+  // -------------------- List API keys --------------------
+  async findAll() {
+    return ApiKey.find().sort({ createdAt: -1 });
+  }
+
+  // -------------------- Revoke API key --------------------
+  async revoke(id) {
+    return ApiKey.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // -------------------- Record usage --------------------
+  async touch(id, usedAt) {
+    return ApiKey.updateOne({ _id: id }, { lastUsedAt: usedAt });
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * @file categoryRepository.js
+ * @description
+ * Repository class to handle direct database operations for the Category model.
+ *
+ * Methods:
+ * - async create(categoryData)
+ * - async findById(id)
+ * - async findBySlug(slug)
+ * - async findAll()
+ *   - Every category as plain objects, in display order.
+ * - async findDescendants(id)
+ * - async countChildren(id)
+ * - async update(category, updateData)
+ * - async moveDescendants(id, oldDepth, newAncestors)
+ *   - Rewrites the ancestors of every descendant after a category moved:
+ *     the first oldDepth entries are replaced by newAncestors.
+ * - async deleteById(id)
+ */
+
+import Category from "../models/categoryModel.js";
+
+export default class CategoryRepository {
+  // -------------------- Create category --------------------
+  async create(categoryData) {
+    return Category.create(categoryData);
+  }
+
+  // -------------------- Find category by id --------------------
+  async findById(id) {
+    return Category.findById(id);
+  }
+
+  // -------------------- Find category by slug --------------------
+  async findBySlug(slug) {
+    return Category.findOne({ slug });
+  }
+
+  // -------------------- List all categories --------------------
+  async findAll() {
+    return Category.find().sort({ order: 1, name: 1 }).lean();
+  }
+
+  // -------------------- List descendants --------------------
+  async findDescendants(id) {
+    return Category.find({ ancestors: id });
+  }
+
+  // -------------------- Count direct children --------------------
+  async countChildren(id) {
+    return Category.countDocuments({ parent: id });
+  }
+
+  // -------------------- Update category --------------------
+  async update(category, updateData) {
+    Object.assign(category, updateData);
+    return category.save();
+  }
+
+  // -------------------- Move descendants --------------------
+  async moveDescendants(id, oldDepth, newAncestors) {
+    return Category.updateMany({ ancestors: id }, [
+      {
+        $set: {
+          ancestors: {
+            $concatArrays: [
+              newAncestors,
+              {
+                $slice: ["$ancestors", oldDepth, { $size: "$ancestors" }],
+              },
+            ],
+          },
+        },
+      },
+    ]);
+  }
+
+  // -------------------- Delete category --------------------
+  async deleteById(id) {
+    return Category.findByIdAndDelete(id);
+  }
+}
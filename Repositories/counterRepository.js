@@ -0,0 +1,36 @@
+/**
+ * @file counterRepository.js
+ * @description
+ * Repository class to handle direct database operations for the Counter model.
+ *
+ * Methods:
+ * - async next(name)
+ *   - Atomically increments a sequence (created at 0 on first use) and
+ *     returns the new number
+ * - async seed(name, value)
+ *   - Raises a sequence to at least `value`; never lowers it
+ */
+
+import Counter from "../models/counterModel.js";
+
+export default class CounterRepository {
+  // -------------------- Next number --------------------
+  async next(name) {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+
+    return counter.seq;
+  }
+
+  // -------------------- Seed a sequence --------------------
+  async seed(name, value) {
+    await Counter.updateOne(
+      { _id: name },
+      { $max: { seq: value } },
+      { upsert: true }
+    );
+  }
+}
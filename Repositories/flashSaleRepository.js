@@ -0,0 +1,103 @@
+/**
+ * @file flashSaleRepository.js
+ * @description
+ * Repository class to handle direct database operations for flash sales and
+ * their per-customer usage counters.
+ *
+ * Methods:
+ * - async create(saleData)
+ * - async findById(id)
+ * - async findWithPagination(filter, options)
+ * - async count(filter)
+ * - async update(sale, updates)
+ * - async deleteById(id)
+ * - async findOverlapping(productIds, startsAt, endsAt, excludeId)
+ *   - Sales covering any of the products whose window overlaps the given one
+ * - async claimUsage(saleId, userId, quantity, limit)
+ *   - Atomically adds units to a customer's counter if it stays within the
+ *     limit. Returns the counter, or null when the limit would be exceeded.
+ * - async releaseUsage(saleId, userId, quantity)
+ * - async deleteUsage(saleId)
+ */
+
+import FlashSale from "../models/flashSaleModel.js";
+import FlashSaleUsage from "../models/flashSaleUsageModel.js";
+
+const DUPLICATE_KEY = 11000;
+
+export default class FlashSaleRepository {
+  // -------------------- Create sale --------------------
+  async create(saleData) {
+    return FlashSale.create(saleData);
+  }
+
+  // -------------------- Find sale by id --------------------
+  async findById(id) {
+    return FlashSale.findById(id);
+  }
+
+  // -------------------- Find sales with pagination --------------------
+  async findWithPagination(filter, options) {
+    return FlashSale.find(filter)
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit);
+  }
+
+  // -------------------- Count sales --------------------
+  async count(filter) {
+    return FlashSale.countDocuments(filter);
+  }
+
+  // -------------------- Update sale --------------------
+  async update(sale, updates) {
+    Object.assign(sale, updates);
+    return sale.save();
+  }
+
+  // -------------------- Delete sale --------------------
+  async deleteById(id) {
+    return FlashSale.findByIdAndDelete(id);
+  }
+
+  // -------------------- Find overlapping sales --------------------
+  async findOverlapping(productIds, startsAt, endsAt, excludeId = null) {
+    return FlashSale.find({
+      ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+      "items.product": { $in: productIds },
+      startsAt: { $lt: endsAt },
+      endsAt: { $gt: startsAt },
+    }).lean();
+  }
+
+  // -------------------- Per-customer usage --------------------
+  async claimUsage(saleId, userId, quantity, limit) {
+    // An upsert inserting the first counter ignores the range condition below,
+    // so a claim above the whole limit never reaches it
+    if (quantity > limit) return null;
+
+    try {
+      return await FlashSaleUsage.findOneAndUpdate(
+        { sale: saleId, user: userId, quantity: { $lte: limit - quantity } },
+        { $inc: { quantity } },
+        { upsert: true, new: true }
+      );
+    } catch (err) {
+      // The counter exists but has no room left: the upsert hit the unique index
+      if (err.code === DUPLICATE_KEY) return null;
+      throw err;
+    }
+  }
+
+  async releaseUsage(saleId, userId, quantity) {
+    // Units never counted (the sale had no limit then) are not subtracted
+    return FlashSaleUsage.updateOne(
+      { sale: saleId, user: userId, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } }
+    );
+  }
+
+  async deleteUsage(saleId) {
+    return FlashSaleUsage.deleteMany({ sale: saleId });
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * @file loginAttemptRepository.js
+ * @description
+ * Repository class to handle direct database operations for the LoginAttempt model.
+ *
+ * Methods:
+ * - async findByKeys(keys)
+ *   - Returns the attempt documents of the given keys.
+ *
+ * - async incrementFailures(key, expiresAt)
+ *   - Atomically adds one failure (creating the document if needed) and returns it.
+ *
+ * - async lock(key, lockedUntil, expiresAt)
+ *   - Sets the lockout end of a key.
+ *
+ * - async deleteByKey(key)
+ *   - Clears the counter and lockout of a key.
+ */
+
+import LoginAttempt from "../models/loginAttemptModel.js";
+
+export default class LoginAttemptRepository {
+  // -------------------- Find attempts by keys --------------------
+  async findByKeys(keys) {
+    return LoginAttempt.find({ key: { $in: keys } });
+  }
+
+  // -------------------- Increment failures --------------------
+  async incrementFailures(key, expiresAt) {
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { expiresAt } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // -------------------- Lock key --------------------
+  async lock(key, lockedUntil, expiresAt) {
+    return LoginAttempt.updateOne({ key }, { lockedUntil, expiresAt });
+  }
+
+  // -------------------- Delete by key --------------------
+  async deleteByKey(key) {
+    return LoginAttempt.deleteOne({ key });
+  }
+}
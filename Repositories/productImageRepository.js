@@ -0,0 +1,35 @@
+/**
+ * @file productImageRepository.js
+ * @description
+ * Repository class to handle direct database operations for the ProductImage model.
+ *
+ * Methods:
+ * - async create(imageData)
+ * - async findById(id)
+ * - async findByProduct(productId)
+ * - async deleteByIds(ids)
+ */
+
+import ProductImage from "../models/productImageModel.js";
+
+export default class ProductImageRepository {
+  // -------------------- Create image --------------------
+  async create(imageData) {
+    return ProductImage.create(imageData);
+  }
+
+  // -------------------- Find image by id --------------------
+  async findById(id) {
+    return ProductImage.findById(id);
+  }
+
+  // -------------------- Find the images of a product --------------------
+  async findByProduct(productId) {
+    return ProductImage.find({ product: productId }).sort({ createdAt: 1 });
+  }
+
+  // -------------------- Delete images --------------------
+  async deleteByIds(ids) {
+    return ProductImage.deleteMany({ _id: { $in: ids } });
+  }
+}
@@ -6,6 +6,38 @@
  * - Returns raw database results
  */
 import Product from "../models/productModel.js";
+import { EFFECTIVE_PRICE, TOTAL_STOCK } from "../utils/builder.js";
+
+// Archived (soft-deleted) products are skipped unless asked for
+const NOT_ARCHIVED = { deletedAt: null };
+// Atomic edits move the product to a new version, like saves do
+const NEXT_VERSION = { $inc: { __v: 1 } };
+
+// Minimum ratings offered as "N stars & up" filters
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Sorted { value, count } list of a grouped facet
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+// Products per variant attribute value; a product counts once per value,
+// whatever the letter case, and variants without the attribute are skipped
+const countByAttribute = (name) => [
+  { $unwind: "$variants" },
+  { $match: { [`variants.attributes.${name}`]: { $nin: [null, ""] } } },
+  {
+    $group: {
+      _id: {
+        product: "$_id",
+        value: { $toLower: `$variants.attributes.${name}` },
+      },
+    },
+  },
+  ...countBy("$_id.value"),
+];
 
 export default class ProductRepository {
   // -------------------- Find Products with Pagination / Filtering --------------------
@@ -24,27 +56,218 @@ export default class ProductRepository {
       ]);
     }
 
+    // Keyword searches also return their relevance score
+    const projection = filter.$text ? { score: { $meta: "textScore" } } : {};
+
     // Otherwise, return products with standard pagination and sorting
-    return Product.find(filter) // Apply filter
+    return Product.find(filter, projection) // Apply filter
       .sort(options.sort) // Sort by given field(s)
       .skip(options.skip) // Skip a number of documents for pagination
       .limit(options.limit); // Limit the number of results
   }
 
+  // -------------------- Count Products --------------------
+  /**
+   * Counts the products matching a filter
+   * @param {Object} filter - MongoDB filter object
+   * @returns {Promise<number>} Number of matching products
+   */
+  async count(filter) {
+    return Product.countDocuments(filter);
+  }
+
+  // -------------------- Facet Counts --------------------
+  /**
+   * Counts the products matching a filter per category, sub-category, color,
+   * size, rating, discount and stock, plus their price range, in one aggregation
+   * @param {Object} filter - MongoDB filter object (same as the listing)
+   * @returns {Promise<Object>} Raw facet results
+   */
+  async getFacets(filter) {
+    const [facets] = await Product.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          categories: countBy("$category"),
+          subCategories: countBy("$subCategory"),
+          colors: countByAttribute("color"),
+          sizes: countByAttribute("size"),
+          price: [
+            {
+              $group: {
+                _id: null,
+                min: { $min: EFFECTIVE_PRICE },
+                max: { $max: EFFECTIVE_PRICE },
+              },
+            },
+            { $project: { _id: 0 } },
+          ],
+          ratings: [
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(
+                  RATING_THRESHOLDS.map((min) => [
+                    `atLeast${min}`,
+                    { $sum: { $cond: [{ $gte: ["$avgRate", min] }, 1, 0] } },
+                  ])
+                ),
+              },
+            },
+          ],
+          flags: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                hasDiscount: {
+                  $sum: { $cond: [{ $gt: ["$discountPrice", 0] }, 1, 0] },
+                },
+                inStock: { $sum: { $cond: [{ $gt: [TOTAL_STOCK, 0] }, 1, 0] } },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const ratings = facets.ratings[0] ?? {};
+    const flags = facets.flags[0] ?? {};
+
+    return {
+      categories: facets.categories,
+      subCategories: facets.subCategories,
+      colors: facets.colors,
+      sizes: facets.sizes,
+      price: facets.price[0] ?? { min: null, max: null },
+      ratings: RATING_THRESHOLDS.map((min) => ({
+        min,
+        count: ratings[`atLeast${min}`] ?? 0,
+      })),
+      hasDiscount: flags.hasDiscount ?? 0,
+      inStock: flags.inStock ?? 0,
+      total: flags.total ?? 0,
+    };
+  }
+
+  // -------------------- Searchable Text --------------------
+  /**
+   * Streams the searchable fields of the products matching a filter (used to
+   * build the search vocabulary)
+   * @param {Object} filter - MongoDB filter (archived products are skipped)
+   * @returns {AsyncIterable<Object>} Cursor of plain objects with title,
+   * category, subCategory and description
+   */
+  streamSearchableText(filter) {
+    return Product.find(
+      { ...filter, ...NOT_ARCHIVED },
+      { title: 1, category: 1, subCategory: 1, description: 1, _id: 0 }
+    )
+      .lean()
+      .cursor();
+  }
+
+  // -------------------- Bulk Import / Export --------------------
+  /**
+   * Finds products by their numeric IDs (archived products are skipped)
+   * @param {number[]} ids - Product IDs
+   * @returns {Promise<Array>} Plain product objects
+   */
+  async findByIds(ids) {
+    return Product.find({ id: { $in: ids }, ...NOT_ARCHIVED }).lean();
+  }
+
+  /**
+   * Finds which products own any of the given SKUs (archived ones included:
+   * they keep their SKUs until purged)
+   * @param {string[]} skus - Variant SKUs
+   * @returns {Promise<Array>} Plain objects with the product id and its variant SKUs
+   */
+  async findSkuOwners(skus) {
+    return Product.find(
+      { "variants.sku": { $in: skus } },
+      { id: 1, "variants.sku": 1, _id: 0 }
+    ).lean();
+  }
+
+  /**
+   * Streams every product matching a filter, one document at a time
+   * @param {Object} filter - MongoDB filter object
+   * @param {Object} sort - Sort specification
+   * @returns {AsyncIterable<Object>} Cursor of plain product objects
+   */
+  streamProducts(filter, sort) {
+    return Product.find(filter, {
+      _id: 0,
+      __v: 0,
+      flashSales: 0,
+      deletedAt: 0,
+      deletedBy: 0,
+    })
+      .sort(sort)
+      .lean()
+      .cursor();
+  }
+
+  // -------------------- Slugs --------------------
+  /**
+   * Finds a product by its current or a previous slug
+   * @param {string} slug - Product slug
+   * @returns {Promise<Object|null>} Product document or null if not found (or archived)
+   */
+  async findBySlug(slug) {
+    return Product.findOne({
+      $or: [{ slug }, { previousSlugs: slug }],
+      ...NOT_ARCHIVED,
+    });
+  }
+
+  /**
+   * Whether a slug is the current or a previous slug of a product (archived
+   * ones included: they get their slugs back when restored)
+   * @param {string} slug - Product slug
+   * @param {number} [exceptId] - Product whose own slugs do not count
+   * @returns {Promise<boolean>}
+   */
+  async isSlugTaken(slug, exceptId) {
+    const owner = await Product.exists({
+      $or: [{ slug }, { previousSlugs: slug }],
+      ...(exceptId === undefined ? {} : { id: { $ne: exceptId } }),
+    });
+    return Boolean(owner);
+  }
+
+  /**
+   * Finds which products own any of the given slugs, current or previous
+   * @param {string[]} slugs - Product slugs
+   * @returns {Promise<Array>} Plain objects with the product id and its slugs
+   */
+  async findSlugOwners(slugs) {
+    return Product.find(
+      { $or: [{ slug: { $in: slugs } }, { previousSlugs: { $in: slugs } }] },
+      { id: 1, slug: 1, previousSlugs: 1, _id: 0 }
+    ).lean();
+  }
+
   // -------------------- Find Product by ID --------------------
   /**
    * Finds a single product by its numeric ID
    * @param {string|number} id - Product ID
+   * @param {Object} [options]
+   * @param {boolean} [options.includeArchived=false] - Also find archived products
    * @returns {Promise<Object|null>} Product document or null if not found
    */
-  async findWithID(id) {
+  async findWithID(id, { includeArchived = false } = {}) {
     if (!id) return null; // Return null if no ID provided
 
     const numericId = Number(id); // Convert ID to number
     if (Number.isNaN(numericId)) return null; // Return null if ID is not a valid number
 
     // Find a single product with the given numeric ID
-    return Product.findOne({ id: numericId });
+    return Product.findOne({
+      id: numericId,
+      ...(includeArchived ? {} : NOT_ARCHIVED),
+    });
   }
   /**
    * Gets the highest product ID from the database
@@ -80,15 +303,238 @@ export default class ProductRepository {
     return await existingProduct.save();
   }
 
-  // -------------------- Delete Product by ID --------------------
+  // -------------------- Categories --------------------
+  /**
+   * Counts the products filed under any of the given category slugs
+   * @param {string[]} slugs - Category slugs
+   * @returns {Promise<number>} Number of products
+   */
+  async countByCategories(slugs) {
+    return Product.countDocuments({
+      $or: [{ category: { $in: slugs } }, { subCategory: { $in: slugs } }],
+    });
+  }
+
+  /**
+   * Points every product filed under a category slug to its new slug
+   * @param {string} oldSlug - Previous slug
+   * @param {string} newSlug - New slug
+   */
+  async replaceCategorySlug(oldSlug, newSlug) {
+    await Product.updateMany(
+      { category: oldSlug },
+      { $set: { category: newSlug }, ...NEXT_VERSION }
+    );
+    await Product.updateMany(
+      { subCategory: oldSlug },
+      { $set: { subCategory: newSlug }, ...NEXT_VERSION }
+    );
+  }
+
+  // -------------------- Rating Summary --------------------
+  /**
+   * Stores the rating summary computed from a product's reviews
+   * @param {number} id - Product ID
+   * @param {Object} summary - { avgRate, ratingCount }
+   * @returns {Promise<Object>} Update result
+   */
+  async setRating(id, { avgRate, ratingCount }) {
+    return Product.updateOne(
+      { id },
+      { $set: { avgRate, ratingCount }, ...NEXT_VERSION }
+    );
+  }
+
+  // -------------------- Images --------------------
+  /**
+   * Sets the main image of a product
+   * @param {number} id - Product ID
+   * @param {string} url - Image URL
+   * @returns {Promise<Object|null>} Updated product or null if not found
+   */
+  async setMainImage(id, url) {
+    return Product.findOneAndUpdate(
+      { id },
+      { $set: { mainImgSRC: url }, ...NEXT_VERSION },
+      { new: true }
+    );
+  }
+
+  /**
+   * Appends an image to a variant of a product
+   * @param {number} id - Product ID
+   * @param {string} sku - Variant SKU
+   * @param {string} url - Image URL
+   * @returns {Promise<Object|null>} Updated product or null if the product or variant does not exist
+   */
+  async addVariantImage(id, sku, url) {
+    return Product.findOneAndUpdate(
+      { id, "variants.sku": sku },
+      { $push: { "variants.$.images": url }, ...NEXT_VERSION },
+      { new: true }
+    );
+  }
+
+  /**
+   * Removes an image from every variant of a product
+   * @param {number} id - Product ID
+   * @param {string} url - Image URL
+   * @returns {Promise<Object|null>} Updated product or null if not found
+   */
+  async removeVariantImage(id, url) {
+    return Product.findOneAndUpdate(
+      { id },
+      { $pull: { "variants.$[].images": url }, ...NEXT_VERSION },
+      { new: true }
+    );
+  }
+
+  // -------------------- Flash Sales --------------------
+  /**
+   * Removes a flash sale from the products carrying it, and sales that have
+   * ended from the given products
+   * @param {Object} saleId - FlashSale ObjectId
+   * @param {number[]} productIds - Products about to be (re)linked to the sale
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Update result
+   */
+  async pullFlashSale(saleId, productIds, now) {
+    return Product.updateMany(
+      { $or: [{ "flashSales.sale": saleId }, { id: { $in: productIds } }] },
+      {
+        $pull: {
+          flashSales: { $or: [{ sale: saleId }, { endsAt: { $lte: now } }] },
+        },
+        ...NEXT_VERSION,
+      }
+    );
+  }
+
+  /**
+   * Adds flash sale entries to products
+   * @param {{ productId: number, entry: Object }[]} entries - Sale entry per
+   * product (see flashSaleEntrySchema)
+   * @returns {Promise<Object>} Bulk write result
+   */
+  async pushFlashSale(entries) {
+    return Product.bulkWrite(
+      entries.map(({ productId, entry }) => ({
+        updateOne: {
+          filter: { id: productId },
+          update: { $push: { flashSales: entry }, ...NEXT_VERSION },
+        },
+      }))
+    );
+  }
+
+  // -------------------- Variant Stock --------------------
+  /**
+   * Atomically moves units of a variant from stock to reserved, only if
+   * enough units are in stock and the product is visible
+   * @param {number} productId - Product ID
+   * @param {string} sku - Variant SKU
+   * @param {number} quantity - Units to reserve
+   * @param {Object} visibility - Filter of the products customers can see
+   * @returns {Promise<Object|null>} Updated product, or null if the product or
+   * variant does not exist, is not visible or has too few units in stock
+   */
+  async reserveStock(productId, sku, quantity, visibility) {
+    return Product.findOneAndUpdate(
+      {
+        ...visibility,
+        id: productId,
+        ...NOT_ARCHIVED,
+        variants: { $elemMatch: { sku, stock: { $gte: quantity } } },
+      },
+      {
+        $inc: {
+          "variants.$.stock": -quantity,
+          "variants.$.reserved": quantity,
+          ...NEXT_VERSION.$inc,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Returns reserved units of a variant to its stock
+   * @param {number} productId - Product ID
+   * @param {string} sku - Variant SKU
+   * @param {number} quantity - Units to release
+   * @returns {Promise<Object|null>} Updated product or null if the variant no longer exists
+   */
+  async releaseStock(productId, sku, quantity) {
+    return Product.findOneAndUpdate(
+      { id: productId, "variants.sku": sku },
+      {
+        $inc: {
+          "variants.$.stock": quantity,
+          "variants.$.reserved": -quantity,
+          ...NEXT_VERSION.$inc,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Removes sold units from the reserved count of a variant
+   * @param {number} productId - Product ID
+   * @param {string} sku - Variant SKU
+   * @param {number} quantity - Units sold
+   * @returns {Promise<Object|null>} Updated product or null if the variant no longer exists
+   */
+  async commitStock(productId, sku, quantity) {
+    return Product.findOneAndUpdate(
+      { id: productId, "variants.sku": sku },
+      { $inc: { "variants.$.reserved": -quantity, ...NEXT_VERSION.$inc } },
+      { new: true }
+    );
+  }
+
+  // -------------------- Archive / Restore / Purge --------------------
+  /**
+   * Archives (soft-deletes) a product
+   * @param {number} id - Product ID
+   * @param {string} deletedBy - User id or "apiKey:<prefix>" of who deleted it
+   * @param {number} [version] - Only archive the product at this version
+   * @returns {Promise<Object|null>} Archived product or null if not found,
+   * already archived or at another version
+   */
+  async softDelete(id, deletedBy, version) {
+    return Product.findOneAndUpdate(
+      {
+        id,
+        ...NOT_ARCHIVED,
+        ...(version === undefined ? {} : { __v: version }),
+      },
+      { $set: { deletedAt: new Date(), deletedBy }, ...NEXT_VERSION },
+      { new: true }
+    );
+  }
+
+  /**
+   * Brings an archived product back
+   * @param {number} id - Product ID
+   * @returns {Promise<Object|null>} Restored product or null if not found or not archived
+   */
+  async restore(id) {
+    return Product.findOneAndUpdate(
+      { id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null }, ...NEXT_VERSION },
+      { new: true }
+    );
+  }
+
   /**
-   * Deletes a product by its numeric ID
+   * Permanently deletes an archived product
    * @param {number} id - Product ID to delete
-   * @returns {Promise<Object|null>} Deleted product document or null if not found
+   * @returns {Promise<Object|null>} Deleted product document or null if not found or not archived
    */
-  async deleteById(id) {
+  async purgeById(id) {
     // Repository is only responsible for database operations
-    // Find and delete the product with the given numeric ID
-    return Product.findOneAndDelete({ id: id });
+    // Find and delete the archived product with the given numeric ID
+    return Product.findOneAndDelete({ id, deletedAt: { $ne: null } });
   }
 }
@@ -0,0 +1,40 @@
+/**
+ * @file productRevisionRepository.js
+ * @description
+ * Repository class to handle direct database operations for the ProductRevision model.
+ *
+ * Methods:
+ * - async create(revisionData)
+ * - async findById(id)
+ * - async findWithPagination(filter, options)
+ *   - Listings leave out the snapshots, which can be large
+ * - async count(filter)
+ */
+
+import ProductRevision from "../models/productRevisionModel.js";
+
+export default class ProductRevisionRepository {
+  // -------------------- Create revision --------------------
+  async create(revisionData) {
+    return ProductRevision.create(revisionData);
+  }
+
+  // -------------------- Find revision by id --------------------
+  async findById(id) {
+    return ProductRevision.findById(id);
+  }
+
+  // -------------------- Find revisions with pagination --------------------
+  async findWithPagination(filter, options) {
+    return ProductRevision.find(filter)
+      .select("-snapshot")
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit);
+  }
+
+  // -------------------- Count revisions --------------------
+  async count(filter) {
+    return ProductRevision.countDocuments(filter);
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * @file refreshTokenRepository.js
+ * @description
+ * Repository class to handle direct database operations for the RefreshToken model.
+ *
+ * Methods:
+ * - async create(tokenData)
+ *   - Stores a new hashed refresh token.
+ *
+ * - async findByHash(tokenHash)
+ *   - Returns the token document (revoked or not) matching the hash, or null.
+ *
+ * - async revoke(id, replacedBy)
+ *   - Atomically revokes a single active token. Returns null if it was already revoked.
+ *
+ * - async revokeFamily(family)
+ *   - Revokes every active token of a family.
+ *
+ * - async revokeAllForUser(userId, exceptFamily)
+ *   - Revokes every active token that belongs to a user, optionally keeping one family.
+ *
+ * @dependencies
+ * - RefreshToken model: Mongoose model representing the RefreshToken collection.
+ *
+ * Usage:
+ * import RefreshTokenRepository from './Repositories/refreshTokenRepository.js';
+ * const refreshTokenRepository = new RefreshTokenRepository();
+ */
+
+import RefreshToken from "../models/refreshTokenModel.js";
+
+export default class RefreshTokenRepository {
+  // -------------------- Create refresh token --------------------
+  async create(tokenData) {
+    return RefreshToken.create(tokenData);
+  }
+
+  // -------------------- Find refresh token by hash --------------------
+  async findByHash(tokenHash) {
+    return RefreshToken.findOne({ tokenHash });
+  }
+
+  // -------------------- Revoke a single token --------------------
+  async revoke(id, replacedBy = null) {
+    // Only matches while the token is still active, so two concurrent
+    // rotations of the same token cannot both succeed
+    return RefreshToken.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { revokedAt: new Date(), replacedBy },
+      { new: true }
+    );
+  }
+
+  // -------------------- Revoke a token family --------------------
+  async revokeFamily(family) {
+    return RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  // -------------------- Revoke all tokens of a user --------------------
+  async revokeAllForUser(userId, exceptFamily = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptFamily) filter.family = { $ne: exceptFamily };
+
+    return RefreshToken.updateMany(filter, { revokedAt: new Date() });
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * @file reservationRepository.js
+ * @description
+ * Repository class to handle direct database operations for the Reservation model.
+ *
+ * Methods:
+ * - async create(reservationData)
+ * - async findById(id)
+ * - async complete(id, status, conditions)
+ *   - Atomically moves an active reservation to a final status. Returns null if
+ *     it is no longer active (or does not meet the extra conditions).
+ * - async claimExpired(now)
+ *   - Atomically marks one overdue active reservation as expired and returns it,
+ *     or null when there is none left.
+ * - async claimHold(userId, sku, quantity, limit)
+ *   - Atomically adds units to a buyer's hold of a variant if it stays within
+ *     the limit. Returns the counter, or null when the limit would be exceeded.
+ * - async releaseHold(userId, sku, quantity)
+ */
+
+import Reservation, { ReservationStatus } from "../models/reservationModel.js";
+import ReservationHold from "../models/reservationHoldModel.js";
+
+const DUPLICATE_KEY = 11000;
+
+export default class ReservationRepository {
+  // -------------------- Create reservation --------------------
+  async create(reservationData) {
+    return Reservation.create(reservationData);
+  }
+
+  // -------------------- Find reservation by id --------------------
+  async findById(id) {
+    return Reservation.findById(id);
+  }
+
+  // -------------------- Complete an active reservation --------------------
+  async complete(id, status, conditions = {}) {
+    return Reservation.findOneAndUpdate(
+      { ...conditions, _id: id, status: ReservationStatus.ACTIVE },
+      { status, completedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // -------------------- Claim an expired reservation --------------------
+  async claimExpired(now) {
+    return Reservation.findOneAndUpdate(
+      { status: ReservationStatus.ACTIVE, expiresAt: { $lte: now } },
+      { status: ReservationStatus.EXPIRED, completedAt: now },
+      { new: true }
+    );
+  }
+
+  // -------------------- Per-buyer holds --------------------
+  async claimHold(userId, sku, quantity, limit) {
+    // An upsert inserting the first counter ignores the range condition below,
+    // so a claim above the whole limit never reaches it
+    if (quantity > limit) return null;
+
+    try {
+      return await ReservationHold.findOneAndUpdate(
+        { user: userId, sku, quantity: { $lte: limit - quantity } },
+        { $inc: { quantity } },
+        { upsert: true, new: true }
+      );
+    } catch (err) {
+      // The counter exists but has no room left: the upsert hit the unique index
+      if (err.code === DUPLICATE_KEY) return null;
+      throw err;
+    }
+  }
+
+  async releaseHold(userId, sku, quantity) {
+    // Units never counted (held before the limit existed) are not subtracted
+    return ReservationHold.updateOne(
+      { user: userId, sku, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } }
+    );
+  }
+}
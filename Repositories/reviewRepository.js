@@ -0,0 +1,91 @@
+/**
+ * @file reviewRepository.js
+ * @description
+ * Repository class to handle direct database operations for the Review model.
+ *
+ * Methods:
+ * - async create(reviewData)
+ * - async findById(id)
+ * - async findByProductAndUser(productId, userId)
+ * - async findWithPagination(filter, options)
+ *   - Includes the author's full name.
+ * - async count(filter)
+ * - async update(review, updateData)
+ * - async deleteById(id)
+ * - async addHelpfulVote(id, userId)
+ *   - Atomically counts a vote once per user (never the author's own). Returns null otherwise.
+ * - async getRatingSummary(productId)
+ *   - Returns { avgRate, ratingCount } over the published reviews of a product.
+ */
+
+import Review, { ReviewStatus } from "../models/reviewModel.js";
+
+export default class ReviewRepository {
+  // -------------------- Create review --------------------
+  async create(reviewData) {
+    return Review.create(reviewData);
+  }
+
+  // -------------------- Find review by id --------------------
+  async findById(id) {
+    return Review.findById(id);
+  }
+
+  // -------------------- Find a user's review of a product --------------------
+  async findByProductAndUser(productId, userId) {
+    return Review.findOne({ product: productId, user: userId });
+  }
+
+  // -------------------- List reviews --------------------
+  async findWithPagination(filter, options) {
+    return Review.find(filter)
+      .populate("user", "fullName")
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit);
+  }
+
+  // -------------------- Count reviews --------------------
+  async count(filter) {
+    return Review.countDocuments(filter);
+  }
+
+  // -------------------- Update review --------------------
+  async update(review, updateData) {
+    Object.assign(review, updateData);
+    return review.save();
+  }
+
+  // -------------------- Delete review --------------------
+  async deleteById(id) {
+    return Review.findByIdAndDelete(id);
+  }
+
+  // -------------------- Helpful vote --------------------
+  async addHelpfulVote(id, userId) {
+    return Review.findOneAndUpdate(
+      { _id: id, user: { $ne: userId }, helpfulVoters: { $ne: userId } },
+      { $addToSet: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    );
+  }
+
+  // -------------------- Rating summary of a product --------------------
+  async getRatingSummary(productId) {
+    const [summary] = await Review.aggregate([
+      { $match: { product: productId, status: ReviewStatus.PUBLISHED } },
+      {
+        $group: {
+          _id: null,
+          avgRate: { $avg: "$rating" },
+          ratingCount: { $sum: 1 },
+        },
+      },
+    ]);
+
+    return {
+      avgRate: summary ? Math.round(summary.avgRate * 10) / 10 : 0,
+      ratingCount: summary?.ratingCount ?? 0,
+    };
+  }
+}
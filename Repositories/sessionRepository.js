@@ -0,0 +1,62 @@
+/**
+ * @file sessionRepository.js
+ * @description
+ * Repository class to handle direct database operations for the Session model.
+ *
+ * Methods:
+ * - async create(sessionData)
+ * - async findById(id)
+ * - async findActiveByUser(userId)
+ *   - Returns the unrevoked, unexpired sessions of a user, most recently used first.
+ * - async touch(id, data)
+ *   - Updates lastSeenAt and optionally ip/expiresAt.
+ * - async revoke(id, userId)
+ *   - Atomically revokes an active session of the given user. Returns null otherwise.
+ * - async revokeAllForUser(userId, exceptId)
+ *   - Revokes every active session of a user, optionally keeping one.
+ */
+
+import Session from "../models/sessionModel.js";
+
+export default class SessionRepository {
+  // -------------------- Create session --------------------
+  async create(sessionData) {
+    return Session.create(sessionData);
+  }
+
+  // -------------------- Find session by id --------------------
+  async findById(id) {
+    return Session.findById(id);
+  }
+
+  // -------------------- List active sessions of a user --------------------
+  async findActiveByUser(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+  }
+
+  // -------------------- Record activity --------------------
+  async touch(id, data) {
+    return Session.updateOne({ _id: id }, data);
+  }
+
+  // -------------------- Revoke a session --------------------
+  async revoke(id, userId) {
+    return Session.findOneAndUpdate(
+      { _id: id, user: userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // -------------------- Revoke all sessions of a user --------------------
+  async revokeAllForUser(userId, exceptId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptId) filter._id = { $ne: exceptId };
+
+    return Session.updateMany(filter, { revokedAt: new Date() });
+  }
+}
@@ -14,12 +14,42 @@
  *   - Includes password field (select +password for comparisons).
  *   - Returns the user document if found, otherwise returns null.
  *
+ * - async findById(id)
+ *   - Returns the user document with the given id, or null.
+ *
+ * - async findByIdWithPassword(id)
+ *   - Same as findById, including the password hash for comparisons.
+ *
  * - async create(userData)
  *   - Creates a new User document with the provided data (fullName, email, password).
  *   - Saves the user to the database.
  *   - Relies on User model pre-save middleware to hash the password.
  *   - Returns the saved user document.
  *
+ * - async findWithPagination(filter, options)
+ *   - Returns a page of users matching the filter, sorted as requested.
+ *
+ * - async count(filter)
+ *   - Returns the number of users matching the filter.
+ *
+ * - async update(user, updateData)
+ *   - Assigns the given data to a user document and saves it.
+ *
+ * - async consumePasswordResetToken(tokenHash)
+ *   - Atomically clears an unexpired reset token and returns the user it belonged to.
+ *
+ * - async findByIdWithTwoFactor(id)
+ *   - Same as findById, including the hidden two-factor fields and the password hash.
+ *
+ * - async claimTotpStep(id, step)
+ *   - Atomically records a used TOTP time step; returns false if it (or a later one) was already used.
+ *
+ * - async consumeRecoveryCode(id, codeHash)
+ *   - Atomically removes a recovery code; returns false if it was not available.
+ *
+ * - async setRecoveryCodes(id, codeHashes)
+ *   - Replaces the recovery codes without touching the other two-factor fields.
+ *
  * @dependencies
  * - User model: Mongoose model representing the User collection.
  *
@@ -41,6 +71,29 @@ export default class UserRepository {
     return User.findOne({ email }).select("+password");
   }
 
+  // -------------------- Find user by id --------------------
+  async findById(id) {
+    return User.findById(id);
+  }
+
+  // -------------------- Find user by id (with password) --------------------
+  async findByIdWithPassword(id) {
+    return User.findById(id).select("+password");
+  }
+
+  // -------------------- Find users with pagination --------------------
+  async findWithPagination(filter, options) {
+    return User.find(filter)
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit);
+  }
+
+  // -------------------- Count users --------------------
+  async count(filter) {
+    return User.countDocuments(filter);
+  }
+
   // -------------------- Create new user --------------------
   async create(userData) {
     // Create a new User instance using the provided data
@@ -50,4 +103,58 @@ export default class UserRepository {
     // The pre-save middleware in the User model will hash the password
     return user.save();
   }
+
+  // -------------------- Update user --------------------
+  async update(user, updateData) {
+    // Assign new data and save so model middleware (password hashing) runs
+    Object.assign(user, updateData);
+    return user.save();
+  }
+
+  // -------------------- Consume password reset token --------------------
+  async consumePasswordResetToken(tokenHash) {
+    // Clearing the token in the same operation makes it single-use
+    return User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: tokenHash,
+        passwordResetExpiresAt: { $gt: new Date() },
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+      { new: true }
+    );
+  }
+
+  // -------------------- Find user by id (with two-factor data) --------------------
+  async findByIdWithTwoFactor(id) {
+    return User.findById(id).select(
+      "+password +twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep"
+    );
+  }
+
+  // -------------------- Claim TOTP step --------------------
+  async claimTotpStep(id, step) {
+    // A code can only be used once, even within its validity window
+    const result = await User.updateOne(
+      { _id: id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // -------------------- Consume recovery code --------------------
+  async consumeRecoveryCode(id, codeHash) {
+    const result = await User.updateOne(
+      { _id: id, "twoFactor.recoveryCodeHashes": codeHash },
+      { $pull: { "twoFactor.recoveryCodeHashes": codeHash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // -------------------- Set recovery codes --------------------
+  async setRecoveryCodes(id, codeHashes) {
+    return User.updateOne(
+      { _id: id },
+      { $set: { "twoFactor.recoveryCodeHashes": codeHashes } }
+    );
+  }
 }
@@ -0,0 +1,47 @@
+/**
+ * @file auth.js
+ * @description
+ * Account security policy used by the auth services.
+ *
+ * @environment
+ * - PASSWORD_RESET_TTL_MINUTES: Lifetime of a password reset link (default: 30).
+ * - REQUIRE_EMAIL_VERIFICATION: "true" to refuse login for unverified accounts;
+ *   otherwise they can log in and are flagged with isEmailVerified: false (default: false).
+ * - EMAIL_VERIFICATION_EXPIRES_IN: Lifetime of a verification link in jsonwebtoken format (default: 24h).
+ * - EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS: Minimum delay between verification emails (default: 60).
+ * - LOGIN_MAX_ATTEMPTS: Failed logins allowed per account before lockouts start (default: 5).
+ * - LOGIN_IP_MAX_ATTEMPTS: Failed logins allowed per IP before lockouts start (default: 20).
+ * - LOGIN_LOCKOUT_BASE_SECONDS: First lockout duration; doubles with every further failure (default: 30).
+ * - LOGIN_LOCKOUT_MAX_MINUTES: Upper bound for a single lockout (default: 60).
+ * - LOGIN_ATTEMPT_WINDOW_MINUTES: Failure counters are forgotten after this much inactivity (default: 15).
+ * - TWO_FACTOR_ISSUER: Issuer name shown by authenticator apps (default: Exclusive).
+ * - TWO_FACTOR_CHALLENGE_EXPIRES_IN: Time to enter the code after the password step, jsonwebtoken format (default: 5m).
+ * - TWO_FACTOR_RECOVERY_CODES: Number of recovery codes generated per enrollment (default: 10).
+ * - REQUIRE_ADMIN_2FA: "true" to refuse permission-protected routes to admins
+ *   until they enable two-factor authentication (default: false).
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+const authConfig = Object.freeze({
+  passwordResetTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === "true",
+  emailVerificationExpiresIn:
+    process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h",
+  emailVerificationResendCooldownSeconds:
+    Number(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60,
+  loginMaxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  loginIpMaxAttempts: Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  loginLockoutBaseSeconds: Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 30,
+  loginLockoutMaxMinutes: Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60,
+  loginAttemptWindowMinutes:
+    Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || "Exclusive",
+  twoFactorChallengeExpiresIn:
+    process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m",
+  twoFactorRecoveryCodes: Number(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+  requireAdminTwoFactor: process.env.REQUIRE_ADMIN_2FA === "true",
+});
+
+export default authConfig;
@@ -84,6 +84,14 @@ export const corsOptions = {
     "Content-Type", // JSON/form data content type
     "Authorization", // Bearer tokens or Basic auth
     "X-Requested-With", // AJAX requests identification
+    "X-API-Key", // API keys of service clients
+    "If-Match", // Product version an update or delete applies to
+    "If-None-Match", // Cached product version of a conditional GET
+  ],
+
+  // Let browser clients read these response headers
+  exposedHeaders: [
+    "ETag", // Product version, sent back in If-Match
   ],
 
   // Allow credentials (cookies, authorization headers) to be included in cross-origin requests
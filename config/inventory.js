@@ -0,0 +1,22 @@
+/**
+ * @file inventory.js
+ * @description
+ * Stock reservation policy.
+ *
+ * @environment
+ * - RESERVATION_TTL_MINUTES: How long reserved units are held before they return to stock (default: 15).
+ * - RESERVATION_MAX_QUANTITY: Most units of one variant a buyer may hold across their active reservations (default: 20).
+ * - RESERVATION_SWEEP_INTERVAL_SECONDS: How often expired reservations are released (default: 60).
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+const inventoryConfig = Object.freeze({
+  reservationTtlMinutes: Number(process.env.RESERVATION_TTL_MINUTES) || 15,
+  reservationMaxQuantity: Number(process.env.RESERVATION_MAX_QUANTITY) || 20,
+  reservationSweepIntervalSeconds:
+    Number(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60,
+});
+
+export default inventoryConfig;
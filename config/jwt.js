@@ -1,6 +1,31 @@
-require("dotenv").config();
+/**
+ * @file jwt.js
+ * @description
+ * Token lifetime and signing configuration shared by the auth layer.
+ *
+ * Access tokens are short-lived JWTs sent on every request. Refresh tokens are
+ * opaque random strings stored (hashed) in the database so they can be rotated
+ * and revoked.
+ *
+ * @environment
+ * - JWT_SECRET: Secret used to sign access tokens (required; the server does
+ *   not start without it).
+ * - JWT_ACCESS_EXPIRES_IN: Access token lifetime in jsonwebtoken format (default: 15m).
+ * - JWT_REFRESH_EXPIRES_DAYS: Refresh token lifetime in days (default: 7).
+ */
 
-module.exports = {
-  secret: process.env.JWT_SECRET || "dev_secret",
-  expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-};
+import dotenv from "dotenv";
+dotenv.config();
+
+// A built-in fallback secret would let anyone sign their own tokens
+if (!process.env.JWT_SECRET) {
+  throw new Error("JWT_SECRET must be set to sign authentication tokens");
+}
+
+const jwtConfig = Object.freeze({
+  secret: process.env.JWT_SECRET,
+  accessExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
+  refreshExpiresDays: Number(process.env.JWT_REFRESH_EXPIRES_DAYS) || 7,
+});
+
+export default jwtConfig;
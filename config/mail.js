@@ -0,0 +1,21 @@
+/**
+ * @file mail.js
+ * @description
+ * Outgoing mail configuration.
+ *
+ * @environment
+ * - MAIL_FROM: Sender address for all outgoing emails.
+ * - MAIL_OUTBOX_DIR: Directory the default outbox transport writes messages to (default: outbox).
+ * - CLIENT_URL: Base URL of the frontend, used to build links inside emails.
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+const mailConfig = Object.freeze({
+  from: process.env.MAIL_FROM || "Exclusive <no-reply@exclusive.local>",
+  outboxDir: process.env.MAIL_OUTBOX_DIR || "outbox",
+  clientUrl: process.env.CLIENT_URL || "http://localhost:5173",
+});
+
+export default mailConfig;
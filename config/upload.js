@@ -0,0 +1,27 @@
+/**
+ * @file upload.js
+ * @description
+ * Limits of file uploads and where uploaded files are stored.
+ *
+ * @environment
+ * - IMPORT_MAX_FILE_MB: Largest product import file accepted (default: 10).
+ * - IMAGE_MAX_FILE_MB: Largest product image accepted (default: 5).
+ * - UPLOAD_DIR: Directory the local storage writes uploaded files to (default: uploads).
+ * - UPLOAD_PUBLIC_URL: Base URL uploaded files are served from; the server
+ *   serves UPLOAD_DIR under its path (default: http://127.0.0.1:<PORT>/uploads).
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+const uploadConfig = Object.freeze({
+  importMaxFileMb: Number(process.env.IMPORT_MAX_FILE_MB) || 10,
+  imageMaxFileMb: Number(process.env.IMAGE_MAX_FILE_MB) || 5,
+  dir: process.env.UPLOAD_DIR || "uploads",
+  publicUrl: (
+    process.env.UPLOAD_PUBLIC_URL ||
+    `http://127.0.0.1:${process.env.PORT || 4000}/uploads`
+  ).replace(/\/+$/, ""),
+});
+
+export default uploadConfig;
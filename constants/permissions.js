@@ -0,0 +1,32 @@
+// Fine-grained permissions checked by authorizePermission
+const Permissions = Object.freeze({
+  PRODUCT_CREATE: "product:create",
+  PRODUCT_UPDATE: "product:update",
+  PRODUCT_DELETE: "product:delete",
+  PRODUCT_PURGE: "product:purge",
+  PRODUCT_IMPORT: "product:import",
+  PRODUCT_EXPORT: "product:export",
+  PRODUCT_HISTORY: "product:history",
+  INVENTORY_MANAGE: "inventory:manage",
+  CATEGORY_MANAGE: "category:manage",
+  FLASH_SALE_MANAGE: "flashSale:manage",
+  REVIEW_MODERATE: "review:moderate",
+  USER_READ: "user:read",
+  USER_MANAGE: "user:manage",
+  USER_UNLOCK: "user:unlock",
+  API_KEY_MANAGE: "apiKey:manage",
+});
+
+// Permissions that may be granted to API keys (service clients never manage accounts)
+export const ApiKeyPermissions = Object.freeze([
+  Permissions.PRODUCT_CREATE,
+  Permissions.PRODUCT_UPDATE,
+  Permissions.PRODUCT_DELETE,
+  Permissions.PRODUCT_IMPORT,
+  Permissions.PRODUCT_EXPORT,
+  Permissions.INVENTORY_MANAGE,
+  Permissions.CATEGORY_MANAGE,
+  Permissions.FLASH_SALE_MANAGE,
+]);
+
+export default Permissions;
@@ -1,6 +1,40 @@
+import Permissions from "./permissions.js";
+
 const Roles = Object.freeze({
   ADMIN: "admin",
-  User: "user",
+  CATALOG_MANAGER: "catalog-manager",
+  SUPPORT: "support",
+  USER: "user",
+});
+
+// Permissions granted to each role; a role missing here has none
+export const RolePermissions = Object.freeze({
+  [Roles.ADMIN]: Object.freeze(Object.values(Permissions)),
+  [Roles.CATALOG_MANAGER]: Object.freeze([
+    Permissions.PRODUCT_CREATE,
+    Permissions.PRODUCT_UPDATE,
+    Permissions.PRODUCT_DELETE,
+    Permissions.PRODUCT_IMPORT,
+    Permissions.PRODUCT_EXPORT,
+    Permissions.INVENTORY_MANAGE,
+    Permissions.CATEGORY_MANAGE,
+    Permissions.FLASH_SALE_MANAGE,
+  ]),
+  [Roles.SUPPORT]: Object.freeze([
+    Permissions.USER_READ,
+    Permissions.USER_UNLOCK,
+    Permissions.REVIEW_MODERATE,
+  ]),
+  [Roles.USER]: Object.freeze([]),
 });
 
+/**
+ * Returns the permissions granted to a role
+ * @param {string} role - One of Roles
+ * @returns {readonly string[]} Granted permissions
+ */
+export function permissionsForRole(role) {
+  return RolePermissions[role] ?? [];
+}
+
 export default Roles;
@@ -0,0 +1,55 @@
+/**
+ * @file apiKeyController.js
+ * @description
+ * Controller class to handle HTTP requests for admin API key management.
+ *
+ * Usage:
+ * import ApiKeyController from './controllers/apiKeyController.js';
+ * const apiKeyController = new ApiKeyController(apiKeyService);
+ */
+export default class ApiKeyController {
+  /**
+   * @param {object} apiKeyService - Instance of ApiKeyService injected via dependency injection
+   */
+  constructor(apiKeyService) {
+    this.apiKeyService = apiKeyService;
+  }
+
+  // -------------------- List Keys --------------------
+  // GET /api-keys
+  async listKeys(req, res, next) {
+    try {
+      const result = await this.apiKeyService.listKeys();
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Create Key --------------------
+  // POST /api-keys
+  async createKey(req, res, next) {
+    try {
+      const { name, scopes, expiresAt } = req.body ?? {};
+
+      const result = await this.apiKeyService.createKey(
+        { name, scopes, expiresAt },
+        req.user
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Revoke Key --------------------
+  // DELETE /api-keys/:id
+  async revokeKey(req, res, next) {
+    try {
+      const result = await this.apiKeyService.revokeKey(req.params.id);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
@@ -1,31 +1,92 @@
 /**
  * @file authController.js
  * @description
- * Controller class to handle HTTP requests for user-related actions (Register, login).
+ * Controller class to handle HTTP requests for user-related actions (Register, login,
+ * refresh, logout).
  *
  * Responsibilities:
  * 1. Receives HTTP requests and interacts with the authController for business logic.
- * 2. Handles login and Register requests.
- * 3. Sends structured JSON responses with appropriate HTTP status codes.
- * 4. Delegates errors to the global error handler using `next(err)`.
+ * 2. Handles login (including the two-factor step), Register, refresh, logout,
+ *    password reset and email verification requests.
+ * 3. Stores the access token and refresh token in HTTP-only cookies.
+ * 4. Sends structured JSON responses with appropriate HTTP status codes.
+ * 5. Delegates errors to the global error handler using `next(err)`.
  *
  * @dependencies
- * - authController: Service object that contains Register and login logic.
+ * - authService: Service object that contains Register and login logic.
+ * - emailVerificationService: Service object that verifies emails and resends links.
  *
  * Usage:
  * import authController from './controllers/authController.js';
- * const authController = new authController(authService);
+ * const authController = new authController(authService, emailVerificationService);
  *
  * Example with Router:
  * import authController from './routes/authController.js';
  * app.use('/users', createUserRouter(authController));
  */
+
+// Refresh token cookie is only sent to the auth routes that need it
+const REFRESH_COOKIE_PATH = "/users";
+
+// -------------------- Cookie Helpers --------------------
+// Shared cookie options for both auth cookies
+function baseCookieOptions() {
+  return {
+    httpOnly: true, // Accessible only by web server, not JavaScript (XSS protection)
+    // In production we require HTTPS; during development (localhost) secure=false
+    secure: process.env.NODE_ENV === "production",
+    // Allow cross-site cookies so browsers send cookies for requests from other origins.
+    // Note: Browsers require `secure: true` when `sameSite: 'none'`.
+    sameSite: "none",
+  };
+}
+
+// Store the token pair in cookies and strip it from the response body
+function setAuthCookies(res, data) {
+  res.cookie("token", data.accessToken, {
+    ...baseCookieOptions(),
+    expires: data.accessTokenExpiresAt,
+  });
+  res.cookie("refreshToken", data.refreshToken, {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    expires: data.refreshTokenExpiresAt,
+  });
+
+  // Remove tokens from response body for security (they're in cookies already)
+  delete data.accessToken;
+  delete data.accessTokenExpiresAt;
+  delete data.refreshToken;
+  delete data.refreshTokenExpiresAt;
+}
+
+// Clients that cannot use cookies (mobile apps, scripts) ask for the tokens in
+// the response body and send the access token as `Authorization: Bearer <jwt>`
+function wantsTokensInBody(req) {
+  return req.body?.tokenDelivery === "body";
+}
+
+// Refresh token from the cookie (browsers) or the request body (other clients)
+function readRefreshToken(req) {
+  return req.cookies.refreshToken || req.body?.refreshToken;
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie("token", baseCookieOptions());
+  res.clearCookie("refreshToken", {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+  });
+}
+
 export default class authController {
   /**
    * @param {object} authService - Instance of authService injected via dependency injection
+   * @param {object} emailVerificationService - Instance of EmailVerificationService
    */
-  constructor(authService) {
+  constructor(authService, emailVerificationService) {
     this.authService = authService;
+    this.emailVerificationService = emailVerificationService;
   }
 
   // -------------------- Login Handler --------------------
@@ -35,15 +96,17 @@ export default class authController {
    * Flow:
    * 1. Extracts email and password from request body.
    * 2. Validates credentials through authService.
-   * 3. Generates JWT token and stores in HTTP-only cookie.
-   * 4. Returns success response with user data (token excluded from response body for security).
+   * 3. Stores the short-lived access token and the refresh token in HTTP-only cookies.
+   * 4. Returns success response with user data (tokens excluded from response body for security).
+   *    With `tokenDelivery: "body"`, no cookies are set and the tokens are returned in the body.
    * 5. If an error occurs, forwards it to the global error handler.
    *
    * Security measures:
-   * - httpOnly: Prevents JavaScript access to token (XSS protection).
-   * - secure: Cookie only sent over HTTPS in production.
+   * - httpOnly: Prevents JavaScript access to tokens (XSS protection).
+   * - secure: Cookies only sent over HTTPS in production.
    * - sameSite: Prevents CSRF attacks.
-   * - maxAge: Token expires after 7 days.
+   * - expires: Each cookie expires together with the token it carries.
+   * - path: The refresh token cookie is only sent to /users routes.
    *
    * @param {import('express').Request} req - Express request with email/password in body
    * @param {import('express').Response} res - Express response object
@@ -54,33 +117,118 @@ export default class authController {
       // Extract email and password from request body
       const { email, password } = req.body;
 
-      // Call authService to verify credentials and generate token
-      const result = await this.authService.login({ email, password });
+      // Call authService to verify credentials and generate tokens
+      // (the client IP is used to throttle password guessing; IP and user
+      // agent are recorded on the new session)
+      const result = await this.authService.login({
+        email,
+        password,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
 
-      // Extract token from response (should not be sent in JSON response body)
-      const token = result.data.token;
+      // Store tokens in HTTP-only cookies for subsequent requests
+      // (accounts with two-factor authentication get a challenge instead)
+      if (result.data.accessToken && !wantsTokensInBody(req)) {
+        setAuthCookies(res, result.data);
+      }
 
-      // Remove token from response body for security (it's in cookie already)
-      delete result.data.token;
+      // Return response with user data (tokens stored securely in cookies)
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      // Forward authentication errors to global error handler
+      next(err);
+    }
+  }
+
+  // -------------------- Two-Factor Login Handler --------------------
+  /**
+   * Handles POST /users/login/2fa requests
+   *
+   * Completes a login that answered with TWO_FACTOR_REQUIRED: the body carries
+   * the `challengeToken` from that response plus a `code` from the
+   * authenticator app (or a `recoveryCode`). Tokens are delivered exactly like
+   * a regular login.
+   *
+   * @param {import('express').Request} req - Express request with challengeToken and code in body
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next function for error handling
+   */
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body ?? {};
 
-      // Configure secure cookie options
-      const cookieOptions = {
-        httpOnly: true, // Accessible only by web server, not JavaScript (XSS protection)
-        // In production we require HTTPS; during development (localhost) secure=false
-        secure: process.env.NODE_ENV === "production",
-        // Allow cross-site cookies so browsers send cookies for requests from other origins.
-        // Note: Browsers require `secure: true` when `sameSite: 'none'`.
-        sameSite: "none",
-        maxAge: 7 * 24 * 60 * 60 * 1000, // Expire after 7 days (in milliseconds)
-      };
+      const result = await this.authService.loginTwoFactor({
+        challengeToken,
+        code,
+        recoveryCode,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
 
-      // Store token in HTTP-only cookie for subsequent requests
-      res.cookie("token", token, cookieOptions);
+      if (!wantsTokensInBody(req)) setAuthCookies(res, result.data);
+
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Refresh Handler --------------------
+  /**
+   * Handles POST /users/refresh requests
+   *
+   * Flow:
+   * 1. Reads the refresh token from its HTTP-only cookie (or `refreshToken` in the body).
+   * 2. Rotates it through authService (reuse revokes the whole token family).
+   * 3. Stores the new token pair in cookies, or returns it in the body with
+   *    `tokenDelivery: "body"`.
+   * 4. On failure, clears both cookies and forwards the error.
+   *
+   * @param {import('express').Request} req - Express request with refreshToken cookie
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next function for error handling
+   */
+  async refresh(req, res, next) {
+    try {
+      const result = await this.authService.refresh({
+        refreshToken: readRefreshToken(req),
+        ip: req.ip,
+      });
+
+      if (!wantsTokensInBody(req)) setAuthCookies(res, result.data);
+
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      // The client can no longer use its cookies; make it log in again
+      clearAuthCookies(res);
+      next(err);
+    }
+  }
+
+  // -------------------- Logout Handler --------------------
+  /**
+   * Handles POST /users/logout requests
+   *
+   * Flow:
+   * 1. Revokes the refresh token family of the current login
+   *    (token read from the cookie or `refreshToken` in the body).
+   * 2. Clears both auth cookies.
+   *
+   * @param {import('express').Request} req - Express request with refreshToken cookie
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next function for error handling
+   */
+  async logout(req, res, next) {
+    try {
+      const result = await this.authService.logout({
+        refreshToken: readRefreshToken(req),
+      });
+
+      clearAuthCookies(res);
 
-      // Return response with user data (token stored securely in cookie)
       return res.status(result.statusCode).json(result);
     } catch (err) {
-      // Forward authentication errors to global error handler
       next(err);
     }
   }
@@ -110,14 +258,14 @@ export default class authController {
   async register(req, res, next) {
     try {
       // Extract fullName, email, and password from request body
-      const { email, password, fullName, role } = req.body;
+      // (any role in the body is ignored; roles are granted by admins only)
+      const { email, password, fullName } = req.body;
 
       // Call authService to validate and register new user
       const result = await this.authService.register({
         email,
         password,
         fullName,
-        role,
       });
 
       // Return success response with newly created user ID
@@ -127,4 +275,104 @@ export default class authController {
       next(err);
     }
   }
+
+  // -------------------- Forgot Password Handler --------------------
+  /**
+   * Handles POST /users/forgot-password requests
+   *
+   * Flow:
+   * 1. Extracts email from request body.
+   * 2. Asks authService to email a single-use reset link.
+   * 3. Returns the same response whether or not the email is registered.
+   *
+   * @param {import('express').Request} req - Express request with email in body
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next function for error handling
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      const result = await this.authService.forgotPassword({ email });
+
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Reset Password Handler --------------------
+  /**
+   * Handles POST /users/reset-password requests
+   *
+   * Flow:
+   * 1. Extracts the reset token and new password from request body.
+   * 2. Resets the password through authService (revokes all existing logins).
+   * 3. Clears the auth cookies of the current client.
+   *
+   * @param {import('express').Request} req - Express request with token/password in body
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next function for error handling
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+
+      const result = await this.authService.resetPassword({ token, password });
+
+      clearAuthCookies(res);
+
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Verify Email Handler --------------------
+  /**
+   * Handles POST /users/verify-email requests
+   *
+   * Flow:
+   * 1. Extracts the signed verification token from request body.
+   * 2. Marks the account email as verified through emailVerificationService.
+   *
+   * @param {import('express').Request} req - Express request with token in body
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next function for error handling
+   */
+  async verifyEmail(req, res, next) {
+    try {
+      const { token } = req.body;
+
+      const result = await this.emailVerificationService.verify({ token });
+
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Resend Verification Handler --------------------
+  /**
+   * Handles POST /users/resend-verification requests
+   *
+   * Flow:
+   * 1. Extracts email from request body.
+   * 2. Sends a new verification link unless one was sent within the cooldown.
+   *
+   * @param {import('express').Request} req - Express request with email in body
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next function for error handling
+   */
+  async resendVerification(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      const result = await this.emailVerificationService.resend({ email });
+
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
 }
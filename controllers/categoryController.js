@@ -0,0 +1,92 @@
+/**
+ * @file categoryController.js
+ * @description
+ * Controller class to handle HTTP requests for the category tree.
+ *
+ * Usage:
+ * import CategoryController from './controllers/categoryController.js';
+ * const categoryController = new CategoryController(categoryService);
+ */
+export default class CategoryController {
+  /**
+   * @param {object} categoryService - Instance of CategoryService injected via dependency injection
+   */
+  constructor(categoryService) {
+    this.categoryService = categoryService;
+  }
+
+  // -------------------- Get Tree --------------------
+  // GET /categories
+  async getTree(req, res, next) {
+    try {
+      const result = await this.categoryService.getTree();
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Get Category --------------------
+  // GET /categories/:slug
+  async getCategory(req, res, next) {
+    try {
+      const result = await this.categoryService.getCategory(req.params.slug);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Create Category --------------------
+  // POST /categories
+  async createCategory(req, res, next) {
+    try {
+      const { name, slug, parent, order, image } = req.body ?? {};
+
+      const result = await this.categoryService.createCategory(
+        { name, slug, parent, order, image },
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Update Category --------------------
+  // PATCH /categories/:id
+  async updateCategory(req, res, next) {
+    try {
+      const { name, slug, parent, order, image } = req.body ?? {};
+
+      const result = await this.categoryService.updateCategory(
+        req.params.id,
+        { name, slug, parent, order, image },
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Delete Category --------------------
+  // DELETE /categories/:id
+  async deleteCategory(req, res, next) {
+    try {
+      const result = await this.categoryService.deleteCategory(
+        req.params.id,
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Helpers --------------------
+  // Changes are logged against the user or API key making them
+  #actor(req) {
+    return { id: req.user?.id ?? `apiKey:${req.apiKey.prefix}` };
+  }
+}
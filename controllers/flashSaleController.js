@@ -0,0 +1,88 @@
+/**
+ * @file flashSaleController.js
+ * @description
+ * Controller class to handle HTTP requests for flash sales.
+ *
+ * Usage:
+ * import FlashSaleController from './controllers/flashSaleController.js';
+ * const flashSaleController = new FlashSaleController(flashSaleService);
+ */
+export default class FlashSaleController {
+  /**
+   * @param {object} flashSaleService - Instance of FlashSaleService injected via dependency injection
+   */
+  constructor(flashSaleService) {
+    this.flashSaleService = flashSaleService;
+  }
+
+  // -------------------- List Sales --------------------
+  // GET /flash-sales?status=scheduled|active|ended&product=&page=&pageSize=
+  async listSales(req, res, next) {
+    try {
+      const result = await this.flashSaleService.listSales(req.query);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Get Sale --------------------
+  // GET /flash-sales/:id
+  async getSale(req, res, next) {
+    try {
+      const result = await this.flashSaleService.getSale(req.params.id);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Create Sale --------------------
+  // POST /flash-sales
+  async createSale(req, res, next) {
+    try {
+      const result = await this.flashSaleService.createSale(
+        req.body ?? {},
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Update Sale --------------------
+  // PATCH /flash-sales/:id
+  async updateSale(req, res, next) {
+    try {
+      const result = await this.flashSaleService.updateSale(
+        req.params.id,
+        req.body ?? {},
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Delete Sale --------------------
+  // DELETE /flash-sales/:id
+  async deleteSale(req, res, next) {
+    try {
+      const result = await this.flashSaleService.deleteSale(
+        req.params.id,
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Helpers --------------------
+  // Changes are logged against the user or API key making them
+  #actor(req) {
+    return { id: req.user?.id ?? `apiKey:${req.apiKey.prefix}` };
+  }
+}
@@ -1,15 +1,43 @@
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import logger from "../middleware/logger/logger.js";
+import { productETag } from "../utils/etag.js";
+
+// Query flags arrive as strings; only an explicit "true" turns them on
+const isTrue = (value) => String(value).toLowerCase() === "true";
+
 // ProductController handles HTTP requests for product-related actions
 export default class ProductController {
-  constructor(productService) {
-    // Dependency Injection: store the service instance
+  constructor(productService, productTransferService) {
+    // Dependency Injection: store the service instances
     this.productService = productService;
+    this.productTransferService = productTransferService;
   }
 
   // -------------------- Get All Products --------------------
   async getAllProducts(req, res, next) {
     try {
       // Pass query parameters to the service (for filtering, sorting, pagination)
-      const result = await this.productService.getAllProducts(req.query);
+      // ?preview=true (checked by the router) also lists unpublished products
+      const result = await this.productService.getAllProducts(req.query, {
+        preview: isTrue(req.query.preview),
+      });
+
+      // Respond with structured success response
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      // Pass errors to the error-handling middleware
+      next(err);
+    }
+  }
+
+  // -------------------- Get Archived Products --------------------
+  async getArchivedProducts(req, res, next) {
+    try {
+      // Same filters as the public listing, over the deleted products
+      const result = await this.productService.getAllProducts(req.query, {
+        archived: true,
+      });
 
       // Respond with structured success response
       return res.status(result.statusCode).json(result);
@@ -25,10 +53,31 @@ export default class ProductController {
       const { id } = req.params; // Get the product ID from the route parameters
 
       // Call the service layer to retrieve the product
-      const result = await this.productService.getProductById(id);
+      const result = await this.productService.getProductById(id, {
+        preview: isTrue(req.query.preview),
+      });
 
       // Respond with structured success response
-      return res.status(result.statusCode).json(result);
+      return this.#sendProduct(res, result);
+    } catch (err) {
+      // Pass errors to the error-handling middleware
+      next(err);
+    }
+  }
+
+  // -------------------- Get Product by Slug --------------------
+  async getProductBySlug(req, res, next) {
+    try {
+      const { slug } = req.params; // Get the slug from the route parameters
+
+      // Call the service layer to retrieve the product (meta.canonicalSlug
+      // tells the storefront where to redirect old or differently cased slugs)
+      const result = await this.productService.getProductBySlug(slug, {
+        preview: isTrue(req.query.preview),
+      });
+
+      // Respond with structured success response
+      return this.#sendProduct(res, result);
     } catch (err) {
       // Pass errors to the error-handling middleware
       next(err);
@@ -39,10 +88,13 @@ export default class ProductController {
   async create(req, res, next) {
     try {
       // Call the service layer to create the product
-      const result = await this.productService.create(req.body);
+      const result = await this.productService.create(
+        req.body,
+        this.#actor(req)
+      );
 
       // Respond with structured success response
-      return res.status(result.statusCode).json(result);
+      return this.#sendProduct(res, result);
     } catch (err) {
       // Pass errors to the error-handling middleware
       next(err);
@@ -55,10 +107,38 @@ export default class ProductController {
       const { id } = req.params; // Get the product ID from the route parameters
 
       // Call the service layer to update the product
-      const result = await this.productService.update(id, req.body);
+      // (If-Match, when sent, names the version the changes were made to)
+      const result = await this.productService.update(
+        id,
+        req.body,
+        this.#actor(req),
+        { ifMatch: req.get("If-Match") }
+      );
 
       // Respond with structured success response
-      return res.status(result.statusCode).json(result);
+      return this.#sendProduct(res, result);
+    } catch (err) {
+      // Pass errors to the error-handling middleware
+      next(err);
+    }
+  }
+
+  // -------------------- Patch Product --------------------
+  async patch(req, res, next) {
+    try {
+      const { id } = req.params; // Get the product ID from the route parameters
+
+      // Call the service layer to apply the merge patch or JSON Patch
+      const result = await this.productService.patch(
+        id,
+        req.body,
+        req.get("Content-Type"),
+        this.#actor(req),
+        { ifMatch: req.get("If-Match") }
+      );
+
+      // Respond with structured success response
+      return this.#sendProduct(res, result);
     } catch (err) {
       // Pass errors to the error-handling middleware
       next(err);
@@ -71,7 +151,11 @@ export default class ProductController {
       const { id } = req.params; // Get the product ID from the route parameters
 
       // Call the service layer to delete the product
-      const result = await this.productService.delete(id);
+      const result = await this.productService.delete(
+        id,
+        this.#actor(req),
+        { ifMatch: req.get("If-Match") }
+      );
 
       // Respond with structured success response
       return res.status(result.statusCode).json(result);
@@ -80,4 +164,100 @@ export default class ProductController {
       next(err);
     }
   }
+
+  // -------------------- Restore Product --------------------
+  async restore(req, res, next) {
+    try {
+      const { id } = req.params; // Get the product ID from the route parameters
+
+      // Call the service layer to bring the archived product back
+      const result = await this.productService.restore(id, this.#actor(req));
+
+      // Respond with structured success response
+      return this.#sendProduct(res, result);
+    } catch (err) {
+      // Pass errors to the error-handling middleware
+      next(err);
+    }
+  }
+
+  // -------------------- Purge Product --------------------
+  async purge(req, res, next) {
+    try {
+      const { id } = req.params; // Get the product ID from the route parameters
+
+      // Call the service layer to delete the archived product for good
+      const result = await this.productService.purge(id, this.#actor(req));
+
+      // Respond with structured success response
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      // Pass errors to the error-handling middleware
+      next(err);
+    }
+  }
+
+  // -------------------- Import Products --------------------
+  async importProducts(req, res, next) {
+    try {
+      const { format, dryRun, upsert } = req.query;
+
+      // Call the service layer to validate and import the uploaded file
+      const result = await this.productTransferService.importProducts(
+        req.file,
+        { format, dryRun: isTrue(dryRun), upsert: isTrue(upsert) },
+        this.#actor(req)
+      );
+
+      // Respond with structured success response
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      // Pass errors to the error-handling middleware
+      next(err);
+    }
+  }
+
+  // -------------------- Export Products --------------------
+  async exportProducts(req, res, next) {
+    try {
+      const { format = "csv", ...query } = req.query;
+
+      // Call the service layer for a stream of the matching products
+      const { contentType, filename, body } =
+        await this.productTransferService.exportProducts(query, format);
+
+      res.status(200);
+      res.setHeader("Content-Type", contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+
+      // Stream the file; backpressure keeps memory flat on large catalogs
+      await pipeline(Readable.from(body), res);
+    } catch (err) {
+      // Once streaming has started (or the stream broke) the status cannot
+      // change anymore; log and cut the response so the file is visibly incomplete
+      if (res.headersSent || res.destroyed) {
+        logger.error("Error exporting products:", err);
+        return res.destroy();
+      }
+
+      // Pass errors to the error-handling middleware
+      next(err);
+    }
+  }
+
+  // -------------------- Helpers --------------------
+  // Changes are recorded against the user or API key making them
+  #actor(req) {
+    return { id: req.user?.id ?? `apiKey:${req.apiKey.prefix}` };
+  }
+
+  // Single-product responses carry the product's version as ETag, for
+  // If-Match on later writes and If-None-Match on GETs
+  #sendProduct(res, result) {
+    res.set("ETag", productETag(result.data));
+    return res.status(result.statusCode).json(result);
+  }
 }
@@ -0,0 +1,67 @@
+/**
+ * @file productImageController.js
+ * @description
+ * Controller class to handle HTTP requests for uploaded product images.
+ *
+ * Usage:
+ * import ProductImageController from './controllers/productImageController.js';
+ * const productImageController = new ProductImageController(productImageService);
+ */
+export default class ProductImageController {
+  /**
+   * @param {object} productImageService - Instance of ProductImageService injected via dependency injection
+   */
+  constructor(productImageService) {
+    this.productImageService = productImageService;
+  }
+
+  // -------------------- List Images --------------------
+  // GET /products/:productId/images
+  async listImages(req, res, next) {
+    try {
+      const result = await this.productImageService.listImages(
+        req.params.productId
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Upload Image --------------------
+  // POST /products/:productId/images (multipart: image, optional sku)
+  async uploadImage(req, res, next) {
+    try {
+      const result = await this.productImageService.uploadImage(
+        req.params.productId,
+        req.file,
+        { sku: req.body?.sku },
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Delete Image --------------------
+  // DELETE /products/:productId/images/:imageId
+  async deleteImage(req, res, next) {
+    try {
+      const result = await this.productImageService.deleteImage(
+        req.params.productId,
+        req.params.imageId,
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Helpers --------------------
+  // Uploads are recorded against the user or API key making them
+  #actor(req) {
+    return { id: req.user?.id ?? `apiKey:${req.apiKey.prefix}` };
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * @file productRevisionController.js
+ * @description
+ * Controller class to handle HTTP requests for the revision history of products.
+ *
+ * Usage:
+ * import ProductRevisionController from './controllers/productRevisionController.js';
+ * const productRevisionController = new ProductRevisionController(productRevisionService, productService);
+ */
+import { productETag } from "../utils/etag.js";
+
+export default class ProductRevisionController {
+  /**
+   * @param {object} productRevisionService - Instance of ProductRevisionService injected via dependency injection
+   * @param {object} productService - Instance of ProductService, which applies reverts
+   */
+  constructor(productRevisionService, productService) {
+    this.productRevisionService = productRevisionService;
+    this.productService = productService;
+  }
+
+  // -------------------- List Revisions --------------------
+  // GET /products/:productId/revisions
+  async listRevisions(req, res, next) {
+    try {
+      const result = await this.productRevisionService.listRevisions(
+        req.params.productId,
+        req.query
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Get Revision --------------------
+  // GET /products/:productId/revisions/:revisionId
+  async getRevision(req, res, next) {
+    try {
+      const result = await this.productRevisionService.getRevision(
+        req.params.productId,
+        req.params.revisionId
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Revert to Revision --------------------
+  // POST /products/:productId/revisions/:revisionId/revert
+  async revert(req, res, next) {
+    try {
+      const result = await this.productService.revertToRevision(
+        req.params.productId,
+        req.params.revisionId,
+        req.user
+      );
+      res.set("ETag", productETag(result.data));
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
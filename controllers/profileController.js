@@ -0,0 +1,158 @@
+/**
+ * @file profileController.js
+ * @description
+ * Controller class to handle HTTP requests of authenticated users about their own account.
+ *
+ * Responsibilities:
+ * 1. Reads the authenticated user from req.user (set by verifyToken).
+ * 2. Delegates to profileService (account), sessionService (sessions) and
+ *    twoFactorService (two-factor authentication) for business logic.
+ * 3. Sends structured JSON responses with appropriate HTTP status codes.
+ * 4. Delegates errors to the global error handler using `next(err)`.
+ *
+ * Usage:
+ * import ProfileController from './controllers/profileController.js';
+ * const profileController = new ProfileController(profileService, sessionService, twoFactorService);
+ */
+export default class ProfileController {
+  /**
+   * @param {object} profileService - Instance of ProfileService injected via dependency injection
+   * @param {object} sessionService - Instance of SessionService injected via dependency injection
+   * @param {object} twoFactorService - Instance of TwoFactorService injected via dependency injection
+   */
+  constructor(profileService, sessionService, twoFactorService) {
+    this.profileService = profileService;
+    this.sessionService = sessionService;
+    this.twoFactorService = twoFactorService;
+  }
+
+  // -------------------- Get Profile --------------------
+  // GET /users/me
+  async getProfile(req, res, next) {
+    try {
+      const result = await this.profileService.getProfile(req.user.id);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Update Profile --------------------
+  // PATCH /users/me
+  async updateProfile(req, res, next) {
+    try {
+      const { fullName, email, currentPassword } = req.body ?? {};
+
+      const result = await this.profileService.updateProfile(req.user.id, {
+        fullName,
+        email,
+        currentPassword,
+      });
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Change Password --------------------
+  // POST /users/me/password
+  async changePassword(req, res, next) {
+    try {
+      const { currentPassword, newPassword } = req.body ?? {};
+
+      const result = await this.profileService.changePassword(
+        req.user.id,
+        { currentPassword, newPassword },
+        req.user.sid
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- List Sessions --------------------
+  // GET /users/me/sessions
+  async listSessions(req, res, next) {
+    try {
+      const result = await this.sessionService.listSessions(
+        req.user.id,
+        req.user.sid
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Revoke Session --------------------
+  // DELETE /users/me/sessions/:id
+  async revokeSession(req, res, next) {
+    try {
+      const result = await this.sessionService.revokeSession(
+        req.user.id,
+        req.params.id
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Two-Factor Setup --------------------
+  // POST /users/me/2fa/setup
+  async setupTwoFactor(req, res, next) {
+    try {
+      const result = await this.twoFactorService.setup(req.user.id);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Two-Factor Enable --------------------
+  // POST /users/me/2fa/enable
+  async enableTwoFactor(req, res, next) {
+    try {
+      const { code } = req.body ?? {};
+
+      const result = await this.twoFactorService.enable(req.user.id, { code });
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Two-Factor Disable --------------------
+  // POST /users/me/2fa/disable
+  async disableTwoFactor(req, res, next) {
+    try {
+      const { password, code, recoveryCode } = req.body ?? {};
+
+      const result = await this.twoFactorService.disable(req.user.id, {
+        password,
+        code,
+        recoveryCode,
+      });
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Regenerate Recovery Codes --------------------
+  // POST /users/me/2fa/recovery-codes
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const { code } = req.body ?? {};
+
+      const result = await this.twoFactorService.regenerateRecoveryCodes(
+        req.user.id,
+        { code }
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * @file reservationController.js
+ * @description
+ * Controller class to handle HTTP requests for stock reservations.
+ *
+ * The caller is passed to the service as an actor: the user (req.user) or API
+ * key (req.apiKey) making the request, and whether it holds inventory:manage.
+ *
+ * Usage:
+ * import ReservationController from './controllers/reservationController.js';
+ * const reservationController = new ReservationController(reservationService);
+ */
+import Permissions from "../constants/permissions.js";
+import { hasPermission } from "../middleware/auth/authorizePermission.js";
+
+export default class ReservationController {
+  /**
+   * @param {object} reservationService - Instance of ReservationService injected via dependency injection
+   */
+  constructor(reservationService) {
+    this.reservationService = reservationService;
+  }
+
+  // -------------------- Reserve --------------------
+  // POST /reservations
+  async reserve(req, res, next) {
+    try {
+      const { productId, sku, quantity } = req.body ?? {};
+
+      const result = await this.reservationService.reserve(
+        { productId, sku, quantity },
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Get Reservation --------------------
+  // GET /reservations/:id
+  async getReservation(req, res, next) {
+    try {
+      const result = await this.reservationService.getReservation(
+        req.params.id,
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Release --------------------
+  // POST /reservations/:id/release
+  async release(req, res, next) {
+    try {
+      const result = await this.reservationService.release(
+        req.params.id,
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Commit --------------------
+  // POST /reservations/:id/commit
+  async commit(req, res, next) {
+    try {
+      const result = await this.reservationService.commit(
+        req.params.id,
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Helpers --------------------
+  #actor(req) {
+    return {
+      userId: req.user?.id ?? null,
+      apiKeyId: req.apiKey?.id ?? null,
+      canManage: hasPermission(req, Permissions.INVENTORY_MANAGE),
+    };
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * @file reviewController.js
+ * @description
+ * Controller class to handle HTTP requests for product reviews.
+ *
+ * The caller is passed to the service as an actor: the authenticated user
+ * (req.user) and whether it holds review:moderate.
+ *
+ * Usage:
+ * import ReviewController from './controllers/reviewController.js';
+ * const reviewController = new ReviewController(reviewService);
+ */
+import Permissions from "../constants/permissions.js";
+import { hasPermission } from "../middleware/auth/authorizePermission.js";
+
+export default class ReviewController {
+  /**
+   * @param {object} reviewService - Instance of ReviewService injected via dependency injection
+   */
+  constructor(reviewService) {
+    this.reviewService = reviewService;
+  }
+
+  // -------------------- List Product Reviews --------------------
+  // GET /products/:productId/reviews?sort=newest|helpful&page=&pageSize=
+  async listProductReviews(req, res, next) {
+    try {
+      const result = await this.reviewService.listProductReviews(
+        req.params.productId,
+        req.query
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Create Review --------------------
+  // POST /products/:productId/reviews
+  async createReview(req, res, next) {
+    try {
+      const { rating, text } = req.body ?? {};
+
+      const result = await this.reviewService.createReview(
+        req.params.productId,
+        { rating, text },
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Update Review --------------------
+  // PATCH /reviews/:id
+  async updateReview(req, res, next) {
+    try {
+      const { rating, text } = req.body ?? {};
+
+      const result = await this.reviewService.updateReview(
+        req.params.id,
+        { rating, text },
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Delete Review --------------------
+  // DELETE /reviews/:id
+  async deleteReview(req, res, next) {
+    try {
+      const result = await this.reviewService.deleteReview(
+        req.params.id,
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Mark Helpful --------------------
+  // POST /reviews/:id/helpful
+  async markHelpful(req, res, next) {
+    try {
+      const result = await this.reviewService.markHelpful(
+        req.params.id,
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- List Reviews (Moderation) --------------------
+  // GET /reviews?status=&product=&page=&pageSize=
+  async listReviews(req, res, next) {
+    try {
+      const result = await this.reviewService.listReviews(req.query);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Moderate Review --------------------
+  // PATCH /reviews/:id/moderation
+  async moderateReview(req, res, next) {
+    try {
+      const { status, reason } = req.body ?? {};
+
+      const result = await this.reviewService.moderateReview(
+        req.params.id,
+        { status, reason },
+        this.#actor(req)
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Helpers --------------------
+  #actor(req) {
+    return {
+      id: req.user.id,
+      canModerate: hasPermission(req, Permissions.REVIEW_MODERATE),
+    };
+  }
+}
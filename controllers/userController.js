@@ -0,0 +1,128 @@
+/**
+ * @file userController.js
+ * @description
+ * Controller class to handle HTTP requests for admin user management.
+ *
+ * Responsibilities:
+ * 1. Receives HTTP requests and delegates to userService for business logic.
+ * 2. Passes the authenticated admin (req.user) along for audit and self-protection checks.
+ * 3. Sends structured JSON responses with appropriate HTTP status codes.
+ * 4. Delegates errors to the global error handler using `next(err)`.
+ *
+ * Usage:
+ * import UserController from './controllers/userController.js';
+ * const userController = new UserController(userService);
+ */
+export default class UserController {
+  /**
+   * @param {object} userService - Instance of UserService injected via dependency injection
+   */
+  constructor(userService) {
+    this.userService = userService;
+  }
+
+  // -------------------- List Users --------------------
+  // GET /users?q=&role=&status=&page=&pageSize=
+  async listUsers(req, res, next) {
+    try {
+      const result = await this.userService.listUsers(req.query);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Get User by ID --------------------
+  // GET /users/:id
+  async getUserById(req, res, next) {
+    try {
+      const result = await this.userService.getUserById(req.params.id);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Change Role --------------------
+  // PATCH /users/:id/role
+  async changeRole(req, res, next) {
+    try {
+      const result = await this.userService.changeRole(
+        req.params.id,
+        req.body.role,
+        req.user
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Disable / Enable --------------------
+  // PATCH /users/:id/status
+  async setStatus(req, res, next) {
+    try {
+      const result = await this.userService.setDisabled(
+        req.params.id,
+        req.body.disabled,
+        req.user
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Unlock Login --------------------
+  // POST /users/:id/unlock
+  async unlockLogin(req, res, next) {
+    try {
+      const result = await this.userService.unlockLogin(
+        req.params.id,
+        req.user
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- List Sessions --------------------
+  // GET /users/:id/sessions
+  async listSessions(req, res, next) {
+    try {
+      const result = await this.userService.listSessions(req.params.id);
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Sign Out Everywhere --------------------
+  // DELETE /users/:id/sessions
+  async signOutEverywhere(req, res, next) {
+    try {
+      const result = await this.userService.signOutEverywhere(
+        req.params.id,
+        req.user
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // -------------------- Reset Two-Factor --------------------
+  // DELETE /users/:id/2fa
+  async resetTwoFactor(req, res, next) {
+    try {
+      const result = await this.userService.resetTwoFactor(
+        req.params.id,
+        req.user
+      );
+      return res.status(result.statusCode).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
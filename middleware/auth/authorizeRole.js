@@ -4,7 +4,9 @@
  * Middleware for role-based authorization.
  *
  * Responsibilities:
- * 1. Ensure user is authenticated (req.user exists)
+ * 1. Ensure user is authenticated (req.user exists); API keys carry no role
+ *    and are always refused here (use authorizePermission for routes that
+ *    service clients may call)
  * 2. Check if user role matches allowed roles
  * 3. Throw ApiError (403) if not authorized
  *
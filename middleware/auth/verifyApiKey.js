@@ -0,0 +1,45 @@
+/**
+ * @file verifyApiKey.js
+ * @description
+ * API key authentication middleware for service clients.
+ *
+ * Responsibilities:
+ * 1. Read the key from the `X-API-Key` header.
+ * 2. Validate it (known, not revoked, not expired).
+ * 3. Attach the key info to req.apiKey.
+ *
+ * Requests without the header are passed through untouched so that the usual
+ * verifyToken chain handles them. verifyToken lets requests carrying req.apiKey
+ * through; authorizePermission then checks the key's scopes.
+ *
+ * @usage
+ * import verifyApiKey from './middleware/auth/verifyApiKey.js';
+ * router.use(verifyApiKey);
+ * router.use(verifyToken);
+ * router.post('/create', authorizePermission(Permissions.PRODUCT_CREATE), handler);
+ */
+
+import ApiKeyRepository from "../../Repositories/apiKeyRepository.js";
+import ApiKeyService from "../../services/auth/apiKeyService.js";
+
+const apiKeyService = new ApiKeyService(new ApiKeyRepository());
+
+export default async function verifyApiKey(req, res, next) {
+  try {
+    const rawKey = req.get("X-API-Key");
+    if (!rawKey) return next();
+
+    const apiKey = await apiKeyService.authenticate(rawKey);
+
+    req.apiKey = {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+    };
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -2,23 +2,33 @@
  * @file verifyToken.js
  * @description
  * JWT token verification middleware for protecting authenticated routes.
+ * Verifies the short-lived access token issued at login or refresh.
  *
  * Responsibilities:
- * 1. Extract JWT token from HTTP cookies.
+ * 1. Extract JWT token from the Authorization header (Bearer) or HTTP cookies.
  * 2. Verify token validity and expiration.
- * 3. Decode token and attach user data to request object.
- * 4. Handle token errors (invalid, expired) and respond with appropriate status codes.
+ * 3. Load the user and reject deleted or disabled accounts.
+ * 4. Reject tokens whose session has been signed out, and record session activity.
+ * 5. Decode token and attach user data to request object.
+ * 6. Handle token errors (invalid, expired) and respond with appropriate status codes.
  *
  * Middleware:
  * - verifyToken(req, res, next)
- *   - Checks for token in HTTP-only cookies
+ *   - Skips requests already authenticated by an API key (see verifyApiKey)
+ *   - Checks for token in the `Authorization: Bearer <jwt>` header, then in HTTP-only cookies
  *   - Verifies token using JWT_SECRET
- *   - Attaches decoded user info (id, email, role) to req.user
+ *   - Rejects tokens of users that no longer exist or have been disabled
+ *   - Rejects tokens whose session (sid) has been revoked or has expired
+ *   - Attaches decoded user info (id, email, role, sid, twoFactorEnabled) to
+ *     req.user, with the role and two-factor status taken from the database so
+ *     changes apply immediately
  *   - Throws ApiError if token is missing, invalid, or expired
  *
  * @dependencies
  * - jsonwebtoken: For decoding/verifying JWT
  * - ApiError: Custom error class for consistent API error responses
+ * - UserRepository: Loads the current state of the token's user
+ * - SessionService: Checks and updates the token's session
  *
  * @usage
  * import verifyToken from './middleware/auth/verifyToken.js';
@@ -27,11 +37,31 @@
 
 import jwt from "jsonwebtoken";
 import ApiError from "../../utils/ApiError.js";
+import jwtConfig from "../../config/jwt.js";
+import UserRepository from "../../Repositories/userRepository.js";
+import SessionRepository from "../../Repositories/sessionRepository.js";
+import RefreshTokenRepository from "../../Repositories/refreshTokenRepository.js";
+import SessionService from "../../services/auth/sessionService.js";
 
-export default function verifyToken(req, res, next) {
+const userRepository = new UserRepository();
+const sessionService = new SessionService(
+  new SessionRepository(),
+  new RefreshTokenRepository()
+);
+
+// Read a bearer token from the Authorization header, if any
+function extractBearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token : null;
+}
+
+export default async function verifyToken(req, res, next) {
   try {
-    // Extract JWT token from HTTP-only cookie
-    const token = req.cookies.token;
+    // Service clients authenticated by verifyApiKey carry no user token
+    if (req.apiKey) return next();
+
+    // Non-browser clients send the token as a bearer header; browsers use the HTTP-only cookie
+    const token = extractBearerToken(req) || req.cookies.token;
 
     // Check if token exists
     if (!token) {
@@ -43,10 +73,47 @@ export default function verifyToken(req, res, next) {
     }
 
     // Verify and decode the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, jwtConfig.secret);
+
+    // Purpose-bound tokens (e.g. email verification links) are not access tokens
+    if (decoded.purpose) {
+      throw new jwt.JsonWebTokenError("not an access token");
+    }
+
+    // The account may have been deleted or disabled since the token was issued
+    const user = await userRepository.findById(decoded.id);
+    if (!user) {
+      throw new ApiError({
+        message: "Invalid token",
+        statusCode: 401,
+        errorCode: "INVALID_TOKEN",
+      });
+    }
+    if (user.isDisabled) {
+      throw new ApiError({
+        message: "This account has been disabled",
+        statusCode: 403,
+        errorCode: "ACCOUNT_DISABLED",
+      });
+    }
+
+    // Signing a session out must take effect before its access token expires
+    const session = await sessionService.getActiveSession(decoded.sid);
+    if (!session || String(session.user) !== String(user._id)) {
+      throw new ApiError({
+        message: "This session has been signed out",
+        statusCode: 401,
+        errorCode: "SESSION_REVOKED",
+      });
+    }
+    await sessionService.recordActivity(session);
 
     // Attach decoded user info to request object
-    req.user = decoded;
+    req.user = {
+      ...decoded,
+      role: user.role,
+      twoFactorEnabled: user.twoFactor?.enabled === true,
+    };
 
     next(); // Pass control to the next middleware/route
   } catch (err) {
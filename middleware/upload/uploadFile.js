@@ -0,0 +1,86 @@
+/**
+ * @file uploadFile.js
+ * @description
+ * Middleware factory for multipart/form-data file uploads (multer, kept in memory).
+ *
+ * Responsibilities:
+ * 1. Read a single file from the given form field into req.file
+ *    ({ originalname, mimetype, size, buffer }).
+ * 2. Refuse files over the size limit or of a type that is not allowed.
+ * 3. Turn upload problems into ApiErrors (400 / 413 / 415).
+ *
+ * @usage
+ * import uploadFile from './middleware/upload/uploadFile.js';
+ * router.post('/import', uploadFile({ field: 'file', maxBytes, allowedTypes }), handler);
+ */
+
+import path from "path";
+import multer from "multer";
+import ApiError from "../../utils/ApiError.js";
+
+/**
+ * @param {Object} options
+ * @param {string} options.field - Form field holding the file
+ * @param {number} options.maxBytes - Largest accepted file
+ * @param {Object<string, string[]>} options.allowedTypes - Allowed extensions
+ * per MIME type, e.g. { "text/csv": [".csv"] }; a file passes when either its
+ * MIME type or its extension is allowed
+ * @returns {Function} Express middleware
+ */
+export default function uploadFile({ field, maxBytes, allowedTypes }) {
+  const extensions = Object.values(allowedTypes).flat();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, callback) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      const allowed =
+        file.mimetype in allowedTypes || extensions.includes(extension);
+
+      callback(
+        allowed
+          ? null
+          : new ApiError({
+              message: `File type not allowed. Accepted: ${extensions.join(", ")}`,
+              statusCode: 415,
+              errorCode: "UNSUPPORTED_FILE_TYPE",
+            }),
+        allowed
+      );
+    },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return next(
+          err.code === "LIMIT_FILE_SIZE"
+            ? new ApiError({
+                message: `File is too large (max ${Math.floor(maxBytes / 1024 / 1024)} MB)`,
+                statusCode: 413,
+                errorCode: "FILE_TOO_LARGE",
+              })
+            : new ApiError({
+                message: `Invalid upload: ${err.message}`,
+                statusCode: 400,
+                errorCode: "INVALID_UPLOAD",
+              })
+        );
+      }
+      if (err) return next(err);
+
+      if (!req.file) {
+        return next(
+          new ApiError({
+            message: `A file is required in the "${field}" form field`,
+            statusCode: 400,
+            errorCode: "MISSING_FILE",
+          })
+        );
+      }
+
+      next();
+    });
+  };
+}
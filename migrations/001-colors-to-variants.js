@@ -0,0 +1,55 @@
+/**
+ * Turns the per-color entries of every product into SKU variants:
+ * { color, images, quantity } → { sku, attributes: { color }, images, stock, reserved: 0 }.
+ * SKUs are generated as P<product id>-<COLOR> (with a number appended if a
+ * product lists the same color twice) and can be renamed afterwards.
+ */
+
+export const description = "Convert product colors to SKU variants";
+
+// Letters and digits of a color, joined by dashes ("Light Blue" → "LIGHT-BLUE")
+function skuPart(color) {
+  return (
+    String(color)
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "DEFAULT"
+  );
+}
+
+export async function up(db) {
+  const products = db.collection("Products");
+  const cursor = products.find(
+    { colors: { $exists: true }, variants: { $exists: false } },
+    { projection: { id: 1, colors: 1 } }
+  );
+
+  for await (const product of cursor) {
+    const used = new Set();
+    const variants = (product.colors ?? []).map((entry) => {
+      const base = `P${product.id ?? product._id}-${skuPart(entry.color)}`;
+      let sku = base;
+      for (let n = 2; used.has(sku); n += 1) sku = `${base}-${n}`;
+      used.add(sku);
+
+      return {
+        sku,
+        attributes: { color: entry.color },
+        images: entry.images ?? [],
+        stock: entry.quantity ?? 0,
+        reserved: 0,
+      };
+    });
+
+    await products.updateOne(
+      { _id: product._id },
+      { $set: { variants }, $unset: { colors: "" } }
+    );
+  }
+
+  // Same options as the schema index, which may have been built already
+  await products.createIndex(
+    { "variants.sku": 1 },
+    { unique: true, sparse: true }
+  );
+}
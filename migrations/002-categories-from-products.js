@@ -0,0 +1,86 @@
+/**
+ * Builds the category tree from the free-text category / sub-category strings
+ * of existing products and files every product under the new slugs.
+ * Each distinct category becomes a root category and each of its distinct
+ * sub-categories a child; sub-categories sharing a name under different
+ * parents get the parent slug as prefix ("men-shoes", "women-shoes").
+ */
+
+import { slugify } from "../utils/slug.js";
+
+export const description = "Create categories from product category strings";
+
+export async function up(db) {
+  const products = db.collection("Products");
+  const categories = db.collection("categories");
+
+  const pairs = await products
+    .aggregate([
+      {
+        $group: {
+          _id: { category: "$category", subCategory: "$subCategory" },
+        },
+      },
+    ])
+    .toArray();
+
+  const slugs = new Set(
+    (await categories.find({}, { projection: { slug: 1 } }).toArray()).map(
+      (c) => c.slug
+    )
+  );
+  const freeSlug = (preferred, fallback) => {
+    let slug = slugs.has(preferred) ? fallback : preferred;
+    for (let n = 2; slugs.has(slug); n += 1) slug = `${fallback}-${n}`;
+    slugs.add(slug);
+    return slug;
+  };
+
+  const now = new Date();
+  const roots = new Map(); // category string → { _id, slug }
+
+  for (const { _id: pair } of pairs) {
+    const name = String(pair.category ?? "").trim();
+    if (!name || roots.has(name)) continue;
+
+    const base = slugify(name) || "category";
+    const root = {
+      name,
+      slug: freeSlug(base, base),
+      parent: null,
+      ancestors: [],
+      order: 0,
+      image: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const { insertedId } = await categories.insertOne(root);
+    roots.set(name, { _id: insertedId, slug: root.slug });
+  }
+
+  for (const { _id: pair } of pairs) {
+    const parent = roots.get(String(pair.category ?? "").trim());
+    const name = String(pair.subCategory ?? "").trim();
+    if (!parent || !name) continue;
+
+    const base = slugify(name) || "category";
+    const child = {
+      name,
+      slug: freeSlug(base, `${parent.slug}-${base}`),
+      parent: parent._id,
+      ancestors: [parent._id],
+      order: 0,
+      image: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await categories.insertOne(child);
+
+    await products.updateMany(
+      { category: pair.category, subCategory: pair.subCategory },
+      { $set: { category: parent.slug, subCategory: child.slug } }
+    );
+  }
+
+  await categories.createIndex({ slug: 1 }, { unique: true });
+}
@@ -0,0 +1,22 @@
+/**
+ * Seeds the product id counter from the highest existing product id, so ids
+ * handed out by the counter continue where getLastId() + 1 left off.
+ * $max keeps a counter that is already ahead untouched.
+ */
+
+export const description = "Seed the product id counter from existing products";
+
+export async function up(db) {
+  const [result] = await db
+    .collection("Products")
+    .aggregate([{ $group: { _id: null, maxId: { $max: "$id" } } }])
+    .toArray();
+
+  await db
+    .collection("Counters")
+    .updateOne(
+      { _id: "productId" },
+      { $max: { seq: result?.maxId ?? 0 } },
+      { upsert: true }
+    );
+}
@@ -0,0 +1,19 @@
+/**
+ * Products created before the publishing workflow were all live. Marks them
+ * published (since their creation), so they stay visible now that new
+ * products start as drafts.
+ */
+
+export const description = "Publish products created before product statuses";
+
+export async function up(db) {
+  await db.collection("Products").updateMany({ status: { $exists: false } }, [
+    {
+      $set: {
+        status: "published",
+        publishAt: { $ifNull: ["$createdAt", "$$NOW"] },
+        unpublishAt: null,
+      },
+    },
+  ]);
+}
@@ -0,0 +1,43 @@
+/**
+ * Gives every product created before slugs one generated from its title
+ * (numbered when taken, oldest product first) and indexes the slugs.
+ */
+
+import { slugify } from "../utils/slug.js";
+import { RESERVED_PRODUCT_SLUGS } from "../models/productModel.js";
+
+export const description = "Generate slugs for existing products";
+
+export async function up(db) {
+  const products = db.collection("Products");
+
+  const slugs = new Set(RESERVED_PRODUCT_SLUGS);
+  const withSlugs = products.find(
+    { slug: { $type: "string" } },
+    { projection: { slug: 1, previousSlugs: 1 } }
+  );
+  for await (const product of withSlugs) {
+    [product.slug, ...(product.previousSlugs ?? [])].forEach((slug) =>
+      slugs.add(slug)
+    );
+  }
+
+  const withoutSlugs = products
+    .find({ slug: { $not: { $type: "string" } } }, { projection: { title: 1 } })
+    .sort({ id: 1 });
+  for await (const product of withoutSlugs) {
+    const base = slugify(product.title) || "product";
+    let slug = base;
+    for (let n = 2; slugs.has(slug); n += 1) slug = `${base}-${n}`;
+    slugs.add(slug);
+
+    await products.updateOne(
+      { _id: product._id },
+      { $set: { slug, previousSlugs: [] } }
+    );
+  }
+
+  // Same options as the schema index, which may have been built already
+  await products.createIndex({ slug: 1 }, { unique: true, sparse: true });
+  await products.createIndex({ previousSlugs: 1 });
+}
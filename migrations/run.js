@@ -0,0 +1,61 @@
+/**
+ * @file run.js
+ * @description
+ * Applies pending data migrations.
+ *
+ * Every other file in this directory is a migration exporting a `description`
+ * and an `async up(db)` that receives the native MongoDB database (so it is
+ * not bound by the current Mongoose schemas). Migrations run in file-name
+ * order and are recorded in the "Migrations" collection, so each one runs
+ * only once.
+ *
+ * @environment
+ * - MONGO_URI: MongoDB connection string (required).
+ *
+ * @example
+ *   npm run migrate
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import logger from "../middleware/logger/logger.js";
+
+const migrationsDir = path.dirname(fileURLToPath(import.meta.url));
+
+await connectDB();
+const db = mongoose.connection.db;
+const applied = db.collection("Migrations");
+
+const files = (await fs.readdir(migrationsDir))
+  .filter((file) => file.endsWith(".js") && file !== "run.js")
+  .sort();
+
+let exitCode = 0;
+try {
+  for (const file of files) {
+    const name = path.basename(file, ".js");
+    if (await applied.findOne({ name })) continue;
+
+    const migration = await import(
+      pathToFileURL(path.join(migrationsDir, file)).href
+    );
+    logger.info(`Applying migration [${name}]: ${migration.description}`);
+
+    await migration.up(db);
+    await applied.insertOne({ name, appliedAt: new Date() });
+    logger.info(`Migration [${name}] applied`);
+  }
+} catch (err) {
+  logger.error("Migration failed:", err);
+  exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
+
+process.exit(exitCode);
@@ -0,0 +1,73 @@
+/**
+ * @file apiKeyModel.js
+ * @description
+ * Defines the ApiKey schema and model for MongoDB using Mongoose.
+ *
+ * API keys authenticate service clients (back-office scripts, integrations).
+ * Keys look like `exk_<prefix>_<secret>`; only a SHA-256 hash of the full key
+ * is stored, the prefix is kept in clear so admins can recognise a key.
+ *
+ * Field Details:
+ * - name: required, human-readable label.
+ * - prefix: required, unique, public part of the key.
+ * - keyHash: required, unique, hidden, SHA-256 hex digest of the full key.
+ * - scopes: required, at least one of ApiKeyPermissions.
+ * - expiresAt: optional absolute expiry; null means the key never expires.
+ * - lastUsedAt: updated whenever the key authenticates a request.
+ * - revokedAt: set when an admin revokes the key.
+ * - createdBy: admin who created the key.
+ */
+
+import mongoose from "mongoose";
+import { ApiKeyPermissions } from "../constants/permissions.js";
+
+// -------------------- API Key Schema Definition --------------------
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: ApiKeyPermissions }],
+      validate: {
+        validator: (value) => value.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+export default mongoose.model("ApiKey", apiKeySchema);
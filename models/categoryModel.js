@@ -0,0 +1,75 @@
+/**
+ * @file categoryModel.js
+ * @description
+ * Defines the Category schema and model for MongoDB using Mongoose.
+ *
+ * Categories form a tree. Every category stores the ids of all its ancestors
+ * (root first), so the descendants of a category are found with a single
+ * indexed query. Products refer to categories by slug.
+ *
+ * Field Details:
+ * - name: required display name; can be renamed freely.
+ * - slug: required, unique URL identifier stored on products.
+ * - parent: ObjectId of the parent category, null for root categories.
+ * - ancestors: ObjectIds of every ancestor, root first (maintained by the service).
+ * - order: position among its siblings (lower first).
+ * - image: optional image URL.
+ *
+ * @example
+ * import Category from './models/categoryModel.js';
+ * await Category.create({ name: "Keyboards", slug: "keyboards", parent, ancestors });
+ */
+
+import mongoose from "mongoose";
+import validator from "validator";
+import { SLUG_PATTERN } from "../utils/slug.js";
+
+// -------------------- Category Schema Definition --------------------
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [60, "Name cannot exceed 60 characters"],
+    },
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      match: [
+        SLUG_PATTERN,
+        "Slug may only contain lowercase letters, digits and single dashes",
+      ],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    ancestors: {
+      type: [mongoose.Schema.Types.ObjectId],
+      index: true,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    image: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (value) => value === null || validator.isURL(value),
+        message: "Image must be a valid URL",
+      },
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Children of a category in display order
+categorySchema.index({ parent: 1, order: 1, name: 1 });
+
+export default mongoose.model("Category", categorySchema);
@@ -0,0 +1,36 @@
+/**
+ * @file counterModel.js
+ * @description
+ * Defines the Counter schema and model for MongoDB using Mongoose.
+ *
+ * A counter hands out sequential numbers (product ids, order numbers, ...)
+ * without races: each number comes from a single atomic increment, so two
+ * concurrent callers can never get the same one.
+ *
+ * Field Details:
+ * - _id: name of the sequence (one of Counters).
+ * - seq: last number handed out.
+ *
+ * @example
+ * import CounterRepository from './Repositories/counterRepository.js';
+ * const orderNumber = await counterRepository.next(Counters.ORDER_NUMBER);
+ */
+
+import mongoose from "mongoose";
+
+// Names of the sequences in use
+export const Counters = Object.freeze({
+  PRODUCT_ID: "productId",
+  ORDER_NUMBER: "orderNumber",
+});
+
+// -------------------- Counter Schema Definition --------------------
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { versionKey: false }
+);
+
+export default mongoose.model("Counter", counterSchema, "Counters");
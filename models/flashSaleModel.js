@@ -0,0 +1,106 @@
+/**
+ * @file flashSaleModel.js
+ * @description
+ * Defines the FlashSale schema and model for MongoDB using Mongoose.
+ *
+ * A flash sale discounts a list of products (or some of their variants)
+ * between a start and an end time. The sale is the source of truth; every
+ * product in it also carries a copy of the rule in `flashSales`, so listings
+ * can filter and price by the current time without reading the sales.
+ *
+ * Field Details:
+ * - name: label shown to customers.
+ * - startsAt / endsAt: the sale applies from startsAt (inclusive) to endsAt (exclusive).
+ * - discount: { type: "percentage" | "fixed", value } taken off the regular price.
+ * - items: [{ product, skus }] numeric product ids; an empty `skus` means every variant.
+ * - perCustomerLimit: most units one customer may buy during the sale, null for no limit.
+ * - createdBy / updatedBy: user id or "apiKey:<prefix>".
+ *
+ * @example
+ * import FlashSale from './models/flashSaleModel.js';
+ * await FlashSale.create({ name: "Midnight deals", startsAt, endsAt, discount: { type: "percentage", value: 30 }, items: [{ product: 12 }] });
+ */
+
+import mongoose from "mongoose";
+
+export const DiscountTypes = Object.freeze({
+  PERCENTAGE: "percentage",
+  FIXED: "fixed",
+});
+
+export const FlashSaleStatus = Object.freeze({
+  SCHEDULED: "scheduled",
+  ACTIVE: "active",
+  ENDED: "ended",
+});
+
+// -------------------- Sub-Schemas --------------------
+const discountSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(DiscountTypes),
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: [0.01, "Discount must be more than 0"],
+    },
+  },
+  { _id: false }
+);
+
+const itemSchema = new mongoose.Schema(
+  {
+    product: { type: Number, required: true },
+    skus: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+// -------------------- Flash Sale Schema Definition --------------------
+const flashSaleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name must be at most 100 characters"],
+    },
+    startsAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, "End time is required"],
+    },
+    discount: {
+      type: discountSchema,
+      required: [true, "Discount is required"],
+    },
+    items: {
+      type: [itemSchema],
+      validate: {
+        validator: (value) => value.length > 0,
+        message: "At least one product is required",
+      },
+    },
+    perCustomerLimit: {
+      type: Number,
+      default: null,
+      min: [1, "Per-customer limit must be at least 1"],
+    },
+    createdBy: { type: String, default: null },
+    updatedBy: { type: String, default: null },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Finds the sales of a product and sales overlapping a window
+flashSaleSchema.index({ "items.product": 1, startsAt: 1, endsAt: 1 });
+
+export default mongoose.model("FlashSale", flashSaleSchema);
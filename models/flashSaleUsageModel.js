@@ -0,0 +1,44 @@
+/**
+ * @file flashSaleUsageModel.js
+ * @description
+ * Defines the FlashSaleUsage schema and model for MongoDB using Mongoose.
+ *
+ * Counts the units one customer holds or bought in a flash sale, so the
+ * sale's per-customer limit can be enforced atomically.
+ *
+ * Field Details:
+ * - sale: ObjectId reference to the flash sale.
+ * - user: ObjectId reference to the customer.
+ * - quantity: units reserved (active) or bought (committed) during the sale.
+ */
+
+import mongoose from "mongoose";
+
+// -------------------- Flash Sale Usage Schema Definition --------------------
+const flashSaleUsageSchema = new mongoose.Schema(
+  {
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FlashSale",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// One counter per customer and sale
+flashSaleUsageSchema.index({ sale: 1, user: 1 }, { unique: true });
+
+export default mongoose.model("FlashSaleUsage", flashSaleUsageSchema);
@@ -0,0 +1,47 @@
+/**
+ * @file loginAttemptModel.js
+ * @description
+ * Defines the LoginAttempt schema and model for MongoDB using Mongoose.
+ *
+ * One document tracks the recent failed logins of a single throttling key,
+ * e.g. "account:user@example.com" or "ip:203.0.113.7".
+ *
+ * Field Details:
+ * - key: required, unique, throttling key.
+ * - failures: number of failed attempts in the current window.
+ * - lockedUntil: logins for this key are refused until this time.
+ * - expiresAt: TTL; the document (and its counter) disappears after a quiet period.
+ */
+
+import mongoose from "mongoose";
+
+// -------------------- Login Attempt Schema Definition --------------------
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Forget counters once they have been quiet long enough
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
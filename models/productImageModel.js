@@ -0,0 +1,65 @@
+/**
+ * @file productImageModel.js
+ * @description
+ * Defines the ProductImage schema and model for MongoDB using Mongoose.
+ *
+ * A product image is a file uploaded for a product. Its URL is used as the
+ * product's main image or as an image of one of its variants; once the
+ * product no longer uses it, the file and this record are removed.
+ *
+ * Field Details:
+ * - product: numeric id of the product the image was uploaded for.
+ * - key: storage key of the file (e.g. "products/12/1f2e3d4c5b6a7988.png").
+ * - url: public URL of the file.
+ * - contentType: detected MIME type of the image.
+ * - size: file size in bytes.
+ * - originalName: file name sent by the client.
+ * - uploadedBy: user id or "apiKey:<prefix>" of the uploader.
+ *
+ * @example
+ * import ProductImage from './models/productImageModel.js';
+ * await ProductImage.create({ product: 12, key, url, contentType: "image/png", size: 48213 });
+ */
+
+import mongoose from "mongoose";
+
+// -------------------- Product Image Schema Definition --------------------
+const productImageSchema = new mongoose.Schema(
+  {
+    product: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      trim: true,
+    },
+    uploadedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+export default mongoose.model("ProductImage", productImageSchema);
@@ -1,14 +1,51 @@
 import mongoose from "mongoose";
 import validator from "validator";
+import { SLUG_PATTERN } from "../utils/slug.js";
 
-// -------------------- Color Sub-Schema --------------------
-const colorSchema = new mongoose.Schema(
+// Publishing workflow of a product (see utils/visibility.js for who sees what)
+export const ProductStatus = Object.freeze({
+  DRAFT: "draft",
+  SCHEDULED: "scheduled",
+  PUBLISHED: "published",
+  UNLISTED: "unlisted",
+});
+
+// GET /products/slug/reviews would reach the review router (mounted at
+// /products/:productId/reviews) instead of the slug lookup; same for the others
+export const RESERVED_PRODUCT_SLUGS = Object.freeze([
+  "images",
+  "reviews",
+  "revisions",
+]);
+
+// -------------------- Variant Sub-Schemas --------------------
+// Attributes telling the variants of a product apart
+const attributesSchema = new mongoose.Schema(
+  {
+    color: { type: String, trim: true },
+    size: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+// A purchasable SKU of a product with its own stock
+const variantSchema = new mongoose.Schema(
   {
-    color: {
+    sku: {
       type: String,
-      required: [true, "Color is required"],
+      required: [true, "SKU is required"],
       trim: true,
-      minlength: [1, "Color cannot be empty"],
+      uppercase: true,
+      match: [
+        /^[A-Z0-9][A-Z0-9._-]{0,63}$/,
+        "SKU may only contain letters, digits, dots, dashes and underscores",
+      ],
+    },
+    attributes: { type: attributesSchema, default: () => ({}) },
+    // Overrides the product price for this variant
+    price: {
+      type: Number,
+      min: [1, "Variant price must be more than 0"],
     },
     images: {
       type: [String],
@@ -17,15 +54,39 @@ const colorSchema = new mongoose.Schema(
         message: "Images must be an array of strings",
       },
     },
-    quantity: {
+    // Units available for sale
+    stock: {
+      type: Number,
+      required: [true, "Stock is required"],
+      min: [0, "Stock cannot be negative"],
+    },
+    // Units held by active reservations (maintained by the reservation service)
+    reserved: {
       type: Number,
-      required: [true, "Quantity is required"],
-      min: [0, "Quantity cannot be negative"],
+      default: 0,
+      min: [0, "Reserved stock cannot be negative"],
     },
   },
   { _id: false }
 );
 
+// Copy of a flash sale rule on each product it covers (kept in sync by the
+// flash sale service); lets listings filter and price by the current time
+const flashSaleEntrySchema = new mongoose.Schema(
+  {
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: "FlashSale" },
+    name: String,
+    startsAt: Date,
+    endsAt: Date,
+    discountType: String,
+    discountValue: Number,
+    // Discounted variants; empty means every variant
+    skus: [String],
+    perCustomerLimit: Number,
+  },
+  { _id: false }
+);
+
 // -------------------- Product Schema --------------------
 const productSchema = new mongoose.Schema(
   {
@@ -40,6 +101,27 @@ const productSchema = new mongoose.Schema(
       minlength: [7, "Title must be at least 7 characters"],
     },
 
+    // URL identifier, generated from the title on create and kept when the
+    // title changes (the product service sets it and keeps it unique). The
+    // index is sparse: products created before slugs have none until
+    // migration 005 runs
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      match: [
+        SLUG_PATTERN,
+        "Slug may only contain lowercase letters, digits and single dashes",
+      ],
+      validate: {
+        validator: (slug) => !RESERVED_PRODUCT_SLUGS.includes(slug),
+        message: (props) => `Slug "${props.value}" is reserved`,
+      },
+    },
+    // Earlier slugs, still found by GET /products/slug/:slug so old links
+    // can be redirected; never given to another product
+    previousSlugs: { type: [String], index: true },
+
     price: {
       type: Number,
       required: [true, "Price is required"],
@@ -57,15 +139,16 @@ const productSchema = new mongoose.Schema(
       },
     },
 
+    // Rating summary of the published reviews (maintained by the review service)
     ratingCount: {
       type: Number,
-      required: [true, "Rating count is required"],
+      default: 0,
       min: [0, "Rating count cannot be negative"],
     },
 
     avgRate: {
       type: Number,
-      required: [true, "Average rating is required"],
+      default: 0,
       min: [0, "Rating cannot be less than 0"],
       max: [5, "Rating cannot be more than 5"],
     },
@@ -100,20 +183,98 @@ const productSchema = new mongoose.Schema(
 
     isFeatured: { type: Boolean },
 
-    isFlash: { type: Boolean },
+    // New products start as drafts; customers only see them once published
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(ProductStatus),
+        message: `Status must be one of: ${Object.values(ProductStatus).join(", ")}`,
+      },
+      default: ProductStatus.DRAFT,
+    },
 
-    colors: {
-      type: [colorSchema],
-      required: [true, "Colors are required"],
+    // Visible from (required for scheduled products; set when published)
+    publishAt: {
+      type: Date,
+      default: null,
       validate: {
-        validator: (value) => value.length > 0,
-        message: "At least one color is required",
+        validator: function (value) {
+          return this.status !== ProductStatus.SCHEDULED || Boolean(value);
+        },
+        message: "Scheduled products need a publishAt date",
       },
     },
+
+    // Hidden again from (optional)
+    unpublishAt: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (value) {
+          return !value || !this.publishAt || value > this.publishAt;
+        },
+        message: "unpublishAt must be after publishAt",
+      },
+    },
+
+    // Scheduled, running and recently ended flash sales of the product;
+    // `isFlash` in responses tells whether one is running now
+    flashSales: { type: [flashSaleEntrySchema], default: [] },
+
+    variants: {
+      type: [variantSchema],
+      required: [true, "Variants are required"],
+      validate: [
+        {
+          validator: (value) => value.length > 0,
+          message: "At least one variant is required",
+        },
+        {
+          validator: (value) =>
+            new Set(value.map((variant) => variant.sku)).size === value.length,
+          message: "Variant SKUs must be unique",
+        },
+      ],
+    },
+
+    // Soft deletion: archived products are hidden from the public views
+    // until restored or purged
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: String, default: null },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    // __v is the product's version (its ETag): every save increments it and
+    // fails with a VersionError if another write got there first. Edits made
+    // with atomic updates (images, archiving, stock reservations, ratings,
+    // flash sales) increment it in the repository.
+    optimisticConcurrency: true,
+  }
 );
 
+// -------------------- Publishing --------------------
+// A product published without a date goes live now; the date records when
+productSchema.pre("validate", function () {
+  if (this.status === ProductStatus.PUBLISHED && !this.publishAt) {
+    this.publishAt = new Date();
+  }
+});
+
+// -------------------- Text Index (Keyword Search) --------------------
+// Matches in the title count most, then the category, then the description
+productSchema.index(
+  { title: "text", category: "text", subCategory: "text", description: "text" },
+  {
+    name: "product_text_search",
+    weights: { title: 10, category: 5, subCategory: 5, description: 1 },
+  }
+);
+
+// -------------------- SKU Index --------------------
+// A SKU identifies one variant across the whole catalog. Sparse, so the index
+// also builds on products still waiting for migration 001 to give them variants
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+
 // Create the Product model and specify the collection name as "Products"
 const Product = mongoose.model("Product", productSchema, "Products");
 
@@ -0,0 +1,84 @@
+/**
+ * @file productRevisionModel.js
+ * @description
+ * Defines the ProductRevision schema and model for MongoDB using Mongoose.
+ *
+ * A revision is recorded for every create, update, delete (archive), restore,
+ * purge and revert of a product, so earlier prices, descriptions or stock levels can be looked up
+ * and restored. Revisions are never changed after they are written.
+ *
+ * Field Details:
+ * - product: numeric id of the product.
+ * - action: what happened (see RevisionActions).
+ * - actor: user id or "apiKey:<prefix>" of who made the change.
+ * - changes: changed fields ({ field, from, to }); empty for purges.
+ * - snapshot: the product after the change (before it, for purges).
+ * - revertedTo: for reverts, the revision the product was reverted to.
+ *
+ * @example
+ * import ProductRevision from './models/productRevisionModel.js';
+ * await ProductRevision.find({ product: 12 }).sort({ createdAt: -1 });
+ */
+
+import mongoose from "mongoose";
+
+export const RevisionActions = Object.freeze({
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  RESTORE: "restore",
+  PURGE: "purge",
+  REVERT: "revert",
+});
+
+// -------------------- Change Sub-Schema --------------------
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// -------------------- Product Revision Schema Definition --------------------
+const productRevisionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: Object.values(RevisionActions),
+      required: true,
+    },
+    actor: {
+      type: String,
+      default: null,
+    },
+    changes: {
+      type: [changeSchema],
+      default: [],
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    revertedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProductRevision",
+      default: null,
+    },
+  },
+  {
+    // Revisions are immutable, so only the creation time is kept
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  }
+);
+
+// History of a product, newest first
+productRevisionSchema.index({ product: 1, createdAt: -1 });
+
+export default mongoose.model("ProductRevision", productRevisionSchema);
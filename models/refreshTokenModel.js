@@ -0,0 +1,67 @@
+/**
+ * @file refreshTokenModel.js
+ * @description
+ * Defines the RefreshToken schema and model for MongoDB using Mongoose.
+ *
+ * Responsibilities:
+ * 1. Stores a SHA-256 hash of every refresh token issued (never the raw token).
+ * 2. Groups tokens issued from the same login into a "family" so that a reused
+ *    (already rotated) token can revoke every token descended from that login.
+ * 3. Expires documents automatically through a TTL index on expiresAt.
+ *
+ * Field Details:
+ * - user: required, ObjectId reference to the owning User.
+ * - tokenHash: required, unique, SHA-256 hex digest of the raw token.
+ * - family: required, id of the Session (one login) all these tokens were rotated from.
+ * - expiresAt: required, absolute expiry of the token.
+ * - revokedAt: set when the token is rotated, logged out, or its family is revoked.
+ * - replacedBy: hash of the token that replaced this one during rotation.
+ *
+ * @example
+ * import RefreshToken from './models/refreshTokenModel.js';
+ * await RefreshToken.create({ user, tokenHash, family, expiresAt });
+ */
+
+import mongoose from "mongoose";
+
+// -------------------- Refresh Token Schema Definition --------------------
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Remove tokens from the collection once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,43 @@
+/**
+ * @file reservationHoldModel.js
+ * @description
+ * Defines the ReservationHold schema and model for MongoDB using Mongoose.
+ *
+ * Counts the units of one variant a buyer holds in active reservations, so
+ * the per-buyer limit (RESERVATION_MAX_QUANTITY) can be enforced atomically.
+ *
+ * Field Details:
+ * - user: ObjectId reference to the buyer.
+ * - sku: SKU of the variant.
+ * - quantity: units held by the buyer's active reservations of the variant.
+ */
+
+import mongoose from "mongoose";
+
+// -------------------- Reservation Hold Schema Definition --------------------
+const reservationHoldSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// One counter per buyer and variant
+reservationHoldSchema.index({ user: 1, sku: 1 }, { unique: true });
+
+export default mongoose.model("ReservationHold", reservationHoldSchema);
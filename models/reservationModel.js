@@ -0,0 +1,95 @@
+/**
+ * @file reservationModel.js
+ * @description
+ * Defines the Reservation schema and model for MongoDB using Mongoose.
+ *
+ * A reservation holds units of one product variant for a buyer during
+ * checkout. The units leave the variant's stock when the reservation is made;
+ * committing it (after payment) makes the sale final, releasing it or letting
+ * it expire returns them to stock.
+ *
+ * Field Details:
+ * - product: numeric id of the product.
+ * - sku: SKU of the reserved variant.
+ * - quantity: number of units held (at least 1).
+ * - unitPrice: price of one unit when reserved (the flash sale price during a sale).
+ * - flashSale: ObjectId reference to the flash sale the price comes from, if any.
+ * - user: ObjectId reference to the buyer, null for service clients.
+ * - apiKey: ObjectId reference to the API key that made it, if any.
+ * - status: active, committed, released or expired.
+ * - expiresAt: an active reservation is released automatically after this time.
+ * - completedAt: when the reservation was committed, released or expired.
+ *
+ * @example
+ * import Reservation from './models/reservationModel.js';
+ * await Reservation.create({ product: 12, sku: "TSHIRT-RED-M", quantity: 1, user, expiresAt });
+ */
+
+import mongoose from "mongoose";
+
+export const ReservationStatus = Object.freeze({
+  ACTIVE: "active",
+  COMMITTED: "committed",
+  RELEASED: "released",
+  EXPIRED: "expired",
+});
+
+// -------------------- Reservation Schema Definition --------------------
+const reservationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: Number,
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, "Quantity must be at least 1"],
+    },
+    unitPrice: {
+      type: Number,
+      default: null,
+    },
+    flashSale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FlashSale",
+      default: null,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: Object.values(ReservationStatus),
+      default: ReservationStatus.ACTIVE,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Lets the expiry sweep find overdue active reservations quickly
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model("Reservation", reservationSchema);
@@ -0,0 +1,94 @@
+/**
+ * @file reviewModel.js
+ * @description
+ * Defines the Review schema and model for MongoDB using Mongoose.
+ *
+ * Each user can review a product once. Only published reviews are shown
+ * publicly and count towards the product's avgRate and ratingCount.
+ *
+ * Field Details:
+ * - product: numeric id of the reviewed product.
+ * - user: required, ObjectId reference to the author.
+ * - rating: whole number of stars, 1 to 5.
+ * - text: the review itself, up to 2000 characters.
+ * - status: published (default) or hidden by a moderator.
+ * - moderation: reason, moderator and time of the last moderation decision.
+ * - helpfulCount: number of users who marked the review as helpful.
+ * - helpfulVoters: users who marked it helpful (hidden by default; one vote each).
+ *
+ * @example
+ * import Review from './models/reviewModel.js';
+ * await Review.create({ product: 12, user, rating: 5, text: "Great keyboard" });
+ */
+
+import mongoose from "mongoose";
+
+export const ReviewStatus = Object.freeze({
+  PUBLISHED: "published",
+  HIDDEN: "hidden",
+});
+
+// -------------------- Review Schema Definition --------------------
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: Number,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [1, "Rating must be at least 1"],
+      max: [5, "Rating cannot be more than 5"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number",
+      },
+    },
+    text: {
+      type: String,
+      required: [true, "Review text is required"],
+      trim: true,
+      maxlength: [2000, "Review text cannot exceed 2000 characters"],
+    },
+    status: {
+      type: String,
+      enum: Object.values(ReviewStatus),
+      default: ReviewStatus.PUBLISHED,
+    },
+    moderation: {
+      reason: { type: String, default: null },
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      moderatedAt: { type: Date, default: null },
+    },
+    helpfulCount: {
+      type: Number,
+      default: 0,
+    },
+    helpfulVoters: {
+      type: [mongoose.Schema.Types.ObjectId],
+      select: false,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// One review per user and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+// Public listings: newest and most helpful first
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, status: 1, helpfulCount: -1 });
+
+export default mongoose.model("Review", reviewSchema);
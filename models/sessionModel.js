@@ -0,0 +1,68 @@
+/**
+ * @file sessionModel.js
+ * @description
+ * Defines the Session schema and model for MongoDB using Mongoose.
+ *
+ * A session is created on every successful login. Its id is carried in the
+ * access token (`sid`) and is the family of every refresh token rotated from
+ * that login, so revoking a session signs that device out.
+ *
+ * Field Details:
+ * - user: required, ObjectId reference to the owning User.
+ * - userAgent: raw User-Agent header of the login request.
+ * - device: short human-readable description derived from the user agent.
+ * - ip: client IP of the login, updated on refresh.
+ * - lastSeenAt: last time the session authenticated a request or refreshed.
+ * - expiresAt: expiry of the session's current refresh token (TTL index).
+ * - revokedAt: set on logout or remote sign-out.
+ *
+ * @example
+ * import Session from './models/sessionModel.js';
+ * await Session.create({ user, userAgent, device, ip, expiresAt });
+ */
+
+import mongoose from "mongoose";
+
+// -------------------- Session Schema Definition --------------------
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt fields
+  }
+);
+
+// Remove sessions from the collection once their last refresh token expires
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
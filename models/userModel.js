@@ -14,6 +14,15 @@
  * - email: required, unique, lowercase, trimmed, validated as a proper email (English only).
  * - password: required, minimum length 6, hashed before saving.
  * - role: optional, enum (user/admin), defaults to 'user'.
+ * - passwordResetTokenHash / passwordResetExpiresAt: hidden, hash and expiry of the
+ *   pending single-use password reset token.
+ * - passwordChangedAt: set whenever the password is changed after registration.
+ * - isEmailVerified: whether the user has proven ownership of the email, defaults to false.
+ * - emailVerificationSentAt: when the last verification email was sent (resend cooldown).
+ * - isDisabled / disabledAt: set by admins to block an account from logging in.
+ * - twoFactor: TOTP two-factor authentication. `enabled` and `enabledAt` are public;
+ *   the secret, the secret awaiting confirmation, the recovery code hashes and the
+ *   last accepted time step (replay protection) are hidden.
  *
  * Middleware:
  * - pre("save"): hashes password if modified or new.
@@ -80,6 +89,63 @@ const userSchema = new mongoose.Schema(
       enum: Object.values(ROLES),
       default: ROLES.USER,
     },
+    // Password reset (only the SHA-256 hash of the emailed token is stored)
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+      index: true,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Email verification
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+    },
+    // Account status (managed by admins)
+    isDisabled: {
+      type: Boolean,
+      default: false,
+    },
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+    // Two-factor authentication (TOTP)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodeHashes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
   },
 
   {
@@ -93,6 +159,9 @@ userSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified (or is new)
   if (!this.isModified("password")) return next();
 
+  // Record when an existing account changes its password
+  if (!this.isNew) this.passwordChangedAt = new Date();
+
   // Hash the password with bcrypt
   const salt = await bcrypt.genSalt(10);
 
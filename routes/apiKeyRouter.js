@@ -0,0 +1,49 @@
+/**
+ * @file apiKeyRouter.js
+ * @description
+ * Factory function to create an Express router for admin API key management.
+ * Every route requires a user with the apiKey:manage permission (API keys
+ * cannot manage API keys).
+ *
+ * Routes:
+ * - GET /api-keys → List keys
+ * - POST /api-keys → Create a key (the plain key is returned only once)
+ * - DELETE /api-keys/:id → Revoke a key
+ *
+ * Usage:
+ * import createApiKeyRouter from './routes/apiKeyRouter.js';
+ * app.use('/api-keys', createApiKeyRouter(apiKeyController));
+ */
+
+import express from "express";
+import Permissions from "../constants/permissions.js";
+import authorizePermission from "../middleware/auth/authorizePermission.js";
+import verifyToken from "../middleware/auth/verifyToken.js";
+
+export default function createApiKeyRouter(apiKeyController) {
+  const router = express.Router(); // Create a new Express router instance
+
+  // -------------------- Protected Routes --------------------
+  router.use(verifyToken);
+  router.use(authorizePermission(Permissions.API_KEY_MANAGE));
+
+  // -------------------- List Keys Route --------------------
+  // GET /api-keys
+  router.get("/", (req, res, next) =>
+    apiKeyController.listKeys(req, res, next)
+  );
+
+  // -------------------- Create Key Route --------------------
+  // POST /api-keys
+  router.post("/", (req, res, next) =>
+    apiKeyController.createKey(req, res, next)
+  );
+
+  // -------------------- Revoke Key Route --------------------
+  // DELETE /api-keys/:id
+  router.delete("/:id", (req, res, next) =>
+    apiKeyController.revokeKey(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
@@ -5,12 +5,19 @@
  *
  * Responsibilities:
  * 1. Receives a userController as a parameter.
- * 2. Defines routes for user actions (login, signup).
+ * 2. Defines routes for user actions (login, signup, refresh, logout).
  * 3. Returns a configured router instance ready to be mounted on the app.
  *
  * Routes:
  * - POST /users/login → Calls userController.login
+ * - POST /users/login/2fa → Calls userController.loginTwoFactor
  * - POST /users/signup → Calls userController.signup
+ * - POST /users/refresh → Calls userController.refresh
+ * - POST /users/logout → Calls userController.logout
+ * - POST /users/forgot-password → Calls userController.forgotPassword
+ * - POST /users/reset-password → Calls userController.resetPassword
+ * - POST /users/verify-email → Calls userController.verifyEmail
+ * - POST /users/resend-verification → Calls userController.resendVerification
  *
  * Usage:
  * import createUserRouter from './routes/authRouter.js';
@@ -41,6 +48,13 @@ export default function createAuthRouter(authController) {
     authController.login(req, res, next)
   );
 
+  // -------------------- Two-Factor Login Route --------------------
+  // POST /users/login/2fa
+  // Second step of a login for accounts with two-factor authentication
+  router.post("/login/2fa", (req, res, next) =>
+    authController.loginTwoFactor(req, res, next)
+  );
+
   // -------------------- Signup Route --------------------
   // POST /users/signup
   // Calls the signup method of the controller
@@ -48,5 +62,47 @@ export default function createAuthRouter(authController) {
     authController.register(req, res, next);
   });
 
+  // -------------------- Refresh Route --------------------
+  // POST /users/refresh
+  // Rotates the refresh token cookie and issues a new access token
+  router.post("/refresh", (req, res, next) =>
+    authController.refresh(req, res, next)
+  );
+
+  // -------------------- Logout Route --------------------
+  // POST /users/logout
+  // Revokes the current refresh token family and clears auth cookies
+  router.post("/logout", (req, res, next) =>
+    authController.logout(req, res, next)
+  );
+
+  // -------------------- Forgot Password Route --------------------
+  // POST /users/forgot-password
+  // Emails a single-use password reset link
+  router.post("/forgot-password", (req, res, next) =>
+    authController.forgotPassword(req, res, next)
+  );
+
+  // -------------------- Reset Password Route --------------------
+  // POST /users/reset-password
+  // Sets a new password using the emailed reset token
+  router.post("/reset-password", (req, res, next) =>
+    authController.resetPassword(req, res, next)
+  );
+
+  // -------------------- Verify Email Route --------------------
+  // POST /users/verify-email
+  // Confirms email ownership using the signed link sent at registration
+  router.post("/verify-email", (req, res, next) =>
+    authController.verifyEmail(req, res, next)
+  );
+
+  // -------------------- Resend Verification Route --------------------
+  // POST /users/resend-verification
+  // Sends a new verification link (rate limited by a cooldown)
+  router.post("/resend-verification", (req, res, next) =>
+    authController.resendVerification(req, res, next)
+  );
+
   return router; // Return the configured router
 }
@@ -0,0 +1,65 @@
+/**
+ * @file categoryRouter.js
+ * @description
+ * Factory function to create an Express router for the category tree.
+ * Reading is public; changes require a logged-in user or an API key holding
+ * the category:manage permission.
+ *
+ * Routes:
+ * - GET /categories → Whole tree, children nested in display order
+ * - GET /categories/:slug → One category with its path and direct children
+ * - POST /categories → Create a category
+ * - PATCH /categories/:id → Rename, re-slug, move, re-order or change the image
+ * - DELETE /categories/:id → Delete a category without sub-categories or products
+ *
+ * Usage:
+ * import createCategoryRouter from './routes/categoryRouter.js';
+ * app.use('/categories', createCategoryRouter(categoryController));
+ */
+
+import express from "express";
+import Permissions from "../constants/permissions.js";
+import authorizePermission from "../middleware/auth/authorizePermission.js";
+import verifyApiKey from "../middleware/auth/verifyApiKey.js";
+import verifyToken from "../middleware/auth/verifyToken.js";
+
+export default function createCategoryRouter(categoryController) {
+  const router = express.Router(); // Create a new Express router instance
+
+  // -------------------- Get Tree Route --------------------
+  // GET /categories
+  router.get("/", (req, res, next) =>
+    categoryController.getTree(req, res, next)
+  );
+
+  // -------------------- Get Category Route --------------------
+  // GET /categories/:slug
+  router.get("/:slug", (req, res, next) =>
+    categoryController.getCategory(req, res, next)
+  );
+
+  // -------------------- Protected Routes --------------------
+  router.use(verifyApiKey);
+  router.use(verifyToken);
+  router.use(authorizePermission(Permissions.CATEGORY_MANAGE));
+
+  // -------------------- Create Category Route --------------------
+  // POST /categories
+  router.post("/", (req, res, next) =>
+    categoryController.createCategory(req, res, next)
+  );
+
+  // -------------------- Update Category Route --------------------
+  // PATCH /categories/:id
+  router.patch("/:id", (req, res, next) =>
+    categoryController.updateCategory(req, res, next)
+  );
+
+  // -------------------- Delete Category Route --------------------
+  // DELETE /categories/:id
+  router.delete("/:id", (req, res, next) =>
+    categoryController.deleteCategory(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
@@ -0,0 +1,65 @@
+/**
+ * @file flashSaleRouter.js
+ * @description
+ * Factory function to create an Express router for flash sales.
+ * Reading is public; changes require a logged-in user or an API key holding
+ * the flashSale:manage permission.
+ *
+ * Routes:
+ * - GET /flash-sales → Sales by status (scheduled, active, ended) with countdowns
+ * - GET /flash-sales/:id → One sale
+ * - POST /flash-sales → Schedule a sale
+ * - PATCH /flash-sales/:id → Change a sale (running sales change immediately)
+ * - DELETE /flash-sales/:id → Delete a sale (a running sale ends immediately)
+ *
+ * Usage:
+ * import createFlashSaleRouter from './routes/flashSaleRouter.js';
+ * app.use('/flash-sales', createFlashSaleRouter(flashSaleController));
+ */
+
+import express from "express";
+import Permissions from "../constants/permissions.js";
+import authorizePermission from "../middleware/auth/authorizePermission.js";
+import verifyApiKey from "../middleware/auth/verifyApiKey.js";
+import verifyToken from "../middleware/auth/verifyToken.js";
+
+export default function createFlashSaleRouter(flashSaleController) {
+  const router = express.Router(); // Create a new Express router instance
+
+  // -------------------- List Sales Route --------------------
+  // GET /flash-sales?status=active&product=12
+  router.get("/", (req, res, next) =>
+    flashSaleController.listSales(req, res, next)
+  );
+
+  // -------------------- Get Sale Route --------------------
+  // GET /flash-sales/:id
+  router.get("/:id", (req, res, next) =>
+    flashSaleController.getSale(req, res, next)
+  );
+
+  // -------------------- Protected Routes --------------------
+  router.use(verifyApiKey);
+  router.use(verifyToken);
+  router.use(authorizePermission(Permissions.FLASH_SALE_MANAGE));
+
+  // -------------------- Create Sale Route --------------------
+  // POST /flash-sales
+  router.post("/", (req, res, next) =>
+    flashSaleController.createSale(req, res, next)
+  );
+
+  // -------------------- Update Sale Route --------------------
+  // PATCH /flash-sales/:id
+  router.patch("/:id", (req, res, next) =>
+    flashSaleController.updateSale(req, res, next)
+  );
+
+  // -------------------- Delete Sale Route --------------------
+  // DELETE /flash-sales/:id
+  router.delete("/:id", (req, res, next) =>
+    flashSaleController.deleteSale(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
@@ -0,0 +1,61 @@
+/**
+ * @file productImageRouter.js
+ * @description
+ * Factory function to create the Express router for uploaded product images
+ * (mounted at /products/:productId/images). Every route requires a logged-in
+ * user or an API key holding product:update.
+ *
+ * - GET / → List the images uploaded for the product and where they are used
+ * - POST / → Upload an image (multipart field "image"; optional field "sku"
+ *   adds it to that variant, otherwise it becomes the main image)
+ * - DELETE /:imageId → Remove an image from the product and delete its file
+ *
+ * Usage:
+ * import createProductImageRouter from './routes/productImageRouter.js';
+ * app.use('/products/:productId/images', createProductImageRouter(productImageController));
+ */
+
+import express from "express";
+import Permissions from "../constants/permissions.js";
+import authorizePermission from "../middleware/auth/authorizePermission.js";
+import verifyApiKey from "../middleware/auth/verifyApiKey.js";
+import verifyToken from "../middleware/auth/verifyToken.js";
+import uploadFile from "../middleware/upload/uploadFile.js";
+import uploadConfig from "../config/upload.js";
+import { IMAGE_TYPES } from "../utils/imageType.js";
+
+export default function createProductImageRouter(productImageController) {
+  // mergeParams exposes :productId from the mount path
+  const router = express.Router({ mergeParams: true });
+
+  // -------------------- Protected Routes --------------------
+  router.use(verifyApiKey);
+  router.use(verifyToken);
+  router.use(authorizePermission(Permissions.PRODUCT_UPDATE));
+
+  // -------------------- List Images Route --------------------
+  // GET /products/:productId/images
+  router.get("/", (req, res, next) =>
+    productImageController.listImages(req, res, next)
+  );
+
+  // -------------------- Upload Image Route --------------------
+  // POST /products/:productId/images
+  router.post(
+    "/",
+    uploadFile({
+      field: "image",
+      maxBytes: uploadConfig.imageMaxFileMb * 1024 * 1024,
+      allowedTypes: IMAGE_TYPES,
+    }),
+    (req, res, next) => productImageController.uploadImage(req, res, next)
+  );
+
+  // -------------------- Delete Image Route --------------------
+  // DELETE /products/:productId/images/:imageId
+  router.delete("/:imageId", (req, res, next) =>
+    productImageController.deleteImage(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
@@ -0,0 +1,52 @@
+/**
+ * @file productRevisionRouter.js
+ * @description
+ * Factory function to create the Express router for the revision history of
+ * products (mounted at /products/:productId/revisions). Admin only: every
+ * route requires a logged-in user holding product:history; reverting also
+ * requires product:update.
+ *
+ * - GET / → Revisions of the product, newest first (filters: action, actor)
+ * - GET /:revisionId → One revision with the full product snapshot
+ * - POST /:revisionId/revert → Revert the product to the revision
+ *
+ * Usage:
+ * import createProductRevisionRouter from './routes/productRevisionRouter.js';
+ * app.use('/products/:productId/revisions', createProductRevisionRouter(productRevisionController));
+ */
+
+import express from "express";
+import Permissions from "../constants/permissions.js";
+import authorizePermission from "../middleware/auth/authorizePermission.js";
+import verifyToken from "../middleware/auth/verifyToken.js";
+
+export default function createProductRevisionRouter(productRevisionController) {
+  // mergeParams exposes :productId from the mount path
+  const router = express.Router({ mergeParams: true });
+
+  // -------------------- Protected Routes --------------------
+  router.use(verifyToken);
+  router.use(authorizePermission(Permissions.PRODUCT_HISTORY));
+
+  // -------------------- List Revisions Route --------------------
+  // GET /products/:productId/revisions?action=update&page=1
+  router.get("/", (req, res, next) =>
+    productRevisionController.listRevisions(req, res, next)
+  );
+
+  // -------------------- Get Revision Route --------------------
+  // GET /products/:productId/revisions/:revisionId
+  router.get("/:revisionId", (req, res, next) =>
+    productRevisionController.getRevision(req, res, next)
+  );
+
+  // -------------------- Revert Route --------------------
+  // POST /products/:productId/revisions/:revisionId/revert
+  router.post(
+    "/:revisionId/revert",
+    authorizePermission(Permissions.PRODUCT_UPDATE),
+    (req, res, next) => productRevisionController.revert(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
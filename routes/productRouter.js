@@ -1,52 +1,153 @@
 import express from "express";
-import Roles from "../constants/roles.js";
-import authorizeRole from "../middleware/auth/authorizeRole.js";
+import Permissions from "../constants/permissions.js";
+import authorizePermission from "../middleware/auth/authorizePermission.js";
+import verifyApiKey from "../middleware/auth/verifyApiKey.js";
 import verifyToken from "../middleware/auth/verifyToken.js";
+import uploadFile from "../middleware/upload/uploadFile.js";
+import uploadConfig from "../config/upload.js";
+import { PatchMediaTypes } from "../utils/patch.js";
 
 // Factory function to create a router for product-related routes
 // We receive the controller as a parameter instead of importing a fixed one
 export default function createProductRouter(productController) {
   const router = express.Router(); // Create a new Express router instance
 
+  // Previews (?preview=true) also show drafts and products outside their
+  // publishing window, so they need a user or API key holding product:update
+  const previewAuth = express.Router();
+  previewAuth.use(
+    verifyApiKey,
+    verifyToken,
+    authorizePermission(Permissions.PRODUCT_UPDATE)
+  );
+  const guardPreview = (req, res, next) =>
+    String(req.query.preview).toLowerCase() === "true"
+      ? previewAuth(req, res, next)
+      : next();
+
   // -------------------- Get All Products Route --------------------
   // GET /products
   // Calls the getAllProducts method of the controller
   // Supports query parameters for filtering, sorting, and pagination
-  router.get("/", (req, res, next) =>
+  router.get("/", guardPreview, (req, res, next) =>
     productController.getAllProducts(req, res, next)
   );
 
+  // -------------------- Export Products Route --------------------
+  // GET /products/export?format=csv|json
+  // Streams every product matching the listing filters as a file download
+  // Registered before /:id so "export" is not read as a product ID
+  router.get(
+    "/export",
+    verifyApiKey,
+    verifyToken,
+    authorizePermission(Permissions.PRODUCT_EXPORT),
+    (req, res, next) => productController.exportProducts(req, res, next)
+  );
+
+  // -------------------- Archived Products Route --------------------
+  // GET /products/archived
+  // Lists deleted (archived) products; same filters as GET /products
+  // Registered before /:id so "archived" is not read as a product ID
+  router.get(
+    "/archived",
+    verifyApiKey,
+    verifyToken,
+    authorizePermission(Permissions.PRODUCT_DELETE),
+    (req, res, next) => productController.getArchivedProducts(req, res, next)
+  );
+
+  // -------------------- Get Product by Slug Route --------------------
+  // GET /products/slug/:slug
+  // Also finds products by their previous slugs; meta.canonicalSlug is the current one
+  router.get("/slug/:slug", guardPreview, (req, res, next) =>
+    productController.getProductBySlug(req, res, next)
+  );
+
   // -------------------- Get Product by ID Route --------------------
   // GET /products/:id
   // Calls the getProductById method of the controller
-  router.get("/:id", (req, res, next) =>
+  router.get("/:id", guardPreview, (req, res, next) =>
     productController.getProductById(req, res, next)
   );
 
-  // -------------------- Protected Routes (Admin Only) --------------------
-  // All routes below require authentication and admin role
+  // -------------------- Protected Routes --------------------
+  // All routes below require a logged-in user or an API key (service clients)
+  // holding the permission named on each route
+  router.use(verifyApiKey);
   router.use(verifyToken);
-  router.use(authorizeRole(Roles.ADMIN));
 
   // -------------------- Create Product Route --------------------
   // POST /products/create
   // Calls the create method of the controller
-  router.post("/create", (req, res, next) =>
-    productController.create(req, res, next)
+  router.post(
+    "/create",
+    authorizePermission(Permissions.PRODUCT_CREATE),
+    (req, res, next) => productController.create(req, res, next)
+  );
+
+  // -------------------- Import Products Route --------------------
+  // POST /products/import?format=csv|json&dryRun=true&upsert=true
+  // Multipart upload with the file in the "file" field
+  router.post(
+    "/import",
+    authorizePermission(Permissions.PRODUCT_IMPORT),
+    uploadFile({
+      field: "file",
+      maxBytes: uploadConfig.importMaxFileMb * 1024 * 1024,
+      allowedTypes: {
+        "text/csv": [".csv"],
+        "application/json": [".json"],
+      },
+    }),
+    (req, res, next) => productController.importProducts(req, res, next)
   );
 
   // -------------------- Update Product Route --------------------
   // PUT /products/:id
   // Calls the update method of the controller
-  router.put("/:id", (req, res, next) =>
-    productController.update(req, res, next)
+  router.put(
+    "/:id",
+    authorizePermission(Permissions.PRODUCT_UPDATE),
+    (req, res, next) => productController.update(req, res, next)
+  );
+
+  // -------------------- Patch Product Route --------------------
+  // PATCH /products/:id
+  // Body is a JSON Merge Patch (application/merge-patch+json) or a JSON Patch
+  // (application/json-patch+json), which the app-wide JSON parser skips
+  router.patch(
+    "/:id",
+    authorizePermission(Permissions.PRODUCT_UPDATE),
+    express.json({ type: Object.values(PatchMediaTypes) }),
+    (req, res, next) => productController.patch(req, res, next)
   );
 
   // -------------------- Delete Product Route --------------------
   // DELETE /products/:id
   // Calls the delete method of the controller
-  router.delete("/:id", (req, res, next) =>
-    productController.delete(req, res, next)
+  router.delete(
+    "/:id",
+    authorizePermission(Permissions.PRODUCT_DELETE),
+    (req, res, next) => productController.delete(req, res, next)
+  );
+
+  // -------------------- Restore Product Route --------------------
+  // POST /products/:id/restore
+  // Brings an archived product back
+  router.post(
+    "/:id/restore",
+    authorizePermission(Permissions.PRODUCT_DELETE),
+    (req, res, next) => productController.restore(req, res, next)
+  );
+
+  // -------------------- Purge Product Route --------------------
+  // DELETE /products/:id/purge
+  // Permanently deletes an archived product
+  router.delete(
+    "/:id/purge",
+    authorizePermission(Permissions.PRODUCT_PURGE),
+    (req, res, next) => productController.purge(req, res, next)
   );
 
   return router; // Return the configured router
@@ -0,0 +1,84 @@
+/**
+ * @file profileRouter.js
+ * @description
+ * Factory function to create an Express router for the authenticated user's own account.
+ * Mounted at /users/me; every route requires a valid access token.
+ *
+ * Routes:
+ * - GET /users/me → Get the current account
+ * - PATCH /users/me → Update fullName and/or email
+ * - POST /users/me/password → Change password (requires the current password)
+ * - GET /users/me/sessions → List the account's active sessions
+ * - DELETE /users/me/sessions/:id → Sign a session out
+ * - POST /users/me/2fa/setup → Start two-factor enrollment (secret + otpauth URI)
+ * - POST /users/me/2fa/enable → Confirm enrollment with a code (returns recovery codes)
+ * - POST /users/me/2fa/disable → Turn two-factor authentication off
+ * - POST /users/me/2fa/recovery-codes → Replace the recovery codes
+ *
+ * Usage:
+ * import createProfileRouter from './routes/profileRouter.js';
+ * app.use('/users/me', createProfileRouter(profileController));
+ */
+
+import express from "express";
+import verifyToken from "../middleware/auth/verifyToken.js";
+
+export default function createProfileRouter(profileController) {
+  const router = express.Router(); // Create a new Express router instance
+
+  // -------------------- Protected Routes (Authenticated Users) --------------------
+  router.use(verifyToken);
+
+  // -------------------- Get Profile Route --------------------
+  // GET /users/me
+  router.get("/", (req, res, next) =>
+    profileController.getProfile(req, res, next)
+  );
+
+  // -------------------- Update Profile Route --------------------
+  // PATCH /users/me
+  router.patch("/", (req, res, next) =>
+    profileController.updateProfile(req, res, next)
+  );
+
+  // -------------------- Change Password Route --------------------
+  // POST /users/me/password
+  router.post("/password", (req, res, next) =>
+    profileController.changePassword(req, res, next)
+  );
+
+  // -------------------- List Sessions Route --------------------
+  // GET /users/me/sessions
+  router.get("/sessions", (req, res, next) =>
+    profileController.listSessions(req, res, next)
+  );
+
+  // -------------------- Revoke Session Route --------------------
+  // DELETE /users/me/sessions/:id
+  router.delete("/sessions/:id", (req, res, next) =>
+    profileController.revokeSession(req, res, next)
+  );
+
+  // -------------------- Two-Factor Routes --------------------
+  // POST /users/me/2fa/setup
+  router.post("/2fa/setup", (req, res, next) =>
+    profileController.setupTwoFactor(req, res, next)
+  );
+
+  // POST /users/me/2fa/enable
+  router.post("/2fa/enable", (req, res, next) =>
+    profileController.enableTwoFactor(req, res, next)
+  );
+
+  // POST /users/me/2fa/disable
+  router.post("/2fa/disable", (req, res, next) =>
+    profileController.disableTwoFactor(req, res, next)
+  );
+
+  // POST /users/me/2fa/recovery-codes
+  router.post("/2fa/recovery-codes", (req, res, next) =>
+    profileController.regenerateRecoveryCodes(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
@@ -0,0 +1,60 @@
+/**
+ * @file reservationRouter.js
+ * @description
+ * Factory function to create an Express router for stock reservations.
+ * Every route requires a logged-in user or an API key. Buyers reserve and
+ * release their own reservations; committing a sale, and acting on other
+ * buyers' reservations, requires the inventory:manage permission.
+ *
+ * Routes:
+ * - POST /reservations → Reserve units of a variant ({ productId, sku, quantity })
+ * - GET /reservations/:id → Get a reservation
+ * - POST /reservations/:id/release → Return the units to stock
+ * - POST /reservations/:id/commit → Make the sale final (inventory:manage)
+ *
+ * Usage:
+ * import createReservationRouter from './routes/reservationRouter.js';
+ * app.use('/reservations', createReservationRouter(reservationController));
+ */
+
+import express from "express";
+import Permissions from "../constants/permissions.js";
+import authorizePermission from "../middleware/auth/authorizePermission.js";
+import verifyApiKey from "../middleware/auth/verifyApiKey.js";
+import verifyToken from "../middleware/auth/verifyToken.js";
+
+export default function createReservationRouter(reservationController) {
+  const router = express.Router(); // Create a new Express router instance
+
+  // -------------------- Protected Routes --------------------
+  router.use(verifyApiKey);
+  router.use(verifyToken);
+
+  // -------------------- Reserve Route --------------------
+  // POST /reservations
+  router.post("/", (req, res, next) =>
+    reservationController.reserve(req, res, next)
+  );
+
+  // -------------------- Get Reservation Route --------------------
+  // GET /reservations/:id
+  router.get("/:id", (req, res, next) =>
+    reservationController.getReservation(req, res, next)
+  );
+
+  // -------------------- Release Route --------------------
+  // POST /reservations/:id/release
+  router.post("/:id/release", (req, res, next) =>
+    reservationController.release(req, res, next)
+  );
+
+  // -------------------- Commit Route --------------------
+  // POST /reservations/:id/commit
+  router.post(
+    "/:id/commit",
+    authorizePermission(Permissions.INVENTORY_MANAGE),
+    (req, res, next) => reservationController.commit(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
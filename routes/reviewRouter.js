@@ -0,0 +1,88 @@
+/**
+ * @file reviewRouter.js
+ * @description
+ * Factory functions to create the Express routers for product reviews.
+ *
+ * createProductReviewRouter (mounted at /products/:productId/reviews):
+ * - GET / → List the published reviews of a product (public)
+ * - POST / → Review a product (logged-in users, once per product)
+ *
+ * createReviewRouter (mounted at /reviews; every route requires a logged-in user):
+ * - PATCH /reviews/:id → Edit your own review
+ * - DELETE /reviews/:id → Delete your own review (any review with review:moderate)
+ * - POST /reviews/:id/helpful → Mark a review as helpful
+ * - GET /reviews → List all reviews, including hidden ones (review:moderate)
+ * - PATCH /reviews/:id/moderation → Hide or re-publish a review (review:moderate)
+ *
+ * Usage:
+ * import createReviewRouter, { createProductReviewRouter } from './routes/reviewRouter.js';
+ * app.use('/products/:productId/reviews', createProductReviewRouter(reviewController));
+ * app.use('/reviews', createReviewRouter(reviewController));
+ */
+
+import express from "express";
+import Permissions from "../constants/permissions.js";
+import authorizePermission from "../middleware/auth/authorizePermission.js";
+import verifyToken from "../middleware/auth/verifyToken.js";
+
+export function createProductReviewRouter(reviewController) {
+  // mergeParams exposes :productId from the mount path
+  const router = express.Router({ mergeParams: true });
+
+  // -------------------- List Product Reviews Route --------------------
+  // GET /products/:productId/reviews
+  // Supports rating, page, pageSize, sort (newest, oldest, helpful, rating)
+  router.get("/", (req, res, next) =>
+    reviewController.listProductReviews(req, res, next)
+  );
+
+  // -------------------- Create Review Route --------------------
+  // POST /products/:productId/reviews
+  router.post("/", verifyToken, (req, res, next) =>
+    reviewController.createReview(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
+
+export default function createReviewRouter(reviewController) {
+  const router = express.Router(); // Create a new Express router instance
+
+  // -------------------- Protected Routes --------------------
+  router.use(verifyToken);
+
+  const canModerate = authorizePermission(Permissions.REVIEW_MODERATE);
+
+  // -------------------- List Reviews Route --------------------
+  // GET /reviews
+  // Supports status, product, rating, page, pageSize, sort
+  router.get("/", canModerate, (req, res, next) =>
+    reviewController.listReviews(req, res, next)
+  );
+
+  // -------------------- Update Review Route --------------------
+  // PATCH /reviews/:id
+  router.patch("/:id", (req, res, next) =>
+    reviewController.updateReview(req, res, next)
+  );
+
+  // -------------------- Delete Review Route --------------------
+  // DELETE /reviews/:id
+  router.delete("/:id", (req, res, next) =>
+    reviewController.deleteReview(req, res, next)
+  );
+
+  // -------------------- Mark Helpful Route --------------------
+  // POST /reviews/:id/helpful
+  router.post("/:id/helpful", (req, res, next) =>
+    reviewController.markHelpful(req, res, next)
+  );
+
+  // -------------------- Moderate Review Route --------------------
+  // PATCH /reviews/:id/moderation
+  router.patch("/:id/moderation", canModerate, (req, res, next) =>
+    reviewController.moderateReview(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
@@ -0,0 +1,88 @@
+/**
+ * @file userRouter.js
+ * @description
+ * Factory function to create an Express router for admin user management.
+ * Mounted at /users after the auth router; every route requires a logged-in
+ * user holding the permission named on the route.
+ *
+ * Routes:
+ * - GET /users → List/search/paginate users
+ * - GET /users/:id → Get a single user
+ * - PATCH /users/:id/role → Change a user's role
+ * - PATCH /users/:id/status → Disable or re-enable an account
+ * - POST /users/:id/unlock → Lift a failed-login lockout early
+ * - GET /users/:id/sessions → List a user's active sessions
+ * - DELETE /users/:id/sessions → Sign a user out everywhere
+ * - DELETE /users/:id/2fa → Reset two-factor authentication (lost device)
+ *
+ * Usage:
+ * import createUserRouter from './routes/userRouter.js';
+ * app.use('/users', createUserRouter(userController));
+ */
+
+import express from "express";
+import Permissions from "../constants/permissions.js";
+import authorizePermission from "../middleware/auth/authorizePermission.js";
+import verifyToken from "../middleware/auth/verifyToken.js";
+
+export default function createUserRouter(userController) {
+  const router = express.Router(); // Create a new Express router instance
+
+  // -------------------- Protected Routes --------------------
+  router.use(verifyToken);
+
+  const canRead = authorizePermission(Permissions.USER_READ);
+  const canManage = authorizePermission(Permissions.USER_MANAGE);
+  const canUnlock = authorizePermission(Permissions.USER_UNLOCK);
+
+  // -------------------- List Users Route --------------------
+  // GET /users
+  // Supports q (name/email search), role, status, emailVerified, page, pageSize, sort, order
+  router.get("/", canRead, (req, res, next) =>
+    userController.listUsers(req, res, next)
+  );
+
+  // -------------------- Get User Route --------------------
+  // GET /users/:id
+  router.get("/:id", canRead, (req, res, next) =>
+    userController.getUserById(req, res, next)
+  );
+
+  // -------------------- Change Role Route --------------------
+  // PATCH /users/:id/role
+  router.patch("/:id/role", canManage, (req, res, next) =>
+    userController.changeRole(req, res, next)
+  );
+
+  // -------------------- Change Status Route --------------------
+  // PATCH /users/:id/status
+  router.patch("/:id/status", canManage, (req, res, next) =>
+    userController.setStatus(req, res, next)
+  );
+
+  // -------------------- Unlock Login Route --------------------
+  // POST /users/:id/unlock
+  router.post("/:id/unlock", canUnlock, (req, res, next) =>
+    userController.unlockLogin(req, res, next)
+  );
+
+  // -------------------- List Sessions Route --------------------
+  // GET /users/:id/sessions
+  router.get("/:id/sessions", canRead, (req, res, next) =>
+    userController.listSessions(req, res, next)
+  );
+
+  // -------------------- Sign Out Everywhere Route --------------------
+  // DELETE /users/:id/sessions
+  router.delete("/:id/sessions", canManage, (req, res, next) =>
+    userController.signOutEverywhere(req, res, next)
+  );
+
+  // -------------------- Reset Two-Factor Route --------------------
+  // DELETE /users/:id/2fa
+  router.delete("/:id/2fa", canManage, (req, res, next) =>
+    userController.resetTwoFactor(req, res, next)
+  );
+
+  return router; // Return the configured router
+}
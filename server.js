@@ -32,6 +32,13 @@
  * All routes are mounted as:
  *   /products → Product routes
  *   /users → User routes
+ *   /api-keys → API key management routes
+ *   /reservations → Stock reservation routes
+ *   /products/:productId/reviews, /reviews → Product review routes
+ *   /products/:productId/images → Product image upload routes
+ *   /uploads → Uploaded files (path of UPLOAD_PUBLIC_URL)
+ *   /categories → Category tree routes
+ *   /flash-sales → Flash sale routes
  * 
  */
 
@@ -52,23 +59,197 @@ import logger from "./middleware/logger/logger.js";
 import ProductRepository from "./Repositories/productRepository.js";
 import ProductService from "./services/productService.js";
 import ProductController from "./controllers/productController.js";
+import ProductTransferService from "./services/productTransferService.js";
+import CounterRepository from "./Repositories/counterRepository.js";
+import CategoryRepository from "./Repositories/categoryRepository.js";
+import CategoryService from "./services/categoryService.js";
+import CategoryController from "./controllers/categoryController.js";
+import createCategoryRouter from "./routes/categoryRouter.js";
+
+// Import storage, repositories, services, and controllers for product images
+import express from "express";
+import uploadConfig from "./config/upload.js";
+import LocalDiskStorage from "./services/storage/localDiskStorage.js";
+import ProductImageRepository from "./Repositories/productImageRepository.js";
+import ProductImageService from "./services/productImageService.js";
+import ProductImageController from "./controllers/productImageController.js";
+import createProductImageRouter from "./routes/productImageRouter.js";
+import ProductRevisionRepository from "./Repositories/productRevisionRepository.js";
+import ProductRevisionService from "./services/productRevisionService.js";
+import ProductRevisionController from "./controllers/productRevisionController.js";
+import createProductRevisionRouter from "./routes/productRevisionRouter.js";
 
 // Import repositories, services, and controllers for users
 import UserRepository from "./Repositories/userRepository.js";
+import RefreshTokenRepository from "./Repositories/refreshTokenRepository.js";
+import SessionRepository from "./Repositories/sessionRepository.js";
+import LoginAttemptRepository from "./Repositories/loginAttemptRepository.js";
 import AuthService from "./services/auth/authService.js";
-import UserController from "./controllers/authController.js";
+import EmailVerificationService from "./services/auth/emailVerificationService.js";
+import LoginThrottleService from "./services/auth/loginThrottleService.js";
+import SessionService from "./services/auth/sessionService.js";
+import TwoFactorService from "./services/auth/twoFactorService.js";
+import AuthController from "./controllers/authController.js";
+import UserService from "./services/userService.js";
+import UserController from "./controllers/userController.js";
+import ProfileService from "./services/profileService.js";
+import ProfileController from "./controllers/profileController.js";
 import createProductRouter from "./routes/productRouter.js";
 import createAuthRouter from "./routes/authRouter.js";
+import createUserRouter from "./routes/userRouter.js";
+import createProfileRouter from "./routes/profileRouter.js";
+
+// Import repositories, services, and controllers for API keys
+import ApiKeyRepository from "./Repositories/apiKeyRepository.js";
+import ApiKeyService from "./services/auth/apiKeyService.js";
+import ApiKeyController from "./controllers/apiKeyController.js";
+import createApiKeyRouter from "./routes/apiKeyRouter.js";
+
+// Import repositories, services, and controllers for stock reservations
+import inventoryConfig from "./config/inventory.js";
+import ReservationRepository from "./Repositories/reservationRepository.js";
+import ReservationService from "./services/reservationService.js";
+import ReservationController from "./controllers/reservationController.js";
+import createReservationRouter from "./routes/reservationRouter.js";
+
+// Import repositories, services, and controllers for flash sales
+import FlashSaleRepository from "./Repositories/flashSaleRepository.js";
+import FlashSaleService from "./services/flashSaleService.js";
+import FlashSaleController from "./controllers/flashSaleController.js";
+import createFlashSaleRouter from "./routes/flashSaleRouter.js";
+
+// Import repositories, services, and controllers for product reviews
+import ReviewRepository from "./Repositories/reviewRepository.js";
+import ReviewService from "./services/reviewService.js";
+import ReviewController from "./controllers/reviewController.js";
+import createReviewRouter, {
+  createProductReviewRouter,
+} from "./routes/reviewRouter.js";
+
+// Import mail service and its default transport
+import mailConfig from "./config/mail.js";
+import MailService from "./services/mail/mailService.js";
+import OutboxTransport from "./services/mail/transports/outboxTransport.js";
 
 // -------------------- Dependency Injection --------------------
 // Create instances of repositories, services, and controllers
 const productRepository = new ProductRepository(); // Handles DB operations for products
-const productService = new ProductService(productRepository); // Contains business logic for products
-const productController = new ProductController(productService); // Handles HTTP requests for products
+const categoryService = new CategoryService(
+  new CategoryRepository(),
+  productRepository
+); // Category tree products are filed under
+const categoryController = new CategoryController(categoryService); // Handles HTTP requests for categories
+const productRevisionService = new ProductRevisionService(
+  new ProductRevisionRepository()
+); // Revision history of every product change
+const productImageService = new ProductImageService(
+  new ProductImageRepository(),
+  productRepository,
+  new LocalDiskStorage({
+    dir: uploadConfig.dir,
+    publicUrl: uploadConfig.publicUrl,
+  }),
+  productRevisionService
+); // Uploaded product images and their cleanup
+const productImageController = new ProductImageController(productImageService); // Handles HTTP requests for product images
+const counterRepository = new CounterRepository(); // Atomic sequential numbers (product IDs, ...)
+const productService = new ProductService(
+  productRepository,
+  categoryService,
+  productImageService,
+  counterRepository,
+  productRevisionService
+); // Contains business logic for products
+const productTransferService = new ProductTransferService(
+  productService,
+  productRepository,
+  categoryService
+); // Bulk CSV/JSON import and export
+const productController = new ProductController(
+  productService,
+  productTransferService
+); // Handles HTTP requests for products
+const productRevisionController = new ProductRevisionController(
+  productRevisionService,
+  productService
+); // Handles HTTP requests for product revisions
+
+// Emails are written to a local outbox until a real transport is plugged in
+const mailService = new MailService(
+  new OutboxTransport({ dir: mailConfig.outboxDir }),
+  { from: mailConfig.from }
+);
 
 const userRepository = new UserRepository(); // Handles DB operations for users
-const authService = new AuthService(userRepository); // Contains business logic for users
-const userController = new UserController(authService); // Handles HTTP requests for users
+const refreshTokenRepository = new RefreshTokenRepository(); // Server-side refresh token store
+const sessionService = new SessionService(
+  new SessionRepository(),
+  refreshTokenRepository
+); // Login sessions and remote sign-out
+const loginThrottleService = new LoginThrottleService(
+  new LoginAttemptRepository()
+); // Failed-login counters and lockouts
+const twoFactorService = new TwoFactorService(
+  userRepository,
+  loginThrottleService
+); // TOTP two-factor authentication
+const emailVerificationService = new EmailVerificationService(
+  userRepository,
+  mailService
+); // Sends and checks email verification links
+const authService = new AuthService(
+  userRepository,
+  refreshTokenRepository,
+  mailService,
+  emailVerificationService,
+  loginThrottleService,
+  sessionService,
+  twoFactorService
+); // Contains business logic for users
+const authController = new AuthController(
+  authService,
+  emailVerificationService
+); // Handles HTTP requests for authentication
+const userService = new UserService(
+  userRepository,
+  sessionService,
+  loginThrottleService,
+  twoFactorService
+); // Admin user management
+const userController = new UserController(userService); // Handles HTTP requests for admin user management
+const profileService = new ProfileService(
+  userRepository,
+  sessionService,
+  emailVerificationService,
+  loginThrottleService
+); // Self-service account management
+const profileController = new ProfileController(
+  profileService,
+  sessionService,
+  twoFactorService
+); // Handles HTTP requests for /users/me
+
+const apiKeyService = new ApiKeyService(new ApiKeyRepository()); // API keys of service clients
+const apiKeyController = new ApiKeyController(apiKeyService); // Handles HTTP requests for API key management
+
+const flashSaleService = new FlashSaleService(
+  new FlashSaleRepository(),
+  productRepository
+); // Scheduled flash sales and their per-customer limits
+const flashSaleController = new FlashSaleController(flashSaleService); // Handles HTTP requests for flash sales
+
+const reservationService = new ReservationService(
+  new ReservationRepository(),
+  productRepository,
+  flashSaleService
+); // Holds variant stock during checkout
+const reservationController = new ReservationController(reservationService); // Handles HTTP requests for stock reservations
+
+const reviewService = new ReviewService(
+  new ReviewRepository(),
+  productRepository
+); // Customer reviews and product rating summaries
+const reviewController = new ReviewController(reviewService); // Handles HTTP requests for product reviews
 
 // -------------------- Create Express App --------------------
 // Initialize Express app
@@ -80,10 +261,53 @@ await connectDB();
 
 // -------------------- Register Routes --------------------
 // Mount product routes at /products
+// Product reviews come first: the product router requires authentication for
+// every path it does not serve publicly
+app.use(
+  "/products/:productId/reviews",
+  createProductReviewRouter(reviewController)
+);
+app.use(
+  "/products/:productId/images",
+  createProductImageRouter(productImageController)
+);
+app.use(
+  "/products/:productId/revisions",
+  createProductRevisionRouter(productRevisionController)
+);
 app.use("/products", createProductRouter(productController));
+app.use("/reviews", createReviewRouter(reviewController));
+
+// Serve uploaded files from local storage; names are random and never reused,
+// so they can be cached for good
+app.use(
+  new URL(uploadConfig.publicUrl).pathname,
+  express.static(uploadConfig.dir, {
+    immutable: true,
+    maxAge: "365d",
+    index: false,
+    setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+  })
+);
+
+// Mount category routes at /categories
+app.use("/categories", createCategoryRouter(categoryController));
 
 // Mount user routes at /users
-app.use("/users", createAuthRouter(userController));
+// Auth and profile routes come first: the admin user router requires an admin
+// for everything it matches (including /users/:id, which would shadow /users/me)
+app.use("/users", createAuthRouter(authController));
+app.use("/users/me", createProfileRouter(profileController));
+app.use("/users", createUserRouter(userController));
+
+// Mount API key management routes at /api-keys
+app.use("/api-keys", createApiKeyRouter(apiKeyController));
+
+// Mount stock reservation routes at /reservations
+app.use("/reservations", createReservationRouter(reservationController));
+
+// Mount flash sale routes at /flash-sales
+app.use("/flash-sales", createFlashSaleRouter(flashSaleController));
 
 // -------------------- Error Handler --------------------
 // This middleware catches any errors thrown in routes or other middlewares
@@ -92,6 +316,11 @@ app.use((err, req, res, next) => {
   logger.error(`[ERROR] ${err.message}`);
 
   if (err.isOperational) {
+    // Let clients know when a throttled request may be retried
+    if (err.details?.retryAfterSeconds) {
+      res.set("Retry-After", String(err.details.retryAfterSeconds));
+    }
+
     // Errors
     res.status(err.statusCode).json({
       success: false,
@@ -109,6 +338,14 @@ app.use((err, req, res, next) => {
   }
 });
 
+// -------------------- Background Jobs --------------------
+// Return the units of reservations that were neither committed nor released in time
+setInterval(() => {
+  reservationService
+    .releaseExpired()
+    .catch((err) => logger.error("Error releasing expired reservations:", err));
+}, inventoryConfig.reservationSweepIntervalSeconds * 1000).unref();
+
 // -------------------- Start Server --------------------
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
@@ -0,0 +1,194 @@
+/**
+ * @file apiKeyService.js
+ * @description
+ * Service class to manage and check API keys of service clients.
+ *
+ * Methods:
+ * - async createKey({ name, scopes, expiresAt }, actor)
+ *    - Generates a key, stores its hash and returns the plain key once
+ *
+ * - async listKeys()
+ *    - Lists all keys (never includes the secret or its hash)
+ *
+ * - async revokeKey(id)
+ *    - Revokes a key immediately
+ *
+ * - async authenticate(rawKey)
+ *    - Returns the key document for a valid, unrevoked, unexpired key
+ *    - Records the time of use
+ *
+ * @dependencies
+ * - apiKeyRepository: Repository object for the API key store
+ * - TokenService: Hashes keys
+ *
+ * Usage:
+ * const apiKeyService = new ApiKeyService(apiKeyRepository);
+ * const key = await apiKeyService.authenticate(req.headers['x-api-key']);
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import logger from "../../middleware/logger/logger.js";
+import ApiError from "../../utils/ApiError.js";
+import ApiSuccess from "../../utils/ApiSuccess.js";
+import TokenService from "./tokenService.js";
+import { ApiKeyPermissions } from "../../constants/permissions.js";
+
+const KEY_PREFIX = "exk";
+
+// Avoid a database write on every request from busy clients
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export default class ApiKeyService {
+  constructor(apiKeyRepository) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.tokenService = new TokenService();
+  }
+
+  // -------------------- Create Key --------------------
+  /**
+   * Creates a new API key
+   * @param {Object} keyData - { name, scopes, expiresAt }
+   * @param {Object} actor - Admin creating the key (req.user)
+   * @returns {Promise<ApiSuccess>} Key metadata plus the plain key (shown only once)
+   * @throws {ApiError} If scopes or expiry are invalid
+   */
+  async createKey({ name, scopes, expiresAt } = {}, actor) {
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      !scopes.every((scope) => ApiKeyPermissions.includes(scope))
+    ) {
+      throw new ApiError({
+        message: `Scopes must be a non-empty list of: ${ApiKeyPermissions.join(", ")}`,
+        statusCode: 400,
+        errorCode: "INVALID_SCOPES",
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new ApiError({
+          message: "expiresAt must be a valid future date",
+          statusCode: 400,
+          errorCode: "INVALID_EXPIRY",
+        });
+      }
+    }
+
+    const prefix = crypto.randomBytes(4).toString("hex");
+    const key = `${KEY_PREFIX}_${prefix}_${crypto
+      .randomBytes(32)
+      .toString("base64url")}`;
+
+    let apiKey;
+    try {
+      apiKey = await this.apiKeyRepository.create({
+        name,
+        prefix,
+        keyHash: this.tokenService.hashToken(key),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiry,
+        createdBy: actor.id,
+      });
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        throw new ApiError({
+          message: "Invalid API key data",
+          statusCode: 400,
+          errorCode: "VALIDATION_ERROR",
+          details: Object.values(err.errors).map((e) => e.message),
+        });
+      }
+      throw err;
+    }
+
+    logger.info(`API key [${prefix}] created by [${actor.id}]`);
+
+    // The created document still holds the hash; never send it back
+    const { keyHash, ...data } = apiKey.toObject();
+
+    return new ApiSuccess({
+      message:
+        "API key created successfully. Store the key now, it will not be shown again",
+      statusCode: 201,
+      data: { ...data, key },
+      successCode: "API_KEY_CREATED",
+    });
+  }
+
+  // -------------------- List Keys --------------------
+  async listKeys() {
+    const keys = await this.apiKeyRepository.findAll();
+
+    return new ApiSuccess({
+      message: "API keys fetched successfully",
+      statusCode: 200,
+      data: keys,
+      successCode: "API_KEYS_FETCHED",
+    });
+  }
+
+  // -------------------- Revoke Key --------------------
+  /**
+   * Revokes an API key
+   * @param {string} id - ApiKey ObjectId
+   * @returns {Promise<ApiSuccess>} Revoked key
+   * @throws {ApiError} If the key does not exist or is already revoked
+   */
+  async revokeKey(id) {
+    const revoked = mongoose.isValidObjectId(id)
+      ? await this.apiKeyRepository.revoke(id)
+      : null;
+    if (!revoked) {
+      throw new ApiError({
+        message: "API key not found or already revoked",
+        statusCode: 404,
+        errorCode: "API_KEY_NOT_FOUND",
+      });
+    }
+
+    logger.info(`API key [${revoked.prefix}] revoked`);
+
+    return new ApiSuccess({
+      message: "API key revoked successfully",
+      statusCode: 200,
+      data: revoked,
+      successCode: "API_KEY_REVOKED",
+    });
+  }
+
+  // -------------------- Authenticate --------------------
+  /**
+   * Resolves a raw key to its stored document
+   * @param {string} rawKey - Key sent by the client
+   * @returns {Promise<Object>} ApiKey document
+   * @throws {ApiError} 401 if the key is unknown, revoked or expired
+   */
+  async authenticate(rawKey) {
+    const apiKey = rawKey
+      ? await this.apiKeyRepository.findByHash(
+          this.tokenService.hashToken(rawKey)
+        )
+      : null;
+
+    const now = new Date();
+    const isExpired = apiKey?.expiresAt && apiKey.expiresAt <= now;
+    if (!apiKey || apiKey.revokedAt || isExpired) {
+      throw new ApiError({
+        message: "Invalid or expired API key",
+        statusCode: 401,
+        errorCode: "INVALID_API_KEY",
+      });
+    }
+
+    const lastUsedAge = apiKey.lastUsedAt ? now - apiKey.lastUsedAt : Infinity;
+    if (lastUsedAge > LAST_USED_RESOLUTION_MS) {
+      await this.apiKeyRepository.touch(apiKey._id, now);
+    }
+
+    return apiKey;
+  }
+}
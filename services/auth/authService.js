@@ -12,17 +12,50 @@
  * - async register({ email, password, fullName })
  *    - Validates email format (English only)
  *    - Checks if email already exists
- *    - Creates a new user with fullName
+ *    - Creates a new user with fullName (always with the plain user role)
+ *    - Sends an email verification link
  *    - Returns ApiSuccess with userId
  *
- * - async login({ email, password })
+ * - async login({ email, password, ip, userAgent })
+ *    - Refuses attempts while the account or IP is locked out
  *    - Finds user by email
  *    - Compares password with hashed password
- *    - Generates JWT token via TokenService
- *    - Returns ApiSuccess with token and user payload (id, email, fullName, role)
+ *    - Returns the same INVALID_CREDENTIALS error for unknown emails and wrong passwords
+ *    - Records failures for progressive lockout
+ *    - Refuses disabled accounts
+ *    - Refuses unverified emails when REQUIRE_EMAIL_VERIFICATION is enabled
+ *    - With two-factor authentication enabled, returns a short-lived challenge token instead of tokens
+ *    - Otherwise starts a new session (its id is the refresh token family) and issues an access/refresh token pair
+ *    - Returns ApiSuccess with both tokens and user payload (id, email, fullName, role)
+ *
+ * - async loginTwoFactor({ challengeToken, code, recoveryCode, ip, userAgent })
+ *    - Second step of a two-factor login: checks the TOTP or recovery code and
+ *      completes the login like the first step would have
+ *    - Wrong codes count as failed logins for the lockout
+ *
+ * - async refresh({ refreshToken, ip })
+ *    - Rotates a refresh token: revokes the presented one and issues a new pair
+ *    - Revokes the whole family if an already-rotated token is presented again
+ *    - Refuses tokens of signed-out sessions and records session activity
+ *
+ * - async logout({ refreshToken })
+ *    - Ends the session of the presented refresh token
+ *
+ * - async forgotPassword({ email })
+ *    - Stores a hashed, expiring reset token on the user and emails the raw token
+ *    - Always responds the same way so it cannot be used to probe for accounts
+ *
+ * - async resetPassword({ token, password })
+ *    - Consumes the reset token, sets the new password and ends every session
  *
  * @dependencies
  * - userRepository: Repository object for accessing user data
+ * - refreshTokenRepository: Repository object for the server-side refresh token store
+ * - mailService: Mailer used to deliver password reset emails
+ * - emailVerificationService: Sends verification links for new accounts
+ * - loginThrottleService: Tracks failed logins and applies lockouts
+ * - sessionService: Records login sessions and signs them out
+ * - twoFactorService: Checks TOTP and recovery codes
  * - ApiError: Custom error class for operational errors
  * - ApiSuccess: Custom success class for structured responses
  * - logger: Custom logger for logging messages
@@ -43,19 +76,70 @@
  * // }
  */
 
+import bcrypt from "bcrypt";
 import logger from "../../middleware/logger/logger.js";
 import ApiError from "../../utils/ApiError.js";
 import ApiSuccess from "../../utils/ApiSuccess.js";
-import { validateEmail } from "../../validators/authValidator.js";
+import {
+  validateEmail,
+  validatePassword,
+} from "../../validators/authValidator.js";
 import TokenService from "./tokenService.js";
+import authConfig from "../../config/auth.js";
+import mailConfig from "../../config/mail.js";
+import { passwordResetEmail } from "../mail/mailTemplates.js";
+import Roles from "../../constants/roles.js";
+
+// Bcrypt hash (same cost as user passwords) of a random string nobody knows;
+// unknown emails are checked against it so a login takes as long either way
+const DUMMY_PASSWORD_HASH =
+  "$2b$10$vowNMV4s6eh.ZlpYqSokxufxoVsMcMWIZKk1INtsA4S2LDisfHc9i";
 
 export default class AuthService {
-  constructor(userRepository) {
+  constructor(
+    userRepository,
+    refreshTokenRepository,
+    mailService,
+    emailVerificationService,
+    loginThrottleService,
+    sessionService,
+    twoFactorService
+  ) {
     /**
      * Repository instance for user data access
      * @type {UserRepository}
      */
     this.userRepository = userRepository;
+    /**
+     * Repository instance for the refresh token store
+     * @type {RefreshTokenRepository}
+     */
+    this.refreshTokenRepository = refreshTokenRepository;
+    /**
+     * Mailer used for account emails
+     * @type {MailService}
+     */
+    this.mailService = mailService;
+    /**
+     * Service sending email verification links
+     * @type {EmailVerificationService}
+     */
+    this.emailVerificationService = emailVerificationService;
+    /**
+     * Service throttling failed logins
+     * @type {LoginThrottleService}
+     */
+    this.loginThrottleService = loginThrottleService;
+    /**
+     * Service recording login sessions
+     * @type {SessionService}
+     */
+    this.sessionService = sessionService;
+    /**
+     * Service checking second factors
+     * @type {TwoFactorService}
+     */
+    this.twoFactorService = twoFactorService;
     this.tokenService = new TokenService();
   }
 
@@ -67,7 +151,7 @@ export default class AuthService {
    * @returns {ApiSuccess} Structured success response
    * @throws {ApiError} If email contains non-English characters or already exists
    */
-  async register({ email, password, fullName, role }) {
+  async register({ email, password, fullName }) {
     // Validate that email contains only English characters
     validateEmail(email);
     // Check if the email already exists
@@ -80,16 +164,25 @@ export default class AuthService {
       });
     }
 
-    // Create the new user
+    // Create the new user; roles can only be granted by an admin
     const user = await this.userRepository.create({
       email,
       password,
       fullName,
-      role,
+      role: Roles.USER,
     });
 
     // Log successful creation
-    logger.log("User has been created successfully:", email);
+    logger.info(`User has been created successfully: ${email}`);
+
+    // The account exists even if the email fails; the user can ask for a resend
+    try {
+      await this.emailVerificationService.sendVerification(user);
+    } catch (err) {
+      logger.error(
+        `Failed to send verification email to ${email}: ${err.message}`
+      );
+    }
 
     // Return structured success response
     return new ApiSuccess({
@@ -105,46 +198,404 @@ export default class AuthService {
    * Login a user
    * @param {string} email - User email
    * @param {string} password - User password
+   * @param {string} ip - Client IP address (used for throttling and the session)
+   * @param {string} userAgent - Client User-Agent header (describes the session)
    * @returns {ApiSuccess} Structured success response
-   * @throws {ApiError} If user not found or password is invalid
+   * @throws {ApiError} If the credentials are invalid or the account/IP is locked out
    */
-  async login({ email, password }) {
-    // Find user by email
-    const user = await this.userRepository.findByEmail(email);
-    if (!user) {
+  async login({ email, password, ip, userAgent }) {
+    const keys = this.loginThrottleService.keysFor({ email, ip });
+    await this.loginThrottleService.assertNotLocked(keys.all);
+
+    // Find user by email and compare passwords; unknown emails and wrong
+    // passwords fail identically, in content and in timing, so the response
+    // does not reveal accounts
+    const user = email ? await this.userRepository.findByEmail(email) : null;
+    let isMatch = false;
+    if (user) {
+      isMatch = await user.comparePassword(String(password));
+    } else {
+      await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+    }
+    if (!isMatch) {
+      await this.loginThrottleService.recordFailure(keys.all);
       throw new ApiError({
-        message: "User not found",
-        statusCode: 404,
-        errorCode: "USER_NOT_FOUND",
+        message: "Invalid email or password",
+        statusCode: 401,
+        errorCode: "INVALID_CREDENTIALS",
       });
     }
 
-    // Compare passwords
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
+    this.#assertNotDisabled(user);
+
+    if (authConfig.requireEmailVerification && !user.isEmailVerified) {
+      throw new ApiError({
+        message: "Please verify your email before logging in",
+        statusCode: 403,
+        errorCode: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    // The password alone is not enough: the failure counter is only reset
+    // once the second factor has been checked too
+    if (user.twoFactor?.enabled) {
+      const challenge = this.tokenService.generateTwoFactorChallengeToken(user);
+
+      return new ApiSuccess({
+        message: "Enter the code from your authenticator app",
+        statusCode: 200,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: challenge.token,
+          challengeExpiresAt: challenge.expiresAt,
+        },
+        successCode: "TWO_FACTOR_REQUIRED",
+      });
+    }
+
+    await this.loginThrottleService.reset(keys.account);
+
+    return this.#completeLogin(user, { ip, userAgent });
+  }
+
+  // -------------------- Login (Second Factor) --------------------
+  /**
+   * Complete a two-factor login
+   * @param {string} challengeToken - Token returned by the password step
+   * @param {string} code - Current TOTP code (or recoveryCode instead)
+   * @param {string} recoveryCode - Single-use recovery code
+   * @param {string} ip - Client IP address
+   * @param {string} userAgent - Client User-Agent header
+   * @returns {ApiSuccess} Structured success response with tokens
+   * @throws {ApiError} If the challenge is invalid/expired, the code is wrong, or the account is locked out
+   */
+  async loginTwoFactor({ challengeToken, code, recoveryCode, ip, userAgent }) {
+    let claims;
+    try {
+      claims = this.tokenService.verifyTwoFactorChallengeToken(challengeToken);
+    } catch (err) {
+      claims = null;
+    }
+
+    const user = claims
+      ? await this.userRepository.findByIdWithTwoFactor(claims.userId)
+      : null;
+    if (!user || !user.twoFactor.enabled) {
+      throw new ApiError({
+        message: "Invalid or expired login challenge. Please log in again",
+        statusCode: 401,
+        errorCode: "INVALID_TWO_FACTOR_CHALLENGE",
+      });
+    }
+
+    const keys = this.loginThrottleService.keysFor({ email: user.email, ip });
+    await this.loginThrottleService.assertNotLocked(keys.all);
+
+    const isValid = await this.twoFactorService.verifyLogin(user, {
+      code,
+      recoveryCode,
+    });
+    if (!isValid) {
+      await this.loginThrottleService.recordFailure(keys.all);
+      throw new ApiError({
+        message: "Invalid two-factor code",
+        statusCode: 401,
+        errorCode: "INVALID_TWO_FACTOR_CODE",
+      });
+    }
+
+    await this.loginThrottleService.reset(keys.account);
+    this.#assertNotDisabled(user);
+
+    if (recoveryCode) {
+      logger.warn(`Recovery code used to log in user [${user._id}]`);
+    }
+
+    return this.#completeLogin(user, { ip, userAgent });
+  }
+
+  // -------------------- Refresh --------------------
+  /**
+   * Rotate a refresh token and issue a new access/refresh token pair
+   * @param {string} refreshToken - Raw refresh token presented by the client
+   * @param {string} ip - Client IP address (recorded on the session)
+   * @returns {ApiSuccess} Structured success response with the new tokens
+   * @throws {ApiError} If the token is missing, unknown, expired, reused, or its session was signed out
+   */
+  async refresh({ refreshToken, ip }) {
+    if (!refreshToken) {
+      throw new ApiError({
+        message: "No refresh token provided",
+        statusCode: 401,
+        errorCode: "NO_REFRESH_TOKEN",
+      });
+    }
+
+    const stored = await this.refreshTokenRepository.findByHash(
+      this.tokenService.hashToken(refreshToken)
+    );
+    if (!stored) {
+      throw new ApiError({
+        message: "Invalid refresh token",
+        statusCode: 401,
+        errorCode: "INVALID_REFRESH_TOKEN",
+      });
+    }
+
+    if (stored.revokedAt) {
+      // Tokens revoked without a replacement belong to a signed-out session
+      if (!stored.replacedBy) this.#throwSessionRevoked();
+
+      // A rotated token being presented again means it was stolen or
+      // replayed: kill every token issued from the same login
+      await this.#revokeReusedFamily(stored);
+    }
+
+    if (stored.expiresAt <= new Date()) {
       throw new ApiError({
-        message: "Invalid password",
+        message: "Refresh token expired",
         statusCode: 401,
-        errorCode: "INVALID_PASSWORD",
+        errorCode: "REFRESH_TOKEN_EXPIRED",
       });
     }
 
-    // Generate JWT token
-    const payload = {
+    const user = await this.userRepository.findById(stored.user);
+    if (!user) {
+      await this.refreshTokenRepository.revokeFamily(stored.family);
+      throw new ApiError({
+        message: "Invalid refresh token",
+        statusCode: 401,
+        errorCode: "INVALID_REFRESH_TOKEN",
+      });
+    }
+
+    if (user.isDisabled) {
+      await this.refreshTokenRepository.revokeFamily(stored.family);
+      this.#assertNotDisabled(user);
+    }
+
+    const session = await this.sessionService.getActiveSession(stored.family);
+    if (!session) {
+      await this.refreshTokenRepository.revokeFamily(stored.family);
+      this.#throwSessionRevoked();
+    }
+
+    // Issue the replacement first so the old token can point at it
+    const refresh = this.tokenService.generateRefreshToken();
+    const tokens = await this.#issueTokens(user, stored.family, refresh);
+
+    // Revoke the presented token; if another request rotated it in the
+    // meantime this is a reuse as well
+    const revoked = await this.refreshTokenRepository.revoke(
+      stored._id,
+      this.tokenService.hashToken(tokens.refreshToken)
+    );
+    if (!revoked) {
+      await this.#revokeReusedFamily(stored);
+    }
+
+    await this.sessionService.recordActivity(session, {
+      ip,
+      expiresAt: refresh.expiresAt,
+    });
+
+    return new ApiSuccess({
+      message: "Token refreshed successfully",
+      statusCode: 200,
+      data: { ...tokens, user: this.#buildPayload(user) },
+      successCode: "TOKEN_REFRESHED",
+    });
+  }
+
+  // -------------------- Logout --------------------
+  /**
+   * Logout a user by ending the session of the presented refresh token
+   * @param {string} refreshToken - Raw refresh token presented by the client
+   * @returns {ApiSuccess} Structured success response
+   */
+  async logout({ refreshToken }) {
+    if (refreshToken) {
+      const stored = await this.refreshTokenRepository.findByHash(
+        this.tokenService.hashToken(refreshToken)
+      );
+      if (stored) {
+        const ended = await this.sessionService.endSession(
+          stored.user,
+          stored.family
+        );
+        // Tokens whose session is already gone are still revoked
+        if (!ended) {
+          await this.refreshTokenRepository.revokeFamily(stored.family);
+        }
+      }
+    }
+
+    return new ApiSuccess({
+      message: "User logged out successfully",
+      statusCode: 200,
+      successCode: "USER_LOGOUT",
+    });
+  }
+
+  // -------------------- Forgot Password --------------------
+  /**
+   * Start the password reset flow by emailing a single-use reset link
+   * @param {string} email - Email of the account to recover
+   * @returns {ApiSuccess} Structured success response (identical whether or not the account exists)
+   */
+  async forgotPassword({ email }) {
+    validateEmail(email);
+
+    const user = await this.userRepository.findByEmail(email);
+    if (user) {
+      const { token, tokenHash } = this.tokenService.generateOneTimeToken();
+      const ttl = authConfig.passwordResetTtlMinutes;
+
+      await this.userRepository.update(user, {
+        passwordResetTokenHash: tokenHash,
+        passwordResetExpiresAt: new Date(Date.now() + ttl * 60 * 1000),
+      });
+
+      const resetUrl = `${mailConfig.clientUrl}/reset-password?token=${token}`;
+      await this.mailService.send({
+        to: user.email,
+        ...passwordResetEmail({
+          fullName: user.fullName,
+          resetUrl,
+          expiresInMinutes: ttl,
+        }),
+      });
+    } else {
+      logger.info(`Password reset requested for unknown email: ${email}`);
+    }
+
+    return new ApiSuccess({
+      message: "If an account exists for this email, a reset link has been sent",
+      statusCode: 200,
+      successCode: "PASSWORD_RESET_REQUESTED",
+    });
+  }
+
+  // -------------------- Reset Password --------------------
+  /**
+   * Set a new password using a reset token and sign the user out everywhere
+   * @param {string} token - Raw reset token from the emailed link
+   * @param {string} password - New password
+   * @returns {ApiSuccess} Structured success response
+   * @throws {ApiError} If the token is invalid/expired or the password is too short
+   */
+  async resetPassword({ token, password }) {
+    validatePassword(password);
+
+    // A token sent as a number, array or object can never match a stored one
+    const user =
+      typeof token === "string" && token
+        ? await this.userRepository.consumePasswordResetToken(
+            this.tokenService.hashToken(token)
+          )
+        : null;
+    if (!user) {
+      throw new ApiError({
+        message: "Invalid or expired reset token",
+        statusCode: 400,
+        errorCode: "INVALID_RESET_TOKEN",
+      });
+    }
+
+    await this.userRepository.update(user, { password });
+
+    // Existing logins must not survive a password reset
+    await this.sessionService.revokeAllForUser(user._id);
+
+    logger.info(`Password reset for user [${user._id}]`);
+
+    return new ApiSuccess({
+      message: "Password has been reset successfully",
+      statusCode: 200,
+      successCode: "PASSWORD_RESET",
+    });
+  }
+
+  // -------------------- Helpers --------------------
+  // Public user data embedded in access tokens and login responses
+  #buildPayload(user) {
+    return {
       id: user._id,
       email: user.email,
       fullName: user.fullName,
       role: user.role,
+      isEmailVerified: user.isEmailVerified,
     };
+  }
 
-    const token = this.tokenService.generateToken(payload);
+  // Every login starts a new session, which is also the refresh token family
+  async #completeLogin(user, { ip, userAgent }) {
+    const refresh = this.tokenService.generateRefreshToken();
+    const session = await this.sessionService.startSession(user, {
+      userAgent,
+      ip,
+      expiresAt: refresh.expiresAt,
+    });
+    const tokens = await this.#issueTokens(user, String(session._id), refresh);
 
     // Return structured success response
     return new ApiSuccess({
       message: "User logged in successfully",
       statusCode: 200,
-      data: { token: token, user: payload },
+      data: { ...tokens, user: this.#buildPayload(user) },
       successCode: "USER_LOGIN",
     });
   }
+
+  // Sign an access token and persist a refresh token for the given session
+  async #issueTokens(user, family, refresh) {
+    const access = this.tokenService.generateAccessToken({
+      ...this.#buildPayload(user),
+      sid: family,
+    });
+
+    await this.refreshTokenRepository.create({
+      user: user._id,
+      tokenHash: refresh.tokenHash,
+      family,
+      expiresAt: refresh.expiresAt,
+    });
+
+    return {
+      accessToken: access.token,
+      accessTokenExpiresAt: access.expiresAt,
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt,
+    };
+  }
+
+  #assertNotDisabled(user) {
+    if (user.isDisabled) {
+      throw new ApiError({
+        message: "This account has been disabled",
+        statusCode: 403,
+        errorCode: "ACCOUNT_DISABLED",
+      });
+    }
+  }
+
+  #throwSessionRevoked() {
+    throw new ApiError({
+      message: "This session has been signed out",
+      statusCode: 401,
+      errorCode: "SESSION_REVOKED",
+    });
+  }
+
+  async #revokeReusedFamily(stored) {
+    await this.refreshTokenRepository.revokeFamily(stored.family);
+    logger.warn(
+      `Refresh token reuse detected for user [${stored.user}], family [${stored.family}] revoked`
+    );
+    throw new ApiError({
+      message: "Refresh token has already been used",
+      statusCode: 401,
+      errorCode: "REFRESH_TOKEN_REUSED",
+    });
+  }
 }
@@ -0,0 +1,141 @@
+/**
+ * @file emailVerificationService.js
+ * @description
+ * Service class to handle proving ownership of a user's email address.
+ *
+ * Methods:
+ * - async sendVerification(user)
+ *    - Emails a signed verification link and records when it was sent
+ *
+ * - async verify({ token })
+ *    - Verifies the signed link and marks the email as verified
+ *    - Rejects links issued for an email the account no longer uses
+ *
+ * - async resend({ email })
+ *    - Sends a new link to an unverified account, at most once per cooldown
+ *    - Responds the same whether or not the account exists
+ *
+ * @dependencies
+ * - userRepository: Repository object for accessing user data
+ * - mailService: Mailer used to deliver verification emails
+ * - TokenService: Signs and verifies verification links
+ *
+ * Usage:
+ * const emailVerificationService = new EmailVerificationService(userRepository, mailService);
+ * await emailVerificationService.sendVerification(user);
+ */
+
+import logger from "../../middleware/logger/logger.js";
+import ApiError from "../../utils/ApiError.js";
+import ApiSuccess from "../../utils/ApiSuccess.js";
+import { validateEmail } from "../../validators/authValidator.js";
+import TokenService from "./tokenService.js";
+import authConfig from "../../config/auth.js";
+import mailConfig from "../../config/mail.js";
+import { emailVerificationEmail } from "../mail/mailTemplates.js";
+
+export default class EmailVerificationService {
+  constructor(userRepository, mailService) {
+    this.userRepository = userRepository;
+    this.mailService = mailService;
+    this.tokenService = new TokenService();
+  }
+
+  // -------------------- Send Verification --------------------
+  /**
+   * Email a verification link to the user's current address
+   * @param {Object} user - User document
+   */
+  async sendVerification(user) {
+    const token = this.tokenService.generateEmailVerificationToken(user);
+    const verifyUrl = `${mailConfig.clientUrl}/verify-email?token=${token}`;
+
+    await this.mailService.send({
+      to: user.email,
+      ...emailVerificationEmail({ fullName: user.fullName, verifyUrl }),
+    });
+
+    await this.userRepository.update(user, {
+      emailVerificationSentAt: new Date(),
+    });
+  }
+
+  // -------------------- Verify --------------------
+  /**
+   * Mark an email as verified using a signed verification token
+   * @param {string} token - Token from the verification link
+   * @returns {ApiSuccess} Structured success response
+   * @throws {ApiError} If the token is invalid, expired, or for another email
+   */
+  async verify({ token }) {
+    let claims;
+    try {
+      claims = this.tokenService.verifyEmailVerificationToken(token);
+    } catch (err) {
+      throw new ApiError({
+        message: "Invalid or expired verification link",
+        statusCode: 400,
+        errorCode: "INVALID_VERIFICATION_TOKEN",
+      });
+    }
+
+    const user = await this.userRepository.findById(claims.userId);
+
+    // A link sent before an email change must not verify the new address
+    if (!user || user.email !== claims.email) {
+      throw new ApiError({
+        message: "Invalid or expired verification link",
+        statusCode: 400,
+        errorCode: "INVALID_VERIFICATION_TOKEN",
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      await this.userRepository.update(user, { isEmailVerified: true });
+      logger.info(`Email verified for user [${user._id}]`);
+    }
+
+    return new ApiSuccess({
+      message: "Email verified successfully",
+      statusCode: 200,
+      successCode: "EMAIL_VERIFIED",
+    });
+  }
+
+  // -------------------- Resend --------------------
+  /**
+   * Send a fresh verification link to an unverified account
+   * @param {string} email - Email of the account
+   * @returns {ApiSuccess} Structured success response (identical whether or
+   * not the account exists, is verified, or is within the cooldown)
+   */
+  async resend({ email }) {
+    validateEmail(email);
+
+    const user = await this.userRepository.findByEmail(email);
+    if (user && !user.isEmailVerified) {
+      const cooldownMs =
+        authConfig.emailVerificationResendCooldownSeconds * 1000;
+      const elapsed = user.emailVerificationSentAt
+        ? Date.now() - user.emailVerificationSentAt.getTime()
+        : Infinity;
+
+      // Within the cooldown nothing is sent, but the response stays the same:
+      // a distinct error would tell unverified accounts from unknown emails
+      if (elapsed < cooldownMs) {
+        logger.info(
+          `Verification email for user [${user._id}] skipped (cooldown)`
+        );
+      } else {
+        await this.sendVerification(user);
+      }
+    }
+
+    return new ApiSuccess({
+      message:
+        "If an unverified account exists for this email, a verification link has been sent",
+      statusCode: 200,
+      successCode: "VERIFICATION_EMAIL_SENT",
+    });
+  }
+}
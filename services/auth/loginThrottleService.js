@@ -0,0 +1,130 @@
+/**
+ * @file loginThrottleService.js
+ * @description
+ * Service class to slow down password guessing.
+ *
+ * Failed logins are counted per account (by normalized email, so unknown emails
+ * are throttled exactly like real ones) and per client IP. Once a key reaches
+ * its allowance, every further failure locks it for an exponentially growing
+ * period: base, 2 × base, 4 × base, ... capped at the configured maximum.
+ *
+ * Methods:
+ * - keysFor({ email, ip })
+ * - async assertNotLocked(keys)
+ * - async recordFailure(keys)
+ * - async reset(key)
+ * - async unlockAccount(email)
+ *
+ * @dependencies
+ * - loginAttemptRepository: Repository object for the failure counters
+ * - authConfig: Allowances and lockout durations
+ */
+
+import ApiError from "../../utils/ApiError.js";
+import authConfig from "../../config/auth.js";
+import logger from "../../middleware/logger/logger.js";
+
+const ACCOUNT_PREFIX = "account:";
+const IP_PREFIX = "ip:";
+
+export default class LoginThrottleService {
+  constructor(loginAttemptRepository) {
+    this.loginAttemptRepository = loginAttemptRepository;
+  }
+
+  // -------------------- Keys --------------------
+  /**
+   * Build the throttling keys of a login attempt
+   * @param {string} email - Email the client tried to log in with
+   * @param {string} ip - Client IP address
+   * @returns {{ account: string, ip: string|null, all: string[] }}
+   */
+  keysFor({ email, ip }) {
+    const account = `${ACCOUNT_PREFIX}${String(email).trim().toLowerCase()}`;
+    const ipKey = ip ? `${IP_PREFIX}${ip}` : null;
+
+    return { account, ip: ipKey, all: [account, ipKey].filter(Boolean) };
+  }
+
+  // -------------------- Assert Not Locked --------------------
+  /**
+   * Refuse the attempt while any of its keys is locked
+   * @param {string[]} keys - Throttling keys of the attempt
+   * @throws {ApiError} 429 with retryAfterSeconds if a key is locked
+   */
+  async assertNotLocked(keys) {
+    const attempts = await this.loginAttemptRepository.findByKeys(keys);
+    const now = Date.now();
+
+    const lockedUntil = attempts
+      .map((attempt) => attempt.lockedUntil?.getTime() ?? 0)
+      .reduce((latest, time) => Math.max(latest, time), 0);
+
+    if (lockedUntil > now) {
+      throw new ApiError({
+        message: "Too many failed login attempts. Please try again later",
+        statusCode: 429,
+        errorCode: "TOO_MANY_LOGIN_ATTEMPTS",
+        details: { retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000) },
+      });
+    }
+  }
+
+  // -------------------- Record Failure --------------------
+  /**
+   * Count a failed attempt against every key and lock keys over their allowance
+   * @param {string[]} keys - Throttling keys of the attempt
+   */
+  async recordFailure(keys) {
+    const windowMs = authConfig.loginAttemptWindowMinutes * 60 * 1000;
+
+    for (const key of keys) {
+      const attempt = await this.loginAttemptRepository.incrementFailures(
+        key,
+        new Date(Date.now() + windowMs)
+      );
+
+      const allowance = key.startsWith(IP_PREFIX)
+        ? authConfig.loginIpMaxAttempts
+        : authConfig.loginMaxAttempts;
+      if (attempt.failures < allowance) continue;
+
+      const lockMs = Math.min(
+        authConfig.loginLockoutBaseSeconds *
+          1000 *
+          2 ** (attempt.failures - allowance),
+        authConfig.loginLockoutMaxMinutes * 60 * 1000
+      );
+      const lockedUntil = new Date(Date.now() + lockMs);
+
+      // Keep the counter alive until the lockout is over plus a quiet period
+      await this.loginAttemptRepository.lock(
+        key,
+        lockedUntil,
+        new Date(lockedUntil.getTime() + windowMs)
+      );
+
+      logger.warn(
+        `Login locked for [${key}] after ${attempt.failures} failures, until ${lockedUntil.toISOString()}`
+      );
+    }
+  }
+
+  // -------------------- Reset --------------------
+  /**
+   * Clear the counter of a key (e.g. after a successful login)
+   * @param {string} key - Throttling key
+   */
+  async reset(key) {
+    await this.loginAttemptRepository.deleteByKey(key);
+  }
+
+  // -------------------- Unlock Account --------------------
+  /**
+   * Lift an account lockout early (admin action)
+   * @param {string} email - Email of the account
+   */
+  async unlockAccount(email) {
+    await this.reset(this.keysFor({ email }).account);
+  }
+}
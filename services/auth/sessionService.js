@@ -0,0 +1,181 @@
+/**
+ * @file sessionService.js
+ * @description
+ * Service class to manage login sessions (one per successful login).
+ *
+ * A session's id is the `sid` of its access tokens and the family of its
+ * refresh tokens: revoking a session revokes its refresh tokens, and
+ * verifyToken rejects access tokens of revoked sessions.
+ *
+ * Methods:
+ * - async startSession(user, { userAgent, ip, expiresAt })
+ * - async getActiveSession(sessionId)
+ * - async recordActivity(session, { ip, expiresAt })
+ * - async listSessions(userId, currentSessionId)
+ * - async endSession(userId, sessionId)
+ * - async revokeSession(userId, sessionId)
+ * - async revokeAllForUser(userId, exceptSessionId)
+ *
+ * @dependencies
+ * - sessionRepository: Repository object for the session store
+ * - refreshTokenRepository: Repository object used to revoke refresh tokens
+ *
+ * Usage:
+ * const sessionService = new SessionService(sessionRepository, refreshTokenRepository);
+ * const result = await sessionService.listSessions(req.user.id, req.user.sid);
+ */
+
+import mongoose from "mongoose";
+import ApiError from "../../utils/ApiError.js";
+import ApiSuccess from "../../utils/ApiSuccess.js";
+import { describeDevice } from "../../utils/userAgent.js";
+
+// Avoid a database write on every request of an active session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+export default class SessionService {
+  constructor(sessionRepository, refreshTokenRepository) {
+    this.sessionRepository = sessionRepository;
+    this.refreshTokenRepository = refreshTokenRepository;
+  }
+
+  // -------------------- Start Session --------------------
+  /**
+   * Record a new login
+   * @param {Object} user - User document
+   * @param {Object} client - { userAgent, ip, expiresAt }
+   * @returns {Promise<Object>} Session document
+   */
+  async startSession(user, { userAgent = "", ip = null, expiresAt }) {
+    return this.sessionRepository.create({
+      user: user._id,
+      userAgent,
+      device: describeDevice(userAgent),
+      ip,
+      lastSeenAt: new Date(),
+      expiresAt,
+    });
+  }
+
+  // -------------------- Get Active Session --------------------
+  /**
+   * Find a session that has been neither revoked nor expired
+   * @param {string} sessionId - Session ObjectId (access token `sid`)
+   * @returns {Promise<Object|null>} Session document, or null
+   */
+  async getActiveSession(sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) return null;
+
+    const session = await this.sessionRepository.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  // -------------------- Record Activity --------------------
+  /**
+   * Update the last-seen time of a session (at most once per minute unless
+   * the IP or expiry changes, e.g. on refresh)
+   * @param {Object} session - Session document
+   * @param {Object} [changes] - { ip, expiresAt }
+   */
+  async recordActivity(session, { ip, expiresAt } = {}) {
+    const now = new Date();
+    const update = {};
+    if (ip && ip !== session.ip) update.ip = ip;
+    if (expiresAt) update.expiresAt = expiresAt;
+
+    const idle = now - (session.lastSeenAt ?? 0);
+    if (Object.keys(update).length === 0 && idle < LAST_SEEN_RESOLUTION_MS) {
+      return;
+    }
+
+    await this.sessionRepository.touch(session._id, {
+      ...update,
+      lastSeenAt: now,
+    });
+  }
+
+  // -------------------- List Sessions --------------------
+  /**
+   * List the active sessions of a user
+   * @param {string} userId - Owner of the sessions
+   * @param {string} [currentSessionId] - Session of the caller, flagged as `current`
+   * @returns {Promise<ApiSuccess>} Sessions, most recently used first
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await this.sessionRepository.findActiveByUser(userId);
+
+    return new ApiSuccess({
+      message: "Sessions fetched successfully",
+      statusCode: 200,
+      data: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: String(session._id) === String(currentSessionId),
+      })),
+      successCode: "SESSIONS_FETCHED",
+    });
+  }
+
+  // -------------------- End Session --------------------
+  /**
+   * Revoke a session of a user and its refresh tokens
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId - Session ObjectId
+   * @returns {Promise<boolean>} false if there was no active session to revoke
+   */
+  async endSession(userId, sessionId) {
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await this.sessionRepository.revoke(sessionId, userId)
+      : null;
+    if (!session) return false;
+
+    await this.refreshTokenRepository.revokeFamily(String(session._id));
+    return true;
+  }
+
+  // -------------------- Revoke Session --------------------
+  /**
+   * Sign a single session of a user out (remote sign-out)
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId - Session ObjectId
+   * @returns {Promise<ApiSuccess>} Structured success response
+   * @throws {ApiError} If the session does not exist, belongs to someone else, or is already revoked
+   */
+  async revokeSession(userId, sessionId) {
+    if (!(await this.endSession(userId, sessionId))) {
+      throw new ApiError({
+        message: "Session not found",
+        statusCode: 404,
+        errorCode: "SESSION_NOT_FOUND",
+      });
+    }
+
+    return new ApiSuccess({
+      message: "Session signed out successfully",
+      statusCode: 200,
+      successCode: "SESSION_REVOKED",
+    });
+  }
+
+  // -------------------- Revoke All Sessions --------------------
+  /**
+   * Sign a user out everywhere, optionally keeping one session
+   * @param {string} userId - Owner of the sessions
+   * @param {string} [exceptSessionId] - Session to keep (e.g. the caller's)
+   */
+  async revokeAllForUser(userId, exceptSessionId = null) {
+    await this.sessionRepository.revokeAllForUser(userId, exceptSessionId);
+    await this.refreshTokenRepository.revokeAllForUser(
+      userId,
+      exceptSessionId ? String(exceptSessionId) : null
+    );
+  }
+}
@@ -1,9 +1,122 @@
+/**
+ * @file tokenService.js
+ * @description
+ * Issues the tokens used by the auth layer.
+ *
+ * Methods:
+ * - generateAccessToken(payload)
+ *    - Signs a short-lived JWT carrying the user payload.
+ *    - Returns { token, expiresAt }.
+ *
+ * - generateRefreshToken()
+ *    - Creates an opaque random refresh token.
+ *    - Returns { token, tokenHash, expiresAt }; only the hash is persisted.
+ *
+ * - generateOneTimeToken()
+ *    - Creates an opaque random token for emailed links (password reset).
+ *    - Returns { token, tokenHash }; only the hash is persisted.
+ *
+ * - generateEmailVerificationToken(user)
+ *    - Signs a JWT binding the user id to the email being verified.
+ *
+ * - verifyEmailVerificationToken(token)
+ *    - Verifies the signature, expiry and purpose; returns { userId, email }.
+ *    - Throws jsonwebtoken errors if the token is invalid or expired.
+ *
+ * - generateTwoFactorChallengeToken(user) / verifyTwoFactorChallengeToken(token)
+ *    - Short-lived JWT proving the password step of a two-factor login; returns { userId }.
+ *
+ * - hashToken(token)
+ *    - Returns the SHA-256 hex digest used to look stored tokens up.
+ *
+ * @dependencies
+ * - jsonwebtoken: Signs access tokens.
+ * - crypto: Generates and hashes refresh tokens.
+ * - jwtConfig: Token secrets and lifetimes.
+ */
+
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import jwtConfig from "../../config/jwt.js";
+import authConfig from "../../config/auth.js";
+
+// Distinguishes verification links from access tokens signed with the same secret
+const EMAIL_VERIFICATION_PURPOSE = "email-verification";
+const TWO_FACTOR_CHALLENGE_PURPOSE = "2fa-challenge";
 
 export default class TokenService {
-  generateToken(payload) {
-    return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN,
+  // -------------------- Access Token --------------------
+  generateAccessToken(payload) {
+    const token = jwt.sign(payload, jwtConfig.secret, {
+      expiresIn: jwtConfig.accessExpiresIn,
     });
+
+    // Read the expiry back from the token so cookies match the JWT exactly
+    const { exp } = jwt.decode(token);
+
+    return { token, expiresAt: new Date(exp * 1000) };
+  }
+
+  // -------------------- Refresh Token --------------------
+  generateRefreshToken() {
+    const expiresAt = new Date(
+      Date.now() + jwtConfig.refreshExpiresDays * 24 * 60 * 60 * 1000
+    );
+
+    return { ...this.generateOneTimeToken(), expiresAt };
+  }
+
+  // -------------------- One-Time Token --------------------
+  generateOneTimeToken() {
+    const token = crypto.randomBytes(48).toString("base64url");
+    return { token, tokenHash: this.hashToken(token) };
+  }
+
+  // -------------------- Email Verification Token --------------------
+  generateEmailVerificationToken(user) {
+    return jwt.sign(
+      {
+        sub: String(user._id),
+        email: user.email,
+        purpose: EMAIL_VERIFICATION_PURPOSE,
+      },
+      jwtConfig.secret,
+      { expiresIn: authConfig.emailVerificationExpiresIn }
+    );
+  }
+
+  verifyEmailVerificationToken(token) {
+    const decoded = jwt.verify(token, jwtConfig.secret);
+    if (decoded.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+      throw new jwt.JsonWebTokenError("invalid token purpose");
+    }
+
+    return { userId: decoded.sub, email: decoded.email };
+  }
+
+  // -------------------- Two-Factor Challenge Token --------------------
+  generateTwoFactorChallengeToken(user) {
+    const token = jwt.sign(
+      { sub: String(user._id), purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+      jwtConfig.secret,
+      { expiresIn: authConfig.twoFactorChallengeExpiresIn }
+    );
+    const { exp } = jwt.decode(token);
+
+    return { token, expiresAt: new Date(exp * 1000) };
+  }
+
+  verifyTwoFactorChallengeToken(token) {
+    const decoded = jwt.verify(token, jwtConfig.secret);
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+      throw new jwt.JsonWebTokenError("invalid token purpose");
+    }
+
+    return { userId: decoded.sub };
+  }
+
+  // -------------------- Hash Token --------------------
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
   }
 }
@@ -0,0 +1,333 @@
+/**
+ * @file twoFactorService.js
+ * @description
+ * Service class to handle TOTP two-factor authentication (RFC 6238).
+ *
+ * Enrollment is a two-step process: `setup` creates a secret that is only
+ * activated once `enable` receives a valid code from the authenticator app.
+ * Enabling returns single-use recovery codes; only their hashes are stored.
+ *
+ * Methods:
+ * - async setup(userId)
+ *    - Creates a pending secret and returns it with its otpauth:// URI (for QR codes)
+ *
+ * - async enable(userId, { code })
+ *    - Confirms the pending secret and returns fresh recovery codes
+ *
+ * - async disable(userId, { password, code, recoveryCode })
+ *    - Requires the password and a second factor
+ *
+ * - async regenerateRecoveryCodes(userId, { code })
+ *    - Replaces every recovery code; requires a current TOTP code
+ *
+ * Wrong passwords and codes given to disable and regenerateRecoveryCodes count
+ * as failed logins of the account, so a stolen session cannot guess them.
+ *
+ * - async verifyLogin(user, { code, recoveryCode })
+ *    - Checks the second factor of a login; codes and recovery codes are single-use
+ *
+ * - async reset(userId)
+ *    - Turns two-factor authentication off without a second factor (admin action)
+ *
+ * @dependencies
+ * - userRepository: Repository object for accessing user data
+ * - loginThrottleService: Counts failed checks and applies lockouts
+ * - TokenService: Hashes recovery codes
+ * - totp: Code generation and verification
+ *
+ * Usage:
+ * const twoFactorService = new TwoFactorService(userRepository, loginThrottleService);
+ * const result = await twoFactorService.setup(req.user.id);
+ */
+
+import crypto from "crypto";
+import logger from "../../middleware/logger/logger.js";
+import ApiError from "../../utils/ApiError.js";
+import ApiSuccess from "../../utils/ApiSuccess.js";
+import {
+  buildOtpAuthUri,
+  generateSecret,
+  verifyCode,
+} from "../../utils/totp.js";
+import TokenService from "./tokenService.js";
+import authConfig from "../../config/auth.js";
+
+// Recovery codes are compared case- and separator-insensitively
+function normalizeRecoveryCode(code) {
+  return String(code ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+export default class TwoFactorService {
+  constructor(userRepository, loginThrottleService) {
+    this.userRepository = userRepository;
+    this.loginThrottleService = loginThrottleService;
+    this.tokenService = new TokenService();
+  }
+
+  // -------------------- Setup --------------------
+  /**
+   * Start enrollment by creating a secret awaiting confirmation
+   * @param {string} userId - Id of the authenticated user
+   * @returns {Promise<ApiSuccess>} { secret, otpauthUri }
+   * @throws {ApiError} If two-factor authentication is already enabled
+   */
+  async setup(userId) {
+    const user = await this.#findUserOrThrow(userId);
+    if (user.twoFactor.enabled) {
+      throw new ApiError({
+        message: "Two-factor authentication is already enabled",
+        statusCode: 400,
+        errorCode: "TWO_FACTOR_ALREADY_ENABLED",
+      });
+    }
+
+    const secret = generateSecret();
+    await this.userRepository.update(user, {
+      twoFactor: { ...this.#current(user), pendingSecret: secret },
+    });
+
+    return new ApiSuccess({
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code",
+      statusCode: 200,
+      data: {
+        secret,
+        otpauthUri: buildOtpAuthUri({
+          secret,
+          accountName: user.email,
+          issuer: authConfig.twoFactorIssuer,
+        }),
+      },
+      successCode: "TWO_FACTOR_SETUP_STARTED",
+    });
+  }
+
+  // -------------------- Enable --------------------
+  /**
+   * Confirm the pending secret with a code and turn two-factor authentication on
+   * @param {string} userId - Id of the authenticated user
+   * @param {string} code - Current code from the authenticator app
+   * @returns {Promise<ApiSuccess>} { recoveryCodes } (shown only once)
+   * @throws {ApiError} If there is no pending setup or the code is wrong
+   */
+  async enable(userId, { code } = {}) {
+    const user = await this.#findUserOrThrow(userId);
+    if (user.twoFactor.enabled) {
+      throw new ApiError({
+        message: "Two-factor authentication is already enabled",
+        statusCode: 400,
+        errorCode: "TWO_FACTOR_ALREADY_ENABLED",
+      });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw new ApiError({
+        message: "Start two-factor setup first",
+        statusCode: 400,
+        errorCode: "TWO_FACTOR_SETUP_REQUIRED",
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) throw this.#invalidCode();
+
+    const { codes, hashes } = this.#generateRecoveryCodes();
+    await this.userRepository.update(user, {
+      twoFactor: {
+        enabled: true,
+        enabledAt: new Date(),
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodeHashes: hashes,
+        lastUsedStep: step,
+      },
+    });
+
+    logger.info(`Two-factor authentication enabled for user [${userId}]`);
+
+    return new ApiSuccess({
+      message:
+        "Two-factor authentication enabled. Store the recovery codes now, they will not be shown again",
+      statusCode: 200,
+      data: { recoveryCodes: codes },
+      successCode: "TWO_FACTOR_ENABLED",
+    });
+  }
+
+  // -------------------- Disable --------------------
+  /**
+   * Turn two-factor authentication off
+   * @param {string} userId - Id of the authenticated user
+   * @param {Object} proof - { password, code } or { password, recoveryCode }
+   * @returns {Promise<ApiSuccess>} Structured success response
+   * @throws {ApiError} If it is not enabled, the password is wrong, the second
+   * factor is wrong, or the account is locked after too many failures (429)
+   */
+  async disable(userId, { password, code, recoveryCode } = {}) {
+    const user = await this.#findEnabledUserOrThrow(userId);
+    const keys = await this.#assertNotLocked(user);
+
+    const isMatch = await user.comparePassword(String(password));
+    if (!isMatch) {
+      await this.loginThrottleService.recordFailure(keys.all);
+      throw new ApiError({
+        message: "Current password is incorrect",
+        statusCode: 401,
+        errorCode: "INVALID_CURRENT_PASSWORD",
+      });
+    }
+
+    if (!(await this.verifyLogin(user, { code, recoveryCode }))) {
+      await this.loginThrottleService.recordFailure(keys.all);
+      throw this.#invalidCode();
+    }
+
+    await this.loginThrottleService.reset(keys.account);
+    await this.#turnOff(user);
+    logger.info(`Two-factor authentication disabled for user [${userId}]`);
+
+    return new ApiSuccess({
+      message: "Two-factor authentication disabled",
+      statusCode: 200,
+      successCode: "TWO_FACTOR_DISABLED",
+    });
+  }
+
+  // -------------------- Regenerate Recovery Codes --------------------
+  /**
+   * Replace every recovery code
+   * @param {string} userId - Id of the authenticated user
+   * @param {string} code - Current code from the authenticator app
+   * @returns {Promise<ApiSuccess>} { recoveryCodes } (shown only once)
+   * @throws {ApiError} If it is not enabled, the code is wrong, or the account
+   * is locked after too many failures (429)
+   */
+  async regenerateRecoveryCodes(userId, { code } = {}) {
+    const user = await this.#findEnabledUserOrThrow(userId);
+    const keys = await this.#assertNotLocked(user);
+
+    if (!(await this.verifyLogin(user, { code }))) {
+      await this.loginThrottleService.recordFailure(keys.all);
+      throw this.#invalidCode();
+    }
+    await this.loginThrottleService.reset(keys.account);
+
+    // Only the codes are written: verifyLogin has just recorded the used
+    // step, which a save of the loaded user would overwrite
+    const { codes, hashes } = this.#generateRecoveryCodes();
+    await this.userRepository.setRecoveryCodes(user._id, hashes);
+
+    return new ApiSuccess({
+      message:
+        "Recovery codes regenerated. Store them now, they will not be shown again",
+      statusCode: 200,
+      data: { recoveryCodes: codes },
+      successCode: "RECOVERY_CODES_REGENERATED",
+    });
+  }
+
+  // -------------------- Verify Login --------------------
+  /**
+   * Check the second factor of a user with two-factor authentication enabled
+   * @param {Object} user - User document loaded with its two-factor fields
+   * @param {Object} proof - { code } or { recoveryCode }
+   * @returns {Promise<boolean>} true if the code is valid and was not used before
+   */
+  async verifyLogin(user, { code, recoveryCode } = {}) {
+    if (recoveryCode) {
+      return this.userRepository.consumeRecoveryCode(
+        user._id,
+        this.tokenService.hashToken(normalizeRecoveryCode(recoveryCode))
+      );
+    }
+
+    const step = verifyCode(user.twoFactor.secret, code);
+    if (step === null) return false;
+
+    return this.userRepository.claimTotpStep(user._id, step);
+  }
+
+  // -------------------- Reset --------------------
+  /**
+   * Turn two-factor authentication off for a user who lost their device
+   * @param {string} userId - User ObjectId
+   */
+  async reset(userId) {
+    const user = await this.#findEnabledUserOrThrow(userId);
+    await this.#turnOff(user);
+  }
+
+  // -------------------- Helpers --------------------
+  async #findUserOrThrow(userId) {
+    const user = await this.userRepository.findByIdWithTwoFactor(userId);
+    if (!user) {
+      throw new ApiError({
+        message: "User not found",
+        statusCode: 404,
+        errorCode: "USER_NOT_FOUND",
+      });
+    }
+
+    return user;
+  }
+
+  // Checks share the account's failed-login counter
+  async #assertNotLocked(user) {
+    const keys = this.loginThrottleService.keysFor({ email: user.email });
+    await this.loginThrottleService.assertNotLocked(keys.all);
+    return keys;
+  }
+
+  async #findEnabledUserOrThrow(userId) {
+    const user = await this.#findUserOrThrow(userId);
+    if (!user.twoFactor.enabled) {
+      throw new ApiError({
+        message: "Two-factor authentication is not enabled",
+        statusCode: 400,
+        errorCode: "TWO_FACTOR_NOT_ENABLED",
+      });
+    }
+
+    return user;
+  }
+
+  // Plain copy of the nested two-factor fields, so one of them can be replaced
+  #current(user) {
+    const { twoFactor } = user;
+    return {
+      enabled: twoFactor.enabled,
+      enabledAt: twoFactor.enabledAt,
+      secret: twoFactor.secret,
+      pendingSecret: twoFactor.pendingSecret,
+      recoveryCodeHashes: twoFactor.recoveryCodeHashes,
+      lastUsedStep: twoFactor.lastUsedStep,
+    };
+  }
+
+  async #turnOff(user) {
+    await this.userRepository.update(user, {
+      twoFactor: { enabled: false, enabledAt: null },
+    });
+  }
+
+  #generateRecoveryCodes() {
+    const codes = Array.from(
+      { length: authConfig.twoFactorRecoveryCodes },
+      () => crypto.randomBytes(5).toString("hex").replace(/^(.{5})/, "$1-")
+    );
+    const hashes = codes.map((code) =>
+      this.tokenService.hashToken(normalizeRecoveryCode(code))
+    );
+
+    return { codes, hashes };
+  }
+
+  #invalidCode() {
+    return new ApiError({
+      message: "Invalid two-factor code",
+      statusCode: 401,
+      errorCode: "INVALID_TWO_FACTOR_CODE",
+    });
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * @file categoryService.js
+ * @description
+ * Service class to manage the category tree products are filed under.
+ *
+ * Responsibilities:
+ * 1. Returns the whole tree, or one category with its path and children.
+ * 2. Creates, renames, re-slugs, moves, re-orders and deletes categories
+ *    (moves keep the ancestors of every descendant in sync, slug changes are
+ *    applied to the products filed under the category).
+ * 3. Validates the category / sub-category of products.
+ * 4. Resolves a category to itself plus all its descendants for filtering.
+ *
+ * Methods:
+ * - async getTree()
+ * - async getCategory(slug)
+ * - async createCategory({ name, slug, parent, order, image }, actor)
+ * - async updateCategory(id, { name, slug, parent, order, image }, actor)
+ * - async deleteCategory(id, actor)
+ * - async resolveProductCategories({ category, subCategory })
+ * - async descendantSlugs(slug)
+ *
+ * @dependencies
+ * - categoryRepository: Repository object for the categories
+ * - productRepository: Repository object used to keep products in sync
+ *
+ * Usage:
+ * const categoryService = new CategoryService(categoryRepository, productRepository);
+ * const result = await categoryService.getTree();
+ */
+
+import mongoose from "mongoose";
+import logger from "../middleware/logger/logger.js";
+import ApiError from "../utils/ApiError.js";
+import ApiSuccess from "../utils/ApiSuccess.js";
+import { isSlug, slugify, uniqueSlug } from "../utils/slug.js";
+
+export default class CategoryService {
+  constructor(categoryRepository, productRepository) {
+    this.categoryRepository = categoryRepository;
+    this.productRepository = productRepository;
+  }
+
+  // -------------------- Get Tree --------------------
+  /**
+   * Returns every category nested under its parent, in display order
+   * @returns {Promise<ApiSuccess>} Root categories, each with its children
+   */
+  async getTree() {
+    const categories = await this.categoryRepository.findAll();
+
+    const nodes = new Map(
+      categories.map((category) => [
+        String(category._id),
+        {
+          _id: category._id,
+          name: category.name,
+          slug: category.slug,
+          order: category.order,
+          image: category.image,
+          children: [],
+        },
+      ])
+    );
+
+    // findAll is sorted, so children are appended in display order
+    const roots = [];
+    for (const category of categories) {
+      const node = nodes.get(String(category._id));
+      const parent = category.parent && nodes.get(String(category.parent));
+      (parent ? parent.children : roots).push(node);
+    }
+
+    return new ApiSuccess({
+      message: "Categories fetched successfully",
+      statusCode: 200,
+      data: roots,
+      successCode: "CATEGORIES_FETCHED",
+    });
+  }
+
+  // -------------------- Get Category --------------------
+  /**
+   * Returns a category with its path from the root and its direct children
+   * @param {string} slug - Category slug
+   * @returns {Promise<ApiSuccess>} Category with `path` and `children`
+   * @throws {ApiError} If the category does not exist
+   */
+  async getCategory(slug) {
+    const category = await this.categoryRepository.findBySlug(String(slug));
+    if (!category) this.#throwNotFound();
+
+    const categories = await this.categoryRepository.findAll();
+    const byId = new Map(categories.map((c) => [String(c._id), c]));
+    const summary = (c) => ({ _id: c._id, name: c.name, slug: c.slug });
+
+    return new ApiSuccess({
+      message: "Category fetched successfully",
+      statusCode: 200,
+      data: {
+        ...category.toObject(),
+        path: category.ancestors
+          .map((id) => byId.get(String(id)))
+          .filter(Boolean)
+          .map(summary),
+        children: categories
+          .filter((c) => String(c.parent) === String(category._id))
+          .map(summary),
+      },
+      successCode: "CATEGORY_FETCHED",
+    });
+  }
+
+  // -------------------- Create Category --------------------
+  /**
+   * Creates a category
+   * @param {Object} data - { name, slug, parent, order, image }; parent is an id or slug,
+   * slug defaults to one generated from the name
+   * @param {Object} actor - User performing the change (req.user)
+   * @returns {Promise<ApiSuccess>} Created category
+   * @throws {ApiError} If the data is invalid, the parent does not exist or the slug is taken
+   */
+  async createCategory({ name, slug, parent, order, image } = {}, actor) {
+    const parentCategory = parent ? await this.#findParentOrThrow(parent) : null;
+
+    let categorySlug;
+    if (slug !== undefined) {
+      categorySlug = await this.#assertSlugAvailable(slug);
+    } else {
+      const base = slugify(name);
+      if (!base) {
+        throw new ApiError({
+          message: "Name must contain letters or digits",
+          statusCode: 400,
+          errorCode: "VALIDATION_ERROR",
+        });
+      }
+      categorySlug = await uniqueSlug(base, async (candidate) =>
+        Boolean(await this.categoryRepository.findBySlug(candidate))
+      );
+    }
+
+    let category;
+    try {
+      category = await this.categoryRepository.create({
+        name,
+        slug: categorySlug,
+        parent: parentCategory?._id ?? null,
+        ancestors: parentCategory
+          ? [...parentCategory.ancestors, parentCategory._id]
+          : [],
+        order,
+        image,
+      });
+    } catch (err) {
+      this.#rethrowWriteError(err);
+    }
+
+    logger.info(`Category [${category.slug}] created by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Category created successfully",
+      statusCode: 201,
+      data: category,
+      successCode: "CATEGORY_CREATED",
+    });
+  }
+
+  // -------------------- Update Category --------------------
+  /**
+   * Renames, re-slugs, moves, re-orders or changes the image of a category
+   * @param {string} id - Category ObjectId
+   * @param {Object} updates - { name, slug, parent, order, image }; parent null makes it a root
+   * @param {Object} actor - User performing the change (req.user)
+   * @returns {Promise<ApiSuccess>} Updated category
+   * @throws {ApiError} If the data is invalid, the slug is taken or the move would create a cycle
+   */
+  async updateCategory(id, { name, slug, parent, order, image } = {}, actor) {
+    const category = await this.#findCategoryOrThrow(id);
+    const updates = {};
+
+    if (name !== undefined) updates.name = name;
+    if (order !== undefined) updates.order = order;
+    if (image !== undefined) updates.image = image;
+
+    const oldSlug = category.slug;
+    if (slug !== undefined && slug !== oldSlug) {
+      updates.slug = await this.#assertSlugAvailable(slug);
+    }
+
+    const oldDepth = category.ancestors.length;
+    let moved = false;
+    if (parent !== undefined) {
+      const parentCategory = parent ? await this.#findParentOrThrow(parent) : null;
+
+      // A category cannot be moved below itself or one of its descendants
+      if (
+        parentCategory &&
+        (parentCategory._id.equals(category._id) ||
+          parentCategory.ancestors.some((a) => a.equals(category._id)))
+      ) {
+        throw new ApiError({
+          message: "A category cannot be moved into itself or its descendants",
+          statusCode: 400,
+          errorCode: "INVALID_CATEGORY_PARENT",
+        });
+      }
+
+      moved = String(parentCategory?._id ?? null) !== String(category.parent);
+      if (moved) {
+        updates.parent = parentCategory?._id ?? null;
+        updates.ancestors = parentCategory
+          ? [...parentCategory.ancestors, parentCategory._id]
+          : [];
+      }
+    }
+
+    let updatedCategory;
+    try {
+      updatedCategory = await this.categoryRepository.update(category, updates);
+    } catch (err) {
+      this.#rethrowWriteError(err);
+    }
+
+    if (moved) {
+      await this.categoryRepository.moveDescendants(
+        category._id,
+        oldDepth,
+        updatedCategory.ancestors
+      );
+    }
+    if (updates.slug) {
+      await this.productRepository.replaceCategorySlug(oldSlug, updates.slug);
+    }
+
+    logger.info(`Category [${updatedCategory.slug}] updated by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Category updated successfully",
+      statusCode: 200,
+      data: updatedCategory,
+      successCode: "CATEGORY_UPDATED",
+    });
+  }
+
+  // -------------------- Delete Category --------------------
+  /**
+   * Deletes a category that has no sub-categories and no products
+   * @param {string} id - Category ObjectId
+   * @param {Object} actor - User performing the change (req.user)
+   * @returns {Promise<ApiSuccess>} Deleted category
+   * @throws {ApiError} If the category does not exist or is still in use
+   */
+  async deleteCategory(id, actor) {
+    const category = await this.#findCategoryOrThrow(id);
+
+    const [children, products] = await Promise.all([
+      this.categoryRepository.countChildren(category._id),
+      this.productRepository.countByCategories([category.slug]),
+    ]);
+    if (children > 0 || products > 0) {
+      throw new ApiError({
+        message:
+          "Category still has sub-categories or products; move them first",
+        statusCode: 409,
+        errorCode: "CATEGORY_IN_USE",
+        details: { children, products },
+      });
+    }
+
+    await this.categoryRepository.deleteById(category._id);
+    logger.info(`Category [${category.slug}] deleted by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Category deleted successfully",
+      statusCode: 200,
+      data: category,
+      successCode: "CATEGORY_DELETED",
+    });
+  }
+
+  // -------------------- Product Categories --------------------
+  /**
+   * Checks the category / sub-category of a product: both must exist and the
+   * sub-category must be a descendant of the category
+   * @param {Object} fields - { category, subCategory } (slugs)
+   * @returns {Promise<{ category: string, subCategory: string }>} Normalized slugs
+   * @throws {ApiError} 400 INVALID_CATEGORY otherwise
+   */
+  async resolveProductCategories({ category, subCategory }) {
+    const categorySlug = String(category ?? "").trim().toLowerCase();
+    const subCategorySlug = String(subCategory ?? "").trim().toLowerCase();
+
+    const [parent, child] = await Promise.all([
+      this.categoryRepository.findBySlug(categorySlug),
+      this.categoryRepository.findBySlug(subCategorySlug),
+    ]);
+
+    if (!parent) {
+      this.#throwInvalidProductCategory(`Unknown category "${category}"`);
+    }
+    if (!child || !child.ancestors.some((a) => a.equals(parent._id))) {
+      this.#throwInvalidProductCategory(
+        `"${subCategory}" is not a sub-category of "${categorySlug}"`
+      );
+    }
+
+    return { category: categorySlug, subCategory: subCategorySlug };
+  }
+
+  /**
+   * Returns a category slug together with the slugs of all its descendants
+   * @param {string} slug - Category slug
+   * @returns {Promise<string[]>} Slugs (just the given one if it is unknown)
+   */
+  async descendantSlugs(slug) {
+    const category = await this.categoryRepository.findBySlug(slug);
+    if (!category) return [slug];
+
+    const descendants = await this.categoryRepository.findDescendants(
+      category._id
+    );
+    return [category.slug, ...descendants.map((c) => c.slug)];
+  }
+
+  // -------------------- Helpers --------------------
+  async #findCategoryOrThrow(id) {
+    const category = mongoose.isValidObjectId(id)
+      ? await this.categoryRepository.findById(id)
+      : null;
+    if (!category) this.#throwNotFound();
+
+    return category;
+  }
+
+  // Parents may be given by id or slug
+  async #findParentOrThrow(parent) {
+    const category = mongoose.isValidObjectId(parent)
+      ? await this.categoryRepository.findById(parent)
+      : await this.categoryRepository.findBySlug(String(parent));
+    if (!category) {
+      throw new ApiError({
+        message: "Parent category not found",
+        statusCode: 400,
+        errorCode: "INVALID_CATEGORY_PARENT",
+      });
+    }
+
+    return category;
+  }
+
+  async #assertSlugAvailable(slug) {
+    if (!isSlug(slug)) {
+      throw new ApiError({
+        message:
+          "Slug may only contain lowercase letters, digits and single dashes",
+        statusCode: 400,
+        errorCode: "VALIDATION_ERROR",
+      });
+    }
+    if (await this.categoryRepository.findBySlug(slug)) this.#throwSlugTaken();
+
+    return slug;
+  }
+
+  #rethrowWriteError(err) {
+    if (err.code === 11000) this.#throwSlugTaken();
+    if (err.name === "ValidationError") {
+      throw new ApiError({
+        message: "Invalid category data",
+        statusCode: 400,
+        errorCode: "VALIDATION_ERROR",
+        details: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    throw err;
+  }
+
+  #throwNotFound() {
+    throw new ApiError({
+      message: "Category not found",
+      statusCode: 404,
+      errorCode: "CATEGORY_NOT_FOUND",
+    });
+  }
+
+  #throwSlugTaken() {
+    throw new ApiError({
+      message: "Slug is already used by another category",
+      statusCode: 409,
+      errorCode: "CATEGORY_SLUG_EXISTS",
+    });
+  }
+
+  #throwInvalidProductCategory(message) {
+    throw new ApiError({
+      message,
+      statusCode: 400,
+      errorCode: "INVALID_CATEGORY",
+    });
+  }
+}
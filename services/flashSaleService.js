@@ -0,0 +1,476 @@
+/**
+ * @file flashSaleService.js
+ * @description
+ * Service class to schedule flash sales and enforce their per-customer limits.
+ *
+ * Responsibilities:
+ * 1. Creates, updates and deletes sales after checking their window, discount
+ *    and products (a product can only be in one sale at a time, and no
+ *    variant may end up free).
+ * 2. Copies each sale onto the products it covers (`flashSales`), so listings
+ *    show sale prices and filter on `isFlash` by the current time alone.
+ * 3. Counts the units each customer reserves during a sale against its limit.
+ *
+ * Methods:
+ * - async listSales(query)
+ * - async getSale(id)
+ * - async createSale(saleData, actor)
+ * - async updateSale(id, updates, actor)
+ * - async deleteSale(id, actor)
+ * - async claimPurchase(entry, userId, quantity)
+ * - async releasePurchase(saleId, userId, quantity)
+ *
+ * @dependencies
+ * - flashSaleRepository: Repository object for sales and usage counters
+ * - productRepository: Repository object for the products on sale
+ *
+ * Usage:
+ * const flashSaleService = new FlashSaleService(flashSaleRepository, productRepository);
+ * const result = await flashSaleService.createSale({ name, startsAt, endsAt, discount, items }, actor);
+ */
+
+import mongoose from "mongoose";
+import logger from "../middleware/logger/logger.js";
+import ApiError from "../utils/ApiError.js";
+import ApiSuccess from "../utils/ApiSuccess.js";
+import { buildFlashSaleQueryOptions } from "../utils/builder.js";
+import { variantSalePrice } from "../utils/flashSale.js";
+import { DiscountTypes, FlashSaleStatus } from "../models/flashSaleModel.js";
+
+// Fields a client may set on a sale
+const SALE_FIELDS = [
+  "name",
+  "startsAt",
+  "endsAt",
+  "discount",
+  "items",
+  "perCustomerLimit",
+];
+
+export default class FlashSaleService {
+  constructor(flashSaleRepository, productRepository) {
+    this.flashSaleRepository = flashSaleRepository;
+    this.productRepository = productRepository;
+  }
+
+  // -------------------- List Sales --------------------
+  /**
+   * Lists flash sales
+   * @param {Object} query - Query parameters (status: scheduled|active|ended, product, page, pageSize)
+   * @returns {Promise<ApiSuccess>} Sales with status and countdown, plus pagination meta
+   */
+  async listSales(query) {
+    const now = new Date();
+    const { filter, options } = buildFlashSaleQueryOptions(query, now);
+
+    const [sales, total] = await Promise.all([
+      this.flashSaleRepository.findWithPagination(filter, options),
+      this.flashSaleRepository.count(filter),
+    ]);
+
+    return new ApiSuccess({
+      message: "Flash sales fetched successfully",
+      statusCode: 200,
+      data: sales.map((sale) => this.#present(sale, now)),
+      successCode: "FLASH_SALES_FETCHED",
+      meta: {
+        total,
+        page: options.page,
+        pageSize: options.pageSize,
+        hasNext: options.skip + sales.length < total,
+      },
+    });
+  }
+
+  // -------------------- Get Sale --------------------
+  /**
+   * Returns a flash sale
+   * @param {string} id - FlashSale ObjectId
+   * @returns {Promise<ApiSuccess>} Sale with status and countdown
+   * @throws {ApiError} If the sale does not exist
+   */
+  async getSale(id) {
+    const sale = await this.#findSaleOrThrow(id);
+
+    return new ApiSuccess({
+      message: "Flash sale fetched successfully",
+      statusCode: 200,
+      data: this.#present(sale, new Date()),
+      successCode: "FLASH_SALE_FETCHED",
+    });
+  }
+
+  // -------------------- Create Sale --------------------
+  /**
+   * Schedules a flash sale
+   * @param {Object} saleData - { name, startsAt, endsAt, discount: { type, value },
+   * items: [{ product, skus }], perCustomerLimit }
+   * @param {Object} actor - { id } of the user or API key creating it
+   * @returns {Promise<ApiSuccess>} Created sale
+   * @throws {ApiError} If the sale is invalid or overlaps another sale of its products
+   */
+  async createSale(saleData = {}, actor) {
+    const data = await this.#prepare(pick(saleData), null);
+
+    const sale = await this.#save(() =>
+      this.flashSaleRepository.create({ ...data, createdBy: actor.id })
+    );
+    await this.#syncProducts(sale);
+
+    logger.info(`Flash sale [${sale._id}] created by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Flash sale created successfully",
+      statusCode: 201,
+      data: this.#present(sale, new Date()),
+      successCode: "FLASH_SALE_CREATED",
+    });
+  }
+
+  // -------------------- Update Sale --------------------
+  /**
+   * Changes a flash sale; running sales change immediately
+   * @param {string} id - FlashSale ObjectId
+   * @param {Object} updates - Any of the fields accepted by createSale
+   * @param {Object} actor - { id } of the user or API key updating it
+   * @returns {Promise<ApiSuccess>} Updated sale
+   * @throws {ApiError} If the sale does not exist, or the result is invalid or overlaps
+   */
+  async updateSale(id, updates = {}, actor) {
+    const sale = await this.#findSaleOrThrow(id);
+    const changes = pick(updates);
+    if (Object.keys(changes).length === 0) {
+      throw new ApiError({
+        message: `At least one of ${SALE_FIELDS.join(", ")} is required`,
+        statusCode: 400,
+        errorCode: "MISSING_UPDATE_DATA",
+      });
+    }
+
+    const data = await this.#prepare(changes, sale);
+    const updatedSale = await this.#save(() =>
+      this.flashSaleRepository.update(sale, { ...data, updatedBy: actor.id })
+    );
+    await this.#syncProducts(updatedSale);
+
+    logger.info(`Flash sale [${id}] updated by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Flash sale updated successfully",
+      statusCode: 200,
+      data: this.#present(updatedSale, new Date()),
+      successCode: "FLASH_SALE_UPDATED",
+    });
+  }
+
+  // -------------------- Delete Sale --------------------
+  /**
+   * Deletes a flash sale; a running sale ends immediately
+   * @param {string} id - FlashSale ObjectId
+   * @param {Object} actor - { id } of the user or API key deleting it
+   * @returns {Promise<ApiSuccess>} Deleted sale
+   * @throws {ApiError} If the sale does not exist
+   */
+  async deleteSale(id, actor) {
+    const sale = await this.#findSaleOrThrow(id);
+
+    await this.flashSaleRepository.deleteById(sale._id);
+    await this.productRepository.pullFlashSale(sale._id, [], new Date());
+    await this.flashSaleRepository.deleteUsage(sale._id);
+
+    logger.info(`Flash sale [${id}] deleted by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Flash sale deleted successfully",
+      statusCode: 200,
+      data: sale,
+      successCode: "FLASH_SALE_DELETED",
+    });
+  }
+
+  // -------------------- Per-Customer Limits --------------------
+  /**
+   * Counts units a customer takes during a sale against its limit
+   * @param {Object} entry - Sale entry of the product (see utils/flashSale.js)
+   * @param {string} userId - Customer ObjectId
+   * @param {number} quantity - Units taken
+   * @throws {ApiError} 409 if the customer would go over the limit
+   */
+  async claimPurchase(entry, userId, quantity) {
+    if (!entry.perCustomerLimit) return;
+
+    const usage = await this.flashSaleRepository.claimUsage(
+      entry.sale,
+      userId,
+      quantity,
+      entry.perCustomerLimit
+    );
+    if (!usage) {
+      throw new ApiError({
+        message: `This flash sale is limited to ${entry.perCustomerLimit} unit(s) per customer`,
+        statusCode: 409,
+        errorCode: "FLASH_SALE_LIMIT_EXCEEDED",
+        details: { limit: entry.perCustomerLimit },
+      });
+    }
+  }
+
+  /**
+   * Gives units back to a customer's allowance (released or expired reservation)
+   * @param {Object} saleId - FlashSale ObjectId
+   * @param {string} userId - Customer ObjectId
+   * @param {number} quantity - Units given back
+   */
+  async releasePurchase(saleId, userId, quantity) {
+    await this.flashSaleRepository.releaseUsage(saleId, userId, quantity);
+  }
+
+  // -------------------- Helpers --------------------
+  async #findSaleOrThrow(id) {
+    const sale = mongoose.isValidObjectId(id)
+      ? await this.flashSaleRepository.findById(id)
+      : null;
+    if (!sale) {
+      throw new ApiError({
+        message: "Flash sale not found",
+        statusCode: 404,
+        errorCode: "FLASH_SALE_NOT_FOUND",
+      });
+    }
+
+    return sale;
+  }
+
+  // Normalizes the changes and checks the sale they produce
+  async #prepare(changes, existing) {
+    const now = new Date();
+    const data = { ...changes };
+
+    if ("startsAt" in data) data.startsAt = toDate(data.startsAt, "startsAt");
+    if ("endsAt" in data) data.endsAt = toDate(data.endsAt, "endsAt");
+    if ("items" in data) data.items = normalizeItems(data.items);
+    if ("discount" in data) data.discount = normalizeDiscount(data.discount);
+    if ("perCustomerLimit" in data) {
+      const limit = data.perCustomerLimit;
+      if (limit !== null && !(Number.isInteger(limit) && limit >= 1)) {
+        invalid("perCustomerLimit must be a whole number of at least 1, or null");
+      }
+    }
+
+    const sale = {
+      ...(existing ? existing.toObject() : {}),
+      ...data,
+    };
+
+    if (!sale.startsAt || !sale.endsAt || sale.endsAt <= sale.startsAt) {
+      invalid("startsAt and endsAt are required, and endsAt must be after startsAt");
+    }
+    if ("endsAt" in data && sale.endsAt <= now) {
+      invalid("endsAt must be in the future");
+    }
+    if (!sale.discount) invalid("discount is required");
+    if (!sale.items?.length) invalid("items must list at least one product");
+
+    await this.#checkProducts(sale);
+    await this.#checkOverlap(sale, existing?._id);
+
+    return data;
+  }
+
+  // Every product and SKU must exist, and no covered variant may end up free
+  async #checkProducts(sale) {
+    const productIds = sale.items.map((item) => item.product);
+    const products = new Map(
+      (await this.productRepository.findByIds(productIds)).map((p) => [p.id, p])
+    );
+
+    const problems = [];
+    for (const item of sale.items) {
+      const product = products.get(item.product);
+      if (!product) {
+        problems.push(`Product [${item.product}] not found`);
+        continue;
+      }
+
+      const skus = new Set(product.variants.map((variant) => variant.sku));
+      item.skus
+        .filter((sku) => !skus.has(sku))
+        .forEach((sku) =>
+          problems.push(`Product [${item.product}] has no variant ${sku}`)
+        );
+
+      const entry = {
+        discountType: sale.discount.type,
+        discountValue: sale.discount.value,
+        skus: item.skus,
+      };
+      for (const variant of product.variants) {
+        if (variantSalePrice(product, variant, entry) === 0) {
+          problems.push(
+            `Discount makes variant ${variant.sku} of product [${item.product}] free`
+          );
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new ApiError({
+        message: "Flash sale products are invalid",
+        statusCode: 400,
+        errorCode: "INVALID_FLASH_SALE",
+        details: problems,
+      });
+    }
+  }
+
+  // A product is in at most one sale at any time, so its sale price is unambiguous
+  async #checkOverlap(sale, excludeId) {
+    const productIds = sale.items.map((item) => item.product);
+    const overlapping = await this.flashSaleRepository.findOverlapping(
+      productIds,
+      sale.startsAt,
+      sale.endsAt,
+      excludeId
+    );
+
+    if (overlapping.length > 0) {
+      throw new ApiError({
+        message: "Products are already in another flash sale during this time",
+        statusCode: 409,
+        errorCode: "FLASH_SALE_OVERLAP",
+        details: overlapping.map((other) => ({
+          id: other._id,
+          name: other.name,
+          startsAt: other.startsAt,
+          endsAt: other.endsAt,
+          products: other.items
+            .map((item) => item.product)
+            .filter((id) => productIds.includes(id)),
+        })),
+      });
+    }
+  }
+
+  async #save(write) {
+    try {
+      return await write();
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        throw new ApiError({
+          message: "Invalid flash sale data",
+          statusCode: 400,
+          errorCode: "VALIDATION_ERROR",
+          details: Object.values(err.errors).map((e) => e.message),
+        });
+      }
+      throw err;
+    }
+  }
+
+  // Replace the copies of the sale on its products
+  async #syncProducts(sale) {
+    const now = new Date();
+    const productIds = sale.items.map((item) => item.product);
+
+    await this.productRepository.pullFlashSale(sale._id, productIds, now);
+    if (sale.endsAt <= now) return; // An ended sale no longer prices anything
+
+    await this.productRepository.pushFlashSale(
+      sale.items.map((item) => ({
+        productId: item.product,
+        entry: {
+          sale: sale._id,
+          name: sale.name,
+          startsAt: sale.startsAt,
+          endsAt: sale.endsAt,
+          discountType: sale.discount.type,
+          discountValue: sale.discount.value,
+          skus: item.skus,
+          perCustomerLimit: sale.perCustomerLimit,
+        },
+      }))
+    );
+  }
+
+  #present(sale, now) {
+    const status =
+      now < sale.startsAt
+        ? FlashSaleStatus.SCHEDULED
+        : now < sale.endsAt
+          ? FlashSaleStatus.ACTIVE
+          : FlashSaleStatus.ENDED;
+    const secondsUntil = (date) => Math.ceil((date - now) / 1000);
+
+    return {
+      ...sale.toObject(),
+      status,
+      startsInSeconds:
+        status === FlashSaleStatus.SCHEDULED ? secondsUntil(sale.startsAt) : 0,
+      endsInSeconds:
+        status === FlashSaleStatus.ENDED ? 0 : secondsUntil(sale.endsAt),
+    };
+  }
+}
+
+// -------------------- Input Normalization --------------------
+function pick(source) {
+  return Object.fromEntries(
+    SALE_FIELDS.filter((field) => source?.[field] !== undefined).map(
+      (field) => [field, source[field]]
+    )
+  );
+}
+
+function invalid(message) {
+  throw new ApiError({
+    message,
+    statusCode: 400,
+    errorCode: "INVALID_FLASH_SALE",
+  });
+}
+
+function toDate(value, field) {
+  const date = new Date(value);
+  if (value === null || Number.isNaN(date.getTime())) {
+    invalid(`${field} must be a valid date`);
+  }
+
+  return date;
+}
+
+function normalizeDiscount(discount) {
+  const type = discount?.type;
+  const value = Number(discount?.value);
+
+  if (!Object.values(DiscountTypes).includes(type)) {
+    invalid(`discount.type must be one of: ${Object.values(DiscountTypes).join(", ")}`);
+  }
+  if (!Number.isFinite(value) || value <= 0) {
+    invalid("discount.value must be a number greater than 0");
+  }
+  if (type === DiscountTypes.PERCENTAGE && value >= 100) {
+    invalid("A percentage discount must be less than 100");
+  }
+
+  return { type, value };
+}
+
+function normalizeItems(items) {
+  if (!Array.isArray(items)) invalid("items must be an array");
+
+  const seen = new Set();
+  return items.map((item) => {
+    const product = Number(item?.product);
+    if (!Number.isInteger(product)) {
+      invalid("Every item needs a numeric product id");
+    }
+    if (seen.has(product)) invalid(`Product [${product}] is listed twice`);
+    seen.add(product);
+
+    const skus = Array.isArray(item.skus) ? item.skus : [];
+    return {
+      product,
+      skus: [...new Set(skus.map((sku) => String(sku).trim().toUpperCase()))],
+    };
+  });
+}
@@ -0,0 +1,42 @@
+/**
+ * @file mailService.js
+ * @description
+ * Thin mailer abstraction used by the services to send emails.
+ *
+ * Responsibilities:
+ * 1. Fills in the sender address.
+ * 2. Delegates delivery to the injected transport (see transports/).
+ * 3. Logs every message handed to the transport.
+ *
+ * @dependencies
+ * - transport: Any object with `async send({ from, to, subject, text, html })`.
+ * - logger: Custom logger for logging messages.
+ *
+ * Usage:
+ * import MailService from './services/mail/mailService.js';
+ * import OutboxTransport from './services/mail/transports/outboxTransport.js';
+ * const mailService = new MailService(new OutboxTransport({ dir: 'outbox' }), { from });
+ * await mailService.send({ to, subject, text, html });
+ */
+
+import logger from "../../middleware/logger/logger.js";
+
+export default class MailService {
+  constructor(transport, { from }) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  async send({ to, subject, text, html }) {
+    const result = await this.transport.send({
+      from: this.from,
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    logger.info(`Mail [${subject}] sent to ${to}`);
+    return result;
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * @file mailTemplates.js
+ * @description
+ * Builders for the emails sent by the application.
+ * Each builder returns { subject, text, html } ready for MailService.send.
+ */
+
+// User-provided values must not be able to inject markup into the HTML body
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// -------------------- Password Reset --------------------
+export function passwordResetEmail({ fullName, resetUrl, expiresInMinutes }) {
+  return {
+    subject: "Reset your Exclusive password",
+    text: [
+      `Hi ${fullName},`,
+      "",
+      "We received a request to reset your password. Open the link below to choose a new one:",
+      resetUrl,
+      "",
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you did not request a password reset, you can ignore this email.",
+    ].join("\n"),
+    html: `<p>Hi ${escapeHtml(fullName)},</p>
+<p>We received a request to reset your password. Click the link below to choose a new one:</p>
+<p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once.<br>
+If you did not request a password reset, you can ignore this email.</p>`,
+  };
+}
+
+// -------------------- Email Verification --------------------
+export function emailVerificationEmail({ fullName, verifyUrl }) {
+  return {
+    subject: "Verify your Exclusive email address",
+    text: [
+      `Hi ${fullName},`,
+      "",
+      "Please confirm your email address by opening the link below:",
+      verifyUrl,
+      "",
+      "If you did not create an account, you can ignore this email.",
+    ].join("\n"),
+    html: `<p>Hi ${escapeHtml(fullName)},</p>
+<p>Please confirm your email address by clicking the link below:</p>
+<p><a href="${escapeHtml(verifyUrl)}">Verify email</a></p>
+<p>If you did not create an account, you can ignore this email.</p>`,
+  };
+}
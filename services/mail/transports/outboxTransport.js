@@ -0,0 +1,38 @@
+/**
+ * @file outboxTransport.js
+ * @description
+ * Default mail transport: writes every message as a JSON file into a local
+ * outbox directory instead of sending it. Lets the mail flows be exercised and
+ * inspected in development and tests without an SMTP server.
+ *
+ * Any object exposing `async send(message)` can replace this transport.
+ *
+ * @example
+ * const transport = new OutboxTransport({ dir: 'outbox' });
+ * await transport.send({ from, to, subject, text, html });
+ * // → outbox/1700000000000-1f2e3d4c.json
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export default class OutboxTransport {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const file = path.join(this.dir, `${id}.json`);
+
+    await fs.writeFile(
+      file,
+      JSON.stringify({ id, createdAt: new Date(), ...message }, null, 2)
+    );
+
+    return { id, file };
+  }
+}
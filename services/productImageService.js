@@ -0,0 +1,307 @@
+/**
+ * @file productImageService.js
+ * @description
+ * Service class for images uploaded for products.
+ *
+ * Responsibilities:
+ * 1. Accepts only real JPEG, PNG, GIF and WebP files (checked from their bytes).
+ * 2. Stores them through the injected storage and records them per product.
+ * 3. Links an upload to the product: as its main image, or as an image of one
+ *    of its variants.
+ * 4. Removes files the product no longer uses: when an image is deleted, when
+ *    a product update or a new main image replaces it, and when the product is deleted.
+ * 5. Records the product changes it makes in the product's revision history.
+ *
+ * Methods:
+ * - async listImages(productId)
+ * - async uploadImage(productId, file, { sku }, actor)
+ * - async deleteImage(productId, imageId, actor)
+ * - async removeOrphans(productId)
+ * - async removeAll(productId)
+ *
+ * @dependencies
+ * - productImageRepository: Repository object for the uploaded image records
+ * - productRepository: Repository object for the products the images belong to
+ * - storage: File storage, e.g. LocalDiskStorage (`save`, `remove`)
+ * - productRevisionService: Records the changed image fields of products
+ *
+ * Usage:
+ * const productImageService = new ProductImageService(productImageRepository, productRepository, storage, productRevisionService);
+ * const result = await productImageService.uploadImage(12, req.file, { sku: 'TSHIRT-RED-M' }, actor);
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import logger from "../middleware/logger/logger.js";
+import ApiError from "../utils/ApiError.js";
+import ApiSuccess from "../utils/ApiSuccess.js";
+import { detectImageType } from "../utils/imageType.js";
+import { RevisionActions } from "../models/productRevisionModel.js";
+
+export default class ProductImageService {
+  constructor(
+    productImageRepository,
+    productRepository,
+    storage,
+    productRevisionService
+  ) {
+    this.productImageRepository = productImageRepository;
+    this.productRepository = productRepository;
+    this.storage = storage;
+    this.productRevisionService = productRevisionService;
+  }
+
+  // -------------------- List Images --------------------
+  /**
+   * Lists the images uploaded for a product and where the product uses them
+   * @param {string|number} productId - Product ID
+   * @returns {Promise<ApiSuccess>} Images, oldest first, each with `usedAs`
+   * ({ main: boolean, variants: string[] })
+   */
+  async listImages(productId) {
+    const product = await this.#findProductOrThrow(productId);
+    const images = await this.productImageRepository.findByProduct(product.id);
+
+    return new ApiSuccess({
+      message: "Product images fetched successfully",
+      statusCode: 200,
+      data: images.map((image) => ({
+        ...image.toObject(),
+        usedAs: {
+          main: product.mainImgSRC === image.url,
+          variants: product.variants
+            .filter((variant) => variant.images?.includes(image.url))
+            .map((variant) => variant.sku),
+        },
+      })),
+      successCode: "PRODUCT_IMAGES_FETCHED",
+    });
+  }
+
+  // -------------------- Upload Image --------------------
+  /**
+   * Stores an uploaded image and links it to the product
+   * @param {string|number} productId - Product ID
+   * @param {Object} file - Uploaded file ({ originalname, size, buffer })
+   * @param {Object} target - { sku }: add the image to this variant; without
+   * it the image becomes the main image
+   * @param {Object} actor - { id } of the user or API key uploading
+   * @returns {Promise<ApiSuccess>} The image record and the updated product
+   * @throws {ApiError} If the file is not a supported image, or the product or variant does not exist
+   */
+  async uploadImage(productId, file, { sku } = {}, actor) {
+    const type = detectImageType(file.buffer);
+    if (!type) {
+      throw new ApiError({
+        message: "File must be a JPEG, PNG, GIF or WebP image",
+        statusCode: 415,
+        errorCode: "UNSUPPORTED_FILE_TYPE",
+      });
+    }
+
+    const product = await this.#findProductOrThrow(productId);
+    const variantSku = sku ? String(sku).trim().toUpperCase() : null;
+    if (variantSku && !product.variants.some((v) => v.sku === variantSku)) {
+      throw new ApiError({
+        message: `Product has no variant with SKU ${variantSku}`,
+        statusCode: 404,
+        errorCode: "VARIANT_NOT_FOUND",
+      });
+    }
+
+    const { key, url } = await this.storage.save({
+      key: `products/${product.id}/${crypto.randomBytes(8).toString("hex")}${type.extension}`,
+      buffer: file.buffer,
+      contentType: type.mimeType,
+    });
+
+    let image;
+    let updatedProduct;
+    try {
+      image = await this.productImageRepository.create({
+        product: product.id,
+        key,
+        url,
+        contentType: type.mimeType,
+        size: file.size ?? file.buffer.length,
+        originalName: file.originalname,
+        uploadedBy: actor.id,
+      });
+
+      updatedProduct = variantSku
+        ? await this.productRepository.addVariantImage(product.id, variantSku, url)
+        : await this.productRepository.setMainImage(product.id, url);
+      if (!updatedProduct) {
+        throw new ApiError({
+          message: "Product or variant no longer exists",
+          statusCode: 404,
+          errorCode: variantSku ? "VARIANT_NOT_FOUND" : "PRODUCT_NOT_FOUND",
+        });
+      }
+    } catch (err) {
+      // Never keep a file nothing points to
+      if (image) {
+        await this.#removeImages([image]);
+      } else {
+        await this.storage
+          .remove(key)
+          .catch((removeErr) =>
+            logger.error(`Error removing image file [${key}]:`, removeErr)
+          );
+      }
+      throw err;
+    }
+
+    await this.productRevisionService.record({
+      action: RevisionActions.UPDATE,
+      before: product,
+      after: updatedProduct,
+      actor,
+    });
+
+    // A replaced main image that was uploaded here is no longer used
+    if (!variantSku) await this.removeOrphans(product.id);
+
+    logger.info(
+      `Image [${key}] uploaded for product [${product.id}]${variantSku ? ` variant ${variantSku}` : ""} by [${actor.id}]`
+    );
+
+    return new ApiSuccess({
+      message: "Product image uploaded successfully",
+      statusCode: 201,
+      data: { image, product: updatedProduct },
+      successCode: "PRODUCT_IMAGE_UPLOADED",
+    });
+  }
+
+  // -------------------- Delete Image --------------------
+  /**
+   * Removes an uploaded image from the product and deletes its file
+   * @param {string|number} productId - Product ID
+   * @param {string} imageId - ProductImage ObjectId
+   * @param {Object} actor - { id } of the user or API key deleting
+   * @returns {Promise<ApiSuccess>} The product without the image
+   * @throws {ApiError} If the image does not exist or is the product's main image
+   */
+  async deleteImage(productId, imageId, actor) {
+    const product = await this.#findProductOrThrow(productId);
+
+    const image = mongoose.isValidObjectId(imageId)
+      ? await this.productImageRepository.findById(imageId)
+      : null;
+    if (!image || image.product !== product.id) {
+      throw new ApiError({
+        message: "Image not found",
+        statusCode: 404,
+        errorCode: "IMAGE_NOT_FOUND",
+      });
+    }
+
+    // A product always needs a main image
+    if (product.mainImgSRC === image.url) {
+      throw new ApiError({
+        message: "This is the main image; upload or set another main image first",
+        statusCode: 409,
+        errorCode: "MAIN_IMAGE_IN_USE",
+      });
+    }
+
+    const updatedProduct = await this.productRepository.removeVariantImage(
+      product.id,
+      image.url
+    );
+    await this.#removeImages([image]);
+    if (updatedProduct) {
+      await this.productRevisionService.record({
+        action: RevisionActions.UPDATE,
+        before: product,
+        after: updatedProduct,
+        actor,
+      });
+    }
+
+    logger.info(
+      `Image [${image.key}] of product [${product.id}] deleted by [${actor.id}]`
+    );
+
+    return new ApiSuccess({
+      message: "Product image deleted successfully",
+      statusCode: 200,
+      data: updatedProduct,
+      successCode: "PRODUCT_IMAGE_DELETED",
+    });
+  }
+
+  // -------------------- Cleanup --------------------
+  /**
+   * Deletes the uploaded images a product no longer uses. Never throws:
+   * cleanup must not fail the product change that triggered it.
+   * @param {number} productId - Product ID
+   */
+  async removeOrphans(productId) {
+    try {
+      // Read the product again: it may have changed since the caller loaded it
+      const product = await this.productRepository.findWithID(productId);
+      const used = new Set(
+        product
+          ? [
+              product.mainImgSRC,
+              ...product.variants.flatMap((variant) => variant.images ?? []),
+            ]
+          : []
+      );
+
+      const images = await this.productImageRepository.findByProduct(productId);
+      await this.#removeImages(images.filter((image) => !used.has(image.url)));
+    } catch (err) {
+      logger.error(`Error removing unused images of product [${productId}]:`, err);
+    }
+  }
+
+  /**
+   * Deletes every image uploaded for a product (after the product is deleted).
+   * Never throws, like removeOrphans.
+   * @param {number} productId - Product ID
+   */
+  async removeAll(productId) {
+    try {
+      const images = await this.productImageRepository.findByProduct(productId);
+      await this.#removeImages(images);
+    } catch (err) {
+      logger.error(`Error removing images of product [${productId}]:`, err);
+    }
+  }
+
+  // -------------------- Helpers --------------------
+  async #findProductOrThrow(productId) {
+    const product = await this.productRepository.findWithID(productId);
+    if (!product) {
+      throw new ApiError({
+        message: "Product not found",
+        statusCode: 404,
+        errorCode: "PRODUCT_NOT_FOUND",
+      });
+    }
+
+    return product;
+  }
+
+  // Delete files first; a record whose file could not be removed is kept so the
+  // next cleanup retries it
+  async #removeImages(images) {
+    const removedIds = [];
+
+    for (const image of images) {
+      try {
+        await this.storage.remove(image.key);
+        removedIds.push(image._id);
+      } catch (err) {
+        logger.error(`Error removing image file [${image.key}]:`, err);
+      }
+    }
+
+    if (removedIds.length > 0) {
+      await this.productImageRepository.deleteByIds(removedIds);
+    }
+  }
+}
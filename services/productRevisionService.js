@@ -0,0 +1,185 @@
+/**
+ * @file productRevisionService.js
+ * @description
+ * Service class for the revision history of products.
+ *
+ * Responsibilities:
+ * 1. Records a revision for every create, update, delete, restore, purge and
+ *    revert of a product: who made the change, when, the changed fields and
+ *    a snapshot.
+ * 2. Lists the revisions of a product and returns single revisions.
+ *
+ * Reverting lives in ProductService, which applies a revision's snapshot as
+ * a regular update.
+ *
+ * Methods:
+ * - async record({ action, before, after, actor, revertedTo })
+ *    - Never throws: a failed recording is logged, the product change stands
+ *    - Updates and reverts that change nothing are not recorded
+ * - async listRevisions(productId, query)
+ * - async getRevision(productId, revisionId)
+ * - async findRevisionOrThrow(productId, revisionId)
+ *
+ * @dependencies
+ * - productRevisionRepository: Repository object for the revisions
+ *
+ * Usage:
+ * const productRevisionService = new ProductRevisionService(productRevisionRepository);
+ * await productRevisionService.record({ action: RevisionActions.UPDATE, before, after, actor });
+ */
+
+import mongoose from "mongoose";
+import logger from "../middleware/logger/logger.js";
+import ApiError from "../utils/ApiError.js";
+import ApiSuccess from "../utils/ApiSuccess.js";
+import { buildRevisionQueryOptions } from "../utils/builder.js";
+import { diffFields } from "../utils/diff.js";
+import { RevisionActions } from "../models/productRevisionModel.js";
+
+// Bookkeeping and flash sale copies are not part of a product's history
+const UNTRACKED_FIELDS = ["_id", "__v", "createdAt", "updatedAt", "flashSales"];
+// Variants are matched by SKU, so diffs read "variants[TSHIRT-RED-M].stock"
+const DIFF_OPTIONS = { keyedArrays: { variants: "sku" } };
+
+export default class ProductRevisionService {
+  constructor(productRevisionRepository) {
+    this.productRevisionRepository = productRevisionRepository;
+  }
+
+  // -------------------- Record Revision --------------------
+  /**
+   * Records a change of a product
+   * @param {Object} change
+   * @param {string} change.action - One of RevisionActions
+   * @param {Object|null} change.before - Product before the change (null for creates)
+   * @param {Object|null} change.after - Product after the change (null for purges)
+   * @param {Object} change.actor - { id } of the user or API key making the change
+   * @param {Object} [change.revertedTo] - Revision ObjectId, for reverts
+   * @returns {Promise<Object|null>} The revision, or null if nothing was recorded
+   */
+  async record({ action, before = null, after = null, actor, revertedTo = null }) {
+    const previous = snapshotOf(before);
+    const current = snapshotOf(after);
+
+    // A purge leaves nothing to compare; its snapshot is the last state
+    const changes = current ? diffFields(previous, current, DIFF_OPTIONS) : [];
+    const isEdit =
+      action === RevisionActions.UPDATE || action === RevisionActions.REVERT;
+    if (isEdit && changes.length === 0) return null;
+
+    const snapshot = current ?? previous;
+    try {
+      return await this.productRevisionRepository.create({
+        product: snapshot.id,
+        action,
+        actor: actor?.id ?? null,
+        changes,
+        snapshot,
+        revertedTo,
+      });
+    } catch (err) {
+      logger.error(
+        `Error recording ${action} revision of product [${snapshot.id}]:`,
+        err
+      );
+      return null;
+    }
+  }
+
+  // -------------------- List Revisions --------------------
+  /**
+   * Lists the revisions of a product, newest first (without snapshots).
+   * Works for archived and purged products too.
+   * @param {string|number} productId - Product ID
+   * @param {Object} query - Query parameters (action, actor, page, pageSize)
+   * @returns {Promise<ApiSuccess>} Revisions with pagination meta
+   */
+  async listRevisions(productId, query) {
+    const { filter, options } = buildRevisionQueryOptions(query);
+    filter.product = parseProductId(productId);
+
+    const [revisions, total] = await Promise.all([
+      this.productRevisionRepository.findWithPagination(filter, options),
+      this.productRevisionRepository.count(filter),
+    ]);
+
+    return new ApiSuccess({
+      message: "Product revisions fetched successfully",
+      statusCode: 200,
+      data: revisions,
+      successCode: "PRODUCT_REVISIONS_FETCHED",
+      meta: {
+        total,
+        page: options.page,
+        pageSize: options.pageSize,
+        hasNext: options.skip + revisions.length < total,
+      },
+    });
+  }
+
+  // -------------------- Get Revision --------------------
+  /**
+   * Returns one revision of a product including its snapshot
+   * @param {string|number} productId - Product ID
+   * @param {string} revisionId - ProductRevision ObjectId
+   * @returns {Promise<ApiSuccess>} The revision
+   */
+  async getRevision(productId, revisionId) {
+    const revision = await this.findRevisionOrThrow(productId, revisionId);
+
+    return new ApiSuccess({
+      message: "Product revision fetched successfully",
+      statusCode: 200,
+      data: revision,
+      successCode: "PRODUCT_REVISION_FETCHED",
+    });
+  }
+
+  /**
+   * Loads a revision of a product
+   * @param {string|number} productId - Product ID
+   * @param {string} revisionId - ProductRevision ObjectId
+   * @returns {Promise<Object>} ProductRevision document
+   * @throws {ApiError} If the IDs are invalid or the revision does not belong to the product
+   */
+  async findRevisionOrThrow(productId, revisionId) {
+    const numericId = parseProductId(productId);
+
+    const revision = mongoose.isValidObjectId(revisionId)
+      ? await this.productRevisionRepository.findById(revisionId)
+      : null;
+    if (!revision || revision.product !== numericId) {
+      throw new ApiError({
+        message: "Revision not found",
+        statusCode: 404,
+        errorCode: "REVISION_NOT_FOUND",
+      });
+    }
+
+    return revision;
+  }
+}
+
+// -------------------- Helpers --------------------
+// Plain copy of a product without untracked fields; null stays null
+function snapshotOf(product) {
+  if (!product) return null;
+
+  const snapshot =
+    typeof product.toObject === "function" ? product.toObject() : { ...product };
+  UNTRACKED_FIELDS.forEach((field) => delete snapshot[field]);
+  return snapshot;
+}
+
+function parseProductId(productId) {
+  const numericId = Number(productId);
+  if (!productId || Number.isNaN(numericId)) {
+    throw new ApiError({
+      message: "Invalid product ID format",
+      statusCode: 400,
+      errorCode: "INVALID_PRODUCT_ID",
+    });
+  }
+
+  return numericId;
+}
@@ -1,7 +1,73 @@
 import { buildQueryOptions } from "../utils/builder.js"; // Utility to parse query parameters
+import { decodeCursor, encodeCursor } from "../utils/cursor.js";
 import logger from "../middleware/logger/logger.js";
 import ApiError from "../utils/ApiError.js";
 import ApiSuccess from "../utils/ApiSuccess.js";
+import { withFlashSale } from "../utils/flashSale.js";
+import { ifMatchSatisfied, productETag } from "../utils/etag.js";
+import { applyPatch } from "../utils/patch.js";
+import { isSlug, slugify, uniqueSlug } from "../utils/slug.js";
+import {
+  isProductVisible,
+  visibleProductsFilter,
+} from "../utils/visibility.js";
+import { Counters } from "../models/counterModel.js";
+import { RESERVED_PRODUCT_SLUGS } from "../models/productModel.js";
+import { RevisionActions } from "../models/productRevisionModel.js";
+import {
+  buildVocabulary,
+  expandTerms,
+  highlight,
+} from "../utils/search.js";
+
+// The search vocabulary is rebuilt at most this often, so new and changed
+// products reach search expansions within this time
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+// Upper bound of the words kept in the search vocabulary
+const MAX_VOCABULARY_WORDS = 50000;
+// Length of the highlighted description snippet
+const SNIPPET_LENGTH = 160;
+// Computed from reviews and flash sales or set by archiving and slug changes,
+// never accepted from clients
+const MANAGED_FIELDS = [
+  "avgRate",
+  "ratingCount",
+  "isFlash",
+  "flashSales",
+  "deletedAt",
+  "deletedBy",
+  "previousSlugs",
+];
+// Identity and bookkeeping, plus the fields above and the computed flash
+// sale summary of responses; a patch may test them but not change them
+const READ_ONLY_FIELDS = [
+  ...MANAGED_FIELDS,
+  "flashSale",
+  "_id",
+  "__v",
+  "id",
+  "createdAt",
+  "updatedAt",
+];
+// Left as they are by a revert: read-only fields, images, whose replaced
+// uploads have already been deleted, and the slug, so links keep working
+const REVERT_KEPT_FIELDS = [...READ_ONLY_FIELDS, "mainImgSRC", "slug"];
+
+// Fields compare by their JSON form, as clients see them
+const isSameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Reserved units belong to open reservations, never to the client: each
+// variant keeps those of the current variant with its SKU (none if it is new)
+const withReservedUnits = (variants, currentVariants = []) =>
+  variants.map((variant) =>
+    variant !== null && typeof variant === "object"
+      ? {
+          ...variant,
+          reserved:
+            currentVariants.find((v) => v.sku === variant.sku)?.reserved ?? 0,
+        }
+      : variant
+  );
 
 /**
  * ProductService handles business logic for product operations
@@ -10,32 +76,80 @@ import ApiSuccess from "../utils/ApiSuccess.js";
  * - Error handling and formatting
  * - Response formatting using ApiSuccess/ApiError
  * - Orchestrating repository calls
+ * - Keyword search: expanding terms for prefix/typo matching and highlighting results
+ * - Removing uploaded images a product no longer uses after updates and deletes
+ * - Recording a revision of every change and reverting products to earlier revisions
+ * - Soft deletion: deleted products are archived (hidden from every public view)
+ *   until restored, and only archived products can be purged for good
+ * - Publishing: customers only see products visible at the time of the request
+ *   (see utils/visibility.js); previews show drafts and scheduled products too
+ * - Optimistic concurrency: updates, patches and deletes given an If-Match
+ *   header only apply to the product version it names (see utils/etag.js)
+ * - Partial updates with JSON Merge Patch and JSON Patch (see utils/patch.js)
+ * - Slugs: generated from the title, kept when it changes; replaced slugs
+ *   still find the product, so old links can be redirected
  */
 export default class ProductService {
-  constructor(ProductRepository) {
-    // Dependency Injection: store the repository instance
+  // Words occurring in the catalog, used to expand search terms
+  #vocabulary = null;
+  #vocabularyBuiltAt = 0;
+  // Rebuild in progress, shared by the searches waiting for it
+  #vocabularyBuild = null;
+
+  constructor(
+    ProductRepository,
+    categoryService,
+    productImageService,
+    counterRepository,
+    productRevisionService
+  ) {
+    // Dependency Injection: store the repository and service instances
     this.ProductRepository = ProductRepository;
+    this.categoryService = categoryService;
+    this.productImageService = productImageService;
+    this.counterRepository = counterRepository;
+    this.productRevisionService = productRevisionService;
   }
 
   // -------------------- Get All Products --------------------
   /**
    * Retrieves all products with optional filtering, sorting, and pagination
+   * With `q`, performs a relevance-ranked keyword search with prefix and typo
+   * matching; each result then carries `score` and `highlights`.
+   * With `cursor`, pages by opaque cursor instead of page number.
    * @param {Object} query - Query parameters for filtering and pagination
+   * @param {Object} [scope]
+   * @param {boolean} [scope.archived=false] - List archived products instead
+   * @param {boolean} [scope.preview=false] - Include products customers cannot see
    * @returns {Promise<ApiSuccess>} Structured success response with products array
    * @throws {ApiError} If database operation fails
    */
-  async getAllProducts(query) {
+  async getAllProducts(query, { archived = false, preview = false } = {}) {
     try {
+      const now = new Date();
+
       // Parse the query parameters into filter and options for repository
       // options may include sort, skip, limit, random, etc.
-      const { filter, options } = buildQueryOptions(query);
-
-      // Fetch products from repository with filtering, pagination, and sorting
-      const products = await this.ProductRepository.findWithPagination(
-        filter,
-        options
+      const { filter, options, search } = await this.resolveListingQuery(
+        query,
+        { archived, preview, now }
       );
 
+      // In cursor mode only the page itself is restricted to items after the cursor
+      const pageFilter = this.#applyCursor(filter, options);
+
+      // Fetch products, the total and the sidebar facet counts of the same query
+      const [fetched, total, facets] = await Promise.all([
+        this.ProductRepository.findWithPagination(pageFilter, options),
+        this.ProductRepository.count(filter),
+        options.facets ? this.ProductRepository.getFacets(filter) : null,
+      ]);
+
+      // Cursor mode fetches one extra item to know whether a next page exists
+      const hasMore =
+        options.cursor !== undefined && fetched.length > options.pageSize;
+      const products = hasMore ? fetched.slice(0, options.pageSize) : fetched;
+
       // Log the number of fetched products
       logger.info(`[${products.length}] products fetched successfully`);
 
@@ -43,8 +157,22 @@ export default class ProductService {
       return new ApiSuccess({
         message: "Products fetched successfully",
         statusCode: 200,
-        data: products,
+        // Sale prices and countdowns are computed for the moment of the request
+        data: products.map((product) =>
+          withFlashSale(
+            search ? this.#withHighlights(product, search) : product,
+            now
+          )
+        ),
         successCode: "PRODUCTS_FETCHED",
+        meta: this.#buildListMeta({
+          products,
+          total,
+          hasMore,
+          search,
+          facets,
+          options,
+        }),
       });
     } catch (error) {
       // Log the error
@@ -65,14 +193,69 @@ export default class ProductService {
     }
   }
 
+  // -------------------- Resolve Listing Query --------------------
+  /**
+   * Turns listing query parameters into a repository filter and options,
+   * expanding search terms and categories (also used by the bulk export)
+   * @param {Object} query - Query parameters of a listing
+   * @param {Object} [scope]
+   * @param {boolean} [scope.archived=false] - Match archived products instead
+   * of the live ones
+   * @param {boolean} [scope.preview=false] - Also match drafts, unlisted and
+   * scheduled products (archived listings always do)
+   * @param {Date} [scope.now] - Time the visibility is checked at
+   * @returns {Promise<{ filter: Object, options: Object, search: Object|null }>}
+   */
+  async resolveListingQuery(
+    query,
+    { archived = false, preview = false, now = new Date() } = {}
+  ) {
+    const { filter, options } = buildQueryOptions(query);
+    filter.deletedAt = archived ? { $ne: null } : null;
+
+    // Customers only see listed products inside their publishing window
+    if (!archived && !preview) {
+      filter.$and = [...(filter.$and ?? []), visibleProductsFilter(now)];
+    }
+
+    // Turn search terms into a $text filter over their expansions
+    let search = null;
+    if (options.searchTerms) {
+      search = await this.#expandSearch(options.searchTerms);
+      filter.$text = { $search: search.words.join(" ") };
+    }
+
+    // A category matches products filed under it or any of its descendants
+    if (options.category) {
+      const slugs = await this.categoryService.descendantSlugs(
+        options.category
+      );
+      filter.$and = [
+        ...(filter.$and ?? []),
+        {
+          $or: [
+            { category: { $in: slugs } },
+            { subCategory: { $in: slugs } },
+          ],
+        },
+      ];
+    }
+
+    return { filter, options, search };
+  }
+
   // -------------------- Get Product by ID --------------------
   /**
    * Retrieves a single product by its ID
+   * Unlisted products can be fetched; drafts and products outside their
+   * publishing window only in previews.
    * @param {string|number} id - Product ID
+   * @param {Object} [scope]
+   * @param {boolean} [scope.preview=false] - Also return products customers cannot see
    * @returns {Promise<ApiSuccess>} Structured success response with product data
    * @throws {ApiError} If ID is missing, invalid, or product not found
    */
-  async getProductById(id) {
+  async getProductById(id, { preview = false } = {}) {
     try {
       if (!id) {
         throw new ApiError({
@@ -84,9 +267,13 @@ export default class ProductService {
 
       // Fetch the product by ID using the repository
       const product = await this.ProductRepository.findWithID(id);
+      const isVisible =
+        preview ||
+        (product &&
+          isProductVisible(product, new Date(), { includeUnlisted: true }));
 
-      // If product not found, throw an error
-      if (!product) {
+      // If product not found (or not visible to customers), throw an error
+      if (!product || !isVisible) {
         logger.info(`Product [${id}] not found`);
         throw new ApiError({
           message: "Product not found",
@@ -102,7 +289,7 @@ export default class ProductService {
       return new ApiSuccess({
         message: "Product fetched successfully",
         statusCode: 200,
-        data: product,
+        data: withFlashSale(product),
         successCode: "PRODUCT_FETCHED",
       });
     } catch (error) {
@@ -124,14 +311,54 @@ export default class ProductService {
     }
   }
 
+  // -------------------- Get Product by Slug --------------------
+  /**
+   * Retrieves a product by its current or a previous slug, with the same
+   * visibility rules as getProductById. `meta.canonicalSlug` is the current
+   * slug; `meta.redirect` tells whether it differs from the requested one.
+   * @param {string} slug - Product slug
+   * @param {Object} [scope]
+   * @param {boolean} [scope.preview=false] - Also return products customers cannot see
+   * @returns {Promise<ApiSuccess>} Structured success response with product data
+   * @throws {ApiError} If no visible product has the slug
+   */
+  async getProductBySlug(slug, { preview = false } = {}) {
+    // Slugs are lowercase; other spellings are redirected to the canonical one
+    const wanted = String(slug ?? "").toLowerCase();
+    const product = isSlug(wanted)
+      ? await this.ProductRepository.findBySlug(wanted)
+      : null;
+    const isVisible =
+      preview ||
+      (product &&
+        isProductVisible(product, new Date(), { includeUnlisted: true }));
+
+    if (!product || !isVisible) {
+      throw new ApiError({
+        message: "Product not found",
+        statusCode: 404,
+        errorCode: "PRODUCT_NOT_FOUND",
+      });
+    }
+
+    return new ApiSuccess({
+      message: "Product fetched successfully",
+      statusCode: 200,
+      data: withFlashSale(product),
+      successCode: "PRODUCT_FETCHED",
+      meta: { canonicalSlug: product.slug, redirect: product.slug !== slug },
+    });
+  }
+
   // -------------------- Create Product --------------------
   /**
    * Creates a new product in the database
    * @param {Object} productData - Product data to create
+   * @param {Object} actor - { id } of the user or API key creating the product
    * @returns {Promise<ApiSuccess>} Structured success response with created product
    * @throws {ApiError} If product data is missing or creation fails
    */
-  async create(productData) {
+  async create(productData, actor) {
     try {
       if (!productData) {
         throw new ApiError({
@@ -141,12 +368,25 @@ export default class ProductService {
         });
       }
 
-      // Get the last ID and increment it
-      const lastId = await this.ProductRepository.getLastId();
-      productData.id = lastId + 1;
+      MANAGED_FIELDS.forEach((field) => delete productData[field]);
+      if (Array.isArray(productData.variants)) {
+        productData.variants = withReservedUnits(productData.variants);
+      }
 
-      // Create the product
-      const createdProduct = await this.ProductRepository.create(productData);
+      // Categories must exist in the category tree
+      Object.assign(
+        productData,
+        await this.categoryService.resolveProductCategories(productData)
+      );
+      productData.slug = await this.#newSlug(productData);
+
+      // Create the product under the next ID of the counter
+      const createdProduct = await this.#createWithNextId(productData);
+      await this.productRevisionService.record({
+        action: RevisionActions.CREATE,
+        after: createdProduct,
+        actor,
+      });
 
       // Log successful creation
       logger.info(`Product [${createdProduct.id}] created successfully`);
@@ -155,13 +395,18 @@ export default class ProductService {
       return new ApiSuccess({
         message: "Product created successfully",
         statusCode: 201,
-        data: createdProduct,
+        data: withFlashSale(createdProduct),
         successCode: "PRODUCT_CREATED",
       });
     } catch (error) {
       // Log the error
       logger.error("Error creating product:", error);
 
+      // If it's already an ApiError, re-throw it
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
       // Otherwise, wrap it in an ApiError
       throw new ApiError({
         message: "Failed to create product",
@@ -178,10 +423,15 @@ export default class ProductService {
    * Validates ID, checks product existence, then updates
    * @param {string|number} id - Product ID to update
    * @param {Object} updateData - Data to update the product with
+   * @param {Object} actor - { id } of the user or API key updating the product
+   * @param {Object} [options]
+   * @param {Object} [options.revertedTo] - Revision ObjectId when the update is a revert
+   * @param {string} [options.ifMatch] - If-Match header: only update this version
    * @returns {Promise<ApiSuccess>} Structured success response with updated product
-   * @throws {ApiError} If ID is missing/invalid, product not found, or update fails
+   * @throws {ApiError} If ID is missing/invalid, product not found, the
+   * version does not match (412), or update fails
    */
-  async update(id, updateData) {
+  async update(id, updateData, actor, { revertedTo = null, ifMatch } = {}) {
     try {
       // Validation: Check if ID is provided
       if (!id) {
@@ -202,6 +452,12 @@ export default class ProductService {
         });
       }
 
+      if (updateData) {
+        MANAGED_FIELDS.forEach((field) => delete updateData[field]);
+        // The version only moves with saves; clients name one with If-Match
+        delete updateData.__v;
+      }
+
       // Validation: Check if update data is provided
       if (!updateData || Object.keys(updateData).length === 0) {
         throw new ApiError({
@@ -222,11 +478,13 @@ export default class ProductService {
           errorCode: "PRODUCT_NOT_FOUND",
         });
       }
+      this.#assertIfMatch(existingProduct, ifMatch);
 
-      // Update the product in database
-      const updatedProduct = await this.ProductRepository.update(
+      const updatedProduct = await this.#saveUpdate(
         existingProduct,
-        updateData
+        updateData,
+        actor,
+        { revertedTo, ifMatch }
       );
 
       // Log successful update
@@ -236,13 +494,18 @@ export default class ProductService {
       return new ApiSuccess({
         message: "Product updated successfully",
         statusCode: 200,
-        data: updatedProduct,
+        data: withFlashSale(updatedProduct),
         successCode: "PRODUCT_UPDATED",
       });
     } catch (error) {
       // Log the error
       logger.error(`Error updating product [${id}]:`, error);
 
+      // If it's already an ApiError, re-throw it
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
       // Otherwise, wrap it in an ApiError
       throw new ApiError({
         message: "Failed to update product",
@@ -253,15 +516,231 @@ export default class ProductService {
     }
   }
 
+  // -------------------- Patch Product --------------------
+  /**
+   * Applies a JSON Merge Patch (RFC 7396) or JSON Patch (RFC 6902) to a
+   * product. The patch addresses the product as GET /products/:id returns it;
+   * read-only fields may be tested but not changed, and the units held by
+   * reservations stay with their variant.
+   * @param {string|number} id - Product ID
+   * @param {*} patch - Patch document
+   * @param {string} contentType - application/merge-patch+json or application/json-patch+json
+   * @param {Object} actor - { id } of the user or API key patching the product
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header: only patch this version
+   * @returns {Promise<ApiSuccess>} Structured success response with patched product
+   * @throws {ApiError} If the product does not exist, the version does not
+   * match (412), the media type is unsupported (415), the patch is invalid
+   * (400) or fails a test (409), or the patched product is invalid (400)
+   */
+  async patch(id, patch, contentType, actor, { ifMatch } = {}) {
+    const numericId = this.#parseId(id);
+
+    const existingProduct = await this.ProductRepository.findWithID(numericId);
+    if (!existingProduct) {
+      throw new ApiError({
+        message: "Product not found",
+        statusCode: 404,
+        errorCode: "PRODUCT_NOT_FOUND",
+      });
+    }
+    this.#assertIfMatch(existingProduct, ifMatch);
+
+    const current = JSON.parse(JSON.stringify(withFlashSale(existingProduct)));
+    const patched = applyPatch(current, patch, contentType);
+    if (
+      patched === null ||
+      typeof patched !== "object" ||
+      Array.isArray(patched)
+    ) {
+      throw new ApiError({
+        message: "The patched product must be a JSON object",
+        statusCode: 400,
+        errorCode: "INVALID_PATCH",
+      });
+    }
+
+    const readOnlyChanges = READ_ONLY_FIELDS.filter(
+      (field) => !isSameJSON(current[field], patched[field])
+    );
+    if (readOnlyChanges.length > 0) {
+      throw new ApiError({
+        message: `Read-only fields cannot be patched: ${readOnlyChanges.join(
+          ", "
+        )}`,
+        statusCode: 400,
+        errorCode: "READ_ONLY_FIELD",
+        details: { fields: readOnlyChanges },
+      });
+    }
+
+    // Only changed fields are written; removed ones are unset
+    const updateData = {};
+    for (const field of new Set([
+      ...Object.keys(current),
+      ...Object.keys(patched),
+    ])) {
+      if (!isSameJSON(current[field], patched[field])) {
+        updateData[field] = patched[field];
+      }
+    }
+
+    const updatedProduct = await this.#saveUpdate(
+      existingProduct,
+      updateData,
+      actor,
+      { ifMatch }
+    );
+
+    const changedFields = Object.keys(updateData).join(", ") || "no changes";
+    logger.info(`Product [${numericId}] patched (${changedFields})`);
+
+    return new ApiSuccess({
+      message: "Product updated successfully",
+      statusCode: 200,
+      data: withFlashSale(updatedProduct),
+      successCode: "PRODUCT_UPDATED",
+    });
+  }
+
+  // -------------------- Update Helpers --------------------
+  // Writes an update to a loaded product: checks its categories, keeps the
+  // reserved units of its variants, saves it at the version it was loaded
+  // with, records the revision and removes the uploads it no longer uses
+  async #saveUpdate(
+    existingProduct,
+    updateData,
+    actor,
+    { revertedTo = null, ifMatch }
+  ) {
+    // A changed category or sub-category must still form a valid pair
+    if ("category" in updateData || "subCategory" in updateData) {
+      Object.assign(
+        updateData,
+        await this.categoryService.resolveProductCategories({
+          category: updateData.category ?? existingProduct.category,
+          subCategory: updateData.subCategory ?? existingProduct.subCategory,
+        })
+      );
+    }
+    if ("slug" in updateData || !existingProduct.slug) {
+      Object.assign(
+        updateData,
+        await this.#slugChange(existingProduct, updateData)
+      );
+    }
+    if (Array.isArray(updateData.variants)) {
+      updateData.variants = withReservedUnits(
+        updateData.variants,
+        existingProduct.variants
+      );
+    }
+
+    // Update the product in database (the document is changed in place,
+    // so keep a copy of the previous state for the revision)
+    const previousProduct = existingProduct.toObject();
+    let updatedProduct;
+    try {
+      updatedProduct = await this.ProductRepository.update(
+        existingProduct,
+        updateData
+      );
+    } catch (err) {
+      this.#rethrowSaveError(err, ifMatch);
+    }
+    await this.productRevisionService.record({
+      action: revertedTo ? RevisionActions.REVERT : RevisionActions.UPDATE,
+      before: previousProduct,
+      after: updatedProduct,
+      actor,
+      revertedTo,
+    });
+
+    // Uploaded images replaced by this update are no longer needed
+    await this.productImageService.removeOrphans(existingProduct.id);
+
+    return updatedProduct;
+  }
+
+  // An If-Match header naming another version of the product fails the request
+  // (compared with the ETag its responses carry)
+  #assertIfMatch(product, ifMatch) {
+    if (!ifMatch) return;
+
+    const etag = productETag(withFlashSale(product));
+    if (!ifMatchSatisfied(ifMatch, etag)) {
+      throw this.#preconditionFailed({ etag });
+    }
+  }
+
+  #preconditionFailed(details = null) {
+    return new ApiError({
+      message:
+        "Product has changed since it was fetched; reload it and try again",
+      statusCode: 412,
+      errorCode: "PRECONDITION_FAILED",
+      details,
+    });
+  }
+
+  // Slugs stay when the title changes. A new slug keeps the replaced one for
+  // redirects; an empty one keeps the current slug (products from before
+  // slugs get one from their title)
+  async #slugChange(product, { slug, title }) {
+    if (!slug) {
+      return {
+        slug:
+          product.slug ||
+          (await this.#newSlug({ title: title ?? product.title }, product.id)),
+      };
+    }
+    if (slug === product.slug) return { slug };
+
+    return {
+      slug: await this.#newSlug({ slug }, product.id),
+      previousSlugs: [
+        ...product.previousSlugs.filter((previous) => previous !== slug),
+        ...(product.slug ? [product.slug] : []),
+      ],
+    };
+  }
+
+  #rethrowSaveError(err, ifMatch) {
+    // Another write saved a new version between loading and saving
+    if (err.name === "VersionError") {
+      if (ifMatch) throw this.#preconditionFailed();
+      throw new ApiError({
+        message: "Product was changed by another request; please retry",
+        statusCode: 409,
+        errorCode: "PRODUCT_EDIT_CONFLICT",
+      });
+    }
+    if (err.code === 11000 && err.keyPattern?.slug) throw this.#slugTaken();
+    if (err.name === "ValidationError") {
+      throw new ApiError({
+        message: "Invalid product data",
+        statusCode: 400,
+        errorCode: "VALIDATION_ERROR",
+        details: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    throw err;
+  }
+
   // -------------------- Delete Product --------------------
   /**
-   * Deletes a product from the database
+   * Deletes (archives) a product: it disappears from listings and lookups but
+   * keeps its data, images and SKUs until it is restored or purged
    * Validates ID and checks product existence before deletion
    * @param {string|number} id - Product ID to delete
+   * @param {Object} actor - { id } of the user or API key deleting the product
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header: only delete this version
    * @returns {Promise<ApiSuccess>} Structured success response with deleted product
-   * @throws {ApiError} If ID is missing/invalid, product not found, or deletion fails
+   * @throws {ApiError} If ID is missing/invalid, product not found, the
+   * version does not match (412), or deletion fails
    */
-  async delete(id) {
+  async delete(id, actor, { ifMatch } = {}) {
     try {
       // Validation: Check if ID is provided
       if (!id) {
@@ -294,11 +773,32 @@ export default class ProductService {
         });
       }
 
-      // Delete the product from database
-      const deletedProduct = await this.ProductRepository.deleteById(numericId);
+      this.#assertIfMatch(existingProduct, ifMatch);
+
+      // Archive the product (it may have been deleted, or with If-Match
+      // changed, concurrently)
+      const deletedProduct = await this.ProductRepository.softDelete(
+        numericId,
+        actor?.id ?? null,
+        ifMatch ? existingProduct.__v : undefined
+      );
+      if (!deletedProduct) {
+        if (ifMatch) throw this.#preconditionFailed();
+        throw new ApiError({
+          message: "Product not found",
+          statusCode: 404,
+          errorCode: "PRODUCT_NOT_FOUND",
+        });
+      }
+      await this.productRevisionService.record({
+        action: RevisionActions.DELETE,
+        before: existingProduct,
+        after: deletedProduct,
+        actor,
+      });
 
       // Log successful deletion
-      logger.info(`Product [${numericId}] deleted successfully`);
+      logger.info(`Product [${numericId}] deleted (archived) successfully`);
 
       // Return structured success response
       return new ApiSuccess({
@@ -325,4 +825,377 @@ export default class ProductService {
       });
     }
   }
+
+  // -------------------- Restore Product --------------------
+  /**
+   * Brings an archived product back into the catalog
+   * @param {string|number} id - Product ID
+   * @param {Object} actor - { id } of the user or API key restoring the product
+   * @returns {Promise<ApiSuccess>} Structured success response with restored product
+   * @throws {ApiError} If the product does not exist or is not archived
+   */
+  async restore(id, actor) {
+    const numericId = this.#parseId(id);
+    const archivedProduct = await this.#findArchivedOrThrow(numericId);
+
+    const restoredProduct = await this.ProductRepository.restore(numericId);
+    if (!restoredProduct) {
+      throw new ApiError({
+        message: "Product is not archived",
+        statusCode: 409,
+        errorCode: "PRODUCT_NOT_ARCHIVED",
+      });
+    }
+    await this.productRevisionService.record({
+      action: RevisionActions.RESTORE,
+      before: archivedProduct,
+      after: restoredProduct,
+      actor,
+    });
+
+    logger.info(`Product [${numericId}] restored by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Product restored successfully",
+      statusCode: 200,
+      data: withFlashSale(restoredProduct),
+      successCode: "PRODUCT_RESTORED",
+    });
+  }
+
+  // -------------------- Purge Product --------------------
+  /**
+   * Permanently deletes an archived product and its uploaded images.
+   * Its revision history is kept.
+   * @param {string|number} id - Product ID
+   * @param {Object} actor - { id } of the user purging the product
+   * @returns {Promise<ApiSuccess>} Structured success response with the purged product
+   * @throws {ApiError} If the product does not exist or is not archived
+   */
+  async purge(id, actor) {
+    const numericId = this.#parseId(id);
+    await this.#findArchivedOrThrow(numericId);
+
+    const purgedProduct = await this.ProductRepository.purgeById(numericId);
+    if (!purgedProduct) {
+      throw new ApiError({
+        message: "Product is not archived",
+        statusCode: 409,
+        errorCode: "PRODUCT_NOT_ARCHIVED",
+      });
+    }
+    await this.productImageService.removeAll(numericId);
+    await this.productRevisionService.record({
+      action: RevisionActions.PURGE,
+      before: purgedProduct,
+      actor,
+    });
+
+    logger.warn(`Product [${numericId}] purged by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Product purged successfully",
+      statusCode: 200,
+      data: purgedProduct,
+      successCode: "PRODUCT_PURGED",
+    });
+  }
+
+  // Only archived products can be restored or purged
+  async #findArchivedOrThrow(numericId) {
+    const product = await this.ProductRepository.findWithID(numericId, {
+      includeArchived: true,
+    });
+    if (!product) {
+      throw new ApiError({
+        message: "Product not found",
+        statusCode: 404,
+        errorCode: "PRODUCT_NOT_FOUND",
+      });
+    }
+    if (!product.deletedAt) {
+      throw new ApiError({
+        message: "Product is not archived; delete it first",
+        statusCode: 409,
+        errorCode: "PRODUCT_NOT_ARCHIVED",
+      });
+    }
+
+    return product;
+  }
+
+  #parseId(id) {
+    const numericId = Number(id);
+    if (!id || Number.isNaN(numericId)) {
+      throw new ApiError({
+        message: "Invalid product ID format",
+        statusCode: 400,
+        errorCode: "INVALID_PRODUCT_ID",
+      });
+    }
+
+    return numericId;
+  }
+
+  // -------------------- Revert Product --------------------
+  /**
+   * Reverts a product to an earlier revision
+   * Restores every field of the revision's snapshot, including price,
+   * description, categories and variant stock. Images stay as they are, and
+   * so does the stock held by reservations.
+   * @param {string|number} id - Product ID
+   * @param {string} revisionId - ProductRevision ObjectId
+   * @param {Object} actor - { id } of the user reverting the product
+   * @returns {Promise<ApiSuccess>} Structured success response with reverted product
+   * @throws {ApiError} If the revision or product does not exist (archived
+   * products have to be restored first), or the snapshot is no longer valid
+   * (e.g. its category was removed)
+   */
+  async revertToRevision(id, revisionId, actor) {
+    const revision = await this.productRevisionService.findRevisionOrThrow(
+      id,
+      revisionId
+    );
+
+    const currentProduct = await this.ProductRepository.findWithID(
+      revision.product
+    );
+    if (!currentProduct) {
+      throw new ApiError({
+        message: "Product not found",
+        statusCode: 404,
+        errorCode: "PRODUCT_NOT_FOUND",
+      });
+    }
+
+    const result = await this.update(
+      revision.product,
+      this.#revertData(revision.snapshot, currentProduct),
+      actor,
+      { revertedTo: revision._id }
+    );
+
+    logger.info(
+      `Product [${revision.product}] reverted to revision [${revision._id}]`
+    );
+
+    return new ApiSuccess({
+      message: "Product reverted successfully",
+      statusCode: 200,
+      data: result.data,
+      successCode: "PRODUCT_REVERTED",
+    });
+  }
+
+  // Update restoring a snapshot: fields missing from it are unset, variant
+  // images are taken from the current variant of the same SKU
+  #revertData(snapshot, currentProduct) {
+    const current = currentProduct.toObject();
+    const updateData = {};
+
+    for (const field of new Set([
+      ...Object.keys(snapshot),
+      ...Object.keys(current),
+    ])) {
+      if (!REVERT_KEPT_FIELDS.includes(field)) {
+        updateData[field] = snapshot[field];
+      }
+    }
+
+    updateData.variants = (snapshot.variants ?? []).map((variant) => {
+      const currentVariant = current.variants.find((v) => v.sku === variant.sku);
+      return {
+        ...variant,
+        images: currentVariant ? currentVariant.images : variant.images,
+      };
+    });
+
+    return updateData;
+  }
+
+  // -------------------- Slug Helpers --------------------
+  // A given slug must be valid and free (the product's own earlier slugs
+  // are); otherwise one is made from the title, numbered when taken
+  async #newSlug({ slug, title }, productId) {
+    if (slug) {
+      if (!isSlug(slug)) {
+        throw new ApiError({
+          message:
+            "Slug may only contain lowercase letters, digits and single dashes",
+          statusCode: 400,
+          errorCode: "VALIDATION_ERROR",
+        });
+      }
+      if (RESERVED_PRODUCT_SLUGS.includes(slug)) {
+        throw new ApiError({
+          message: `Slug "${slug}" is reserved`,
+          statusCode: 400,
+          errorCode: "VALIDATION_ERROR",
+        });
+      }
+      if (await this.ProductRepository.isSlugTaken(slug, productId)) {
+        throw this.#slugTaken();
+      }
+      return slug;
+    }
+
+    return uniqueSlug(
+      slugify(title) || "product",
+      async (candidate) =>
+        RESERVED_PRODUCT_SLUGS.includes(candidate) ||
+        this.ProductRepository.isSlugTaken(candidate, productId)
+    );
+  }
+
+  #slugTaken() {
+    return new ApiError({
+      message: "Slug is already used by another product",
+      statusCode: 409,
+      errorCode: "PRODUCT_SLUG_EXISTS",
+    });
+  }
+
+  // -------------------- Create Helpers --------------------
+  // IDs come from an atomic counter, so concurrent creates never share one.
+  // A counter behind the existing products (not seeded by the migration yet)
+  // is caught up once from the highest ID and the insert retried.
+  async #createWithNextId(productData) {
+    productData.id = await this.counterRepository.next(Counters.PRODUCT_ID);
+
+    try {
+      return await this.ProductRepository.create(productData);
+    } catch (error) {
+      // Two products created at once may have been given the same slug
+      if (error.code === 11000 && error.keyPattern?.slug) {
+        throw this.#slugTaken();
+      }
+      const idTaken = error.code === 11000 && error.keyPattern?.id;
+      if (!idTaken) throw error;
+
+      logger.warn(
+        `Product ID counter was behind at [${productData.id}], catching up`
+      );
+      await this.counterRepository.seed(
+        Counters.PRODUCT_ID,
+        await this.ProductRepository.getLastId()
+      );
+
+      productData.id = await this.counterRepository.next(Counters.PRODUCT_ID);
+      return this.ProductRepository.create(productData);
+    }
+  }
+
+  // -------------------- Listing Helpers --------------------
+  // Restrict a cursor-mode page to the items after the cursor
+  #applyCursor(filter, options) {
+    if (options.cursor === undefined) return filter;
+
+    if (options.random || options.sort?.score) {
+      throw new ApiError({
+        message:
+          "Cursor pagination is not available for random or relevance-ranked listings",
+        statusCode: 400,
+        errorCode: "CURSOR_NOT_SUPPORTED",
+      });
+    }
+
+    options.skip = 0;
+    options.limit = options.pageSize + 1;
+
+    if (!options.cursor) return filter; // First page
+
+    return {
+      ...filter,
+      $and: [
+        ...(filter.$and ?? []),
+        decodeCursor(options.cursor, options.sort),
+      ],
+    };
+  }
+
+  // Pagination, facets and search information of a listing
+  #buildListMeta({ products, total, hasMore, search, facets, options }) {
+    const meta = { total, pageSize: options.pageSize };
+
+    if (options.cursor !== undefined) {
+      meta.hasNext = hasMore;
+      meta.nextCursor = hasMore
+        ? encodeCursor(options.sort, products[products.length - 1])
+        : null;
+    } else {
+      meta.page = options.page;
+      meta.totalPages = Math.ceil(total / options.pageSize);
+      meta.hasNext = options.skip + products.length < total;
+    }
+
+    if (facets) meta.facets = facets;
+    if (search) {
+      meta.search = {
+        terms: options.searchTerms,
+        expansions: search.expansions,
+      };
+    }
+
+    return meta;
+  }
+
+  // -------------------- Search Helpers --------------------
+  // Expand search terms against the catalog vocabulary
+  async #expandSearch(terms) {
+    const expansions = expandTerms(terms, await this.#getVocabulary());
+    const words = [...new Set(Object.values(expansions).flat())];
+
+    // Single letters would highlight nearly every word
+    return {
+      expansions,
+      words,
+      highlightWords: words.filter((word) => word.length > 1),
+    };
+  }
+
+  async #getVocabulary() {
+    const isFresh = Date.now() - this.#vocabularyBuiltAt < VOCABULARY_TTL_MS;
+    if (this.#vocabulary && isFresh) return this.#vocabulary;
+
+    this.#vocabularyBuild ??= this.#buildVocabulary().finally(() => {
+      this.#vocabularyBuild = null;
+    });
+    return this.#vocabularyBuild;
+  }
+
+  // Expansions are shown to anyone searching, so only the words of products
+  // customers can find are collected (streamed, up to MAX_VOCABULARY_WORDS)
+  async #buildVocabulary() {
+    const vocabulary = new Set();
+    const products = this.ProductRepository.streamSearchableText(
+      visibleProductsFilter(new Date())
+    );
+    for await (const p of products) {
+      buildVocabulary(
+        [p.title, p.category, p.subCategory, p.description],
+        vocabulary
+      );
+      if (vocabulary.size >= MAX_VOCABULARY_WORDS) break;
+    }
+
+    this.#vocabulary = vocabulary;
+    this.#vocabularyBuiltAt = Date.now();
+    return vocabulary;
+  }
+
+  // Add highlighted title and description snippet to a search result
+  #withHighlights(product, search) {
+    const plain = product.toObject ? product.toObject() : product;
+
+    return {
+      ...plain,
+      score: product.get?.("score") ?? plain.score,
+      highlights: {
+        title: highlight(plain.title, search.highlightWords),
+        description: highlight(plain.description, search.highlightWords, {
+          maxLength: SNIPPET_LENGTH,
+        }),
+      },
+    };
+  }
 }
@@ -0,0 +1,343 @@
+/**
+ * @file productTransferService.js
+ * @description
+ * Service class for bulk product import and export in CSV and JSON.
+ *
+ * Import:
+ * 1. Parses the uploaded file (CSV layout: see utils/productCsv.js; JSON: an
+ *    array of products shaped like the create request).
+ * 2. Validates every product against the product model, the category tree
+ *    and SKU and slug uniqueness, and reports the errors per row.
+ * 3. In dry-run mode stops there. Otherwise writes nothing unless every row
+ *    is valid, then creates (and with upsert, updates by id) the products
+ *    through ProductService.
+ *
+ * Export streams the products of a listing query (same filters as
+ * GET /products, without pagination) so large catalogs are never held in memory.
+ *
+ * Methods:
+ * - async importProducts(file, { format, dryRun, upsert }, actor)
+ * - async exportProducts(query, format)
+ *
+ * @dependencies
+ * - productService: Creates/updates products and resolves listing queries
+ * - productRepository: Repository object for lookups and streaming
+ * - categoryService: Validates product categories
+ *
+ * Usage:
+ * const productTransferService = new ProductTransferService(productService, productRepository, categoryService);
+ * const result = await productTransferService.importProducts(req.file, { dryRun: true });
+ */
+
+import path from "path";
+import logger from "../middleware/logger/logger.js";
+import ApiError from "../utils/ApiError.js";
+import ApiSuccess from "../utils/ApiSuccess.js";
+import Product from "../models/productModel.js";
+import { parseCsv, toCsvLine } from "../utils/csv.js";
+import {
+  PRODUCT_CSV_COLUMNS,
+  csvRecordsToProducts,
+  productToCsv,
+} from "../utils/productCsv.js";
+
+export const TransferFormats = Object.freeze(["csv", "json"]);
+
+// Database-managed fields are never taken from a file
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt", "avgRate", "ratingCount"];
+
+export default class ProductTransferService {
+  constructor(productService, productRepository, categoryService) {
+    this.productService = productService;
+    this.productRepository = productRepository;
+    this.categoryService = categoryService;
+  }
+
+  // -------------------- Import --------------------
+  /**
+   * Validates and (unless dry-run) imports a product file
+   * @param {Object} file - Uploaded file ({ originalname, buffer })
+   * @param {Object} options - { format: "csv"|"json" (default: from the file name), dryRun, upsert }
+   * @param {Object} actor - { id } of the user or API key importing (recorded in the revisions)
+   * @returns {Promise<ApiSuccess>} Import report
+   * @throws {ApiError} If the file cannot be parsed, or (not dry-run) any row is invalid
+   */
+  async importProducts(
+    file,
+    { format, dryRun = false, upsert = false } = {},
+    actor
+  ) {
+    const entries = this.#parseFile(file, format);
+    await this.#validate(entries, { upsert });
+
+    const invalid = entries.filter((entry) => entry.errors.length > 0);
+    const report = {
+      dryRun,
+      upsert,
+      total: entries.length,
+      valid: entries.length - invalid.length,
+      invalid: invalid.length,
+      toCreate: entries.filter((e) => !e.errors.length && e.action === "create").length,
+      toUpdate: entries.filter((e) => !e.errors.length && e.action === "update").length,
+      errors: invalid.map(this.#rowReport),
+    };
+
+    if (dryRun) {
+      return new ApiSuccess({
+        message: invalid.length
+          ? "Import file has invalid rows"
+          : "Import file is valid",
+        statusCode: 200,
+        data: report,
+        successCode: "IMPORT_VALIDATED",
+      });
+    }
+
+    if (invalid.length > 0) {
+      throw new ApiError({
+        message: "Import file has invalid rows; nothing was imported",
+        statusCode: 422,
+        errorCode: "IMPORT_INVALID",
+        details: report,
+      });
+    }
+
+    const result = { created: 0, updated: 0, failed: [] };
+    for (const entry of entries) {
+      try {
+        if (entry.action === "update") {
+          await this.productService.update(entry.id, entry.data, actor);
+          result.updated += 1;
+        } else {
+          await this.productService.create(entry.data, actor);
+          result.created += 1;
+        }
+      } catch (err) {
+        // Rows are validated up front; this only happens on concurrent changes
+        result.failed.push({
+          ...this.#rowReport(entry),
+          errors: [err.message],
+        });
+      }
+    }
+
+    logger.info(
+      `Product import by [${actor.id}]: ${result.created} created, ${result.updated} updated, ${result.failed.length} failed`
+    );
+
+    return new ApiSuccess({
+      message: result.failed.length
+        ? "Products imported with failures"
+        : "Products imported successfully",
+      statusCode: 200,
+      data: { ...report, ...result },
+      successCode: "PRODUCTS_IMPORTED",
+    });
+  }
+
+  // -------------------- Export --------------------
+  /**
+   * Streams the products of a listing query
+   * @param {Object} query - Listing query parameters (filters, q, sort, order)
+   * @param {string} format - "csv" or "json"
+   * @returns {Promise<{ contentType: string, filename: string, body: AsyncIterable<string> }>}
+   * @throws {ApiError} If the format is not supported
+   */
+  async exportProducts(query, format = "csv") {
+    const exportFormat = this.#assertFormat(format);
+    // Exports are for staff, so drafts and scheduled products are included
+    const { filter, options } =
+      await this.productService.resolveListingQuery(query, { preview: true });
+
+    // Random and relevance orders do not apply to a full export
+    const sort =
+      options.random || options.sort?.score ? { id: 1 } : options.sort;
+    const products = this.productRepository.streamProducts(filter, sort);
+
+    const date = new Date().toISOString().slice(0, 10);
+    return exportFormat === "csv"
+      ? {
+          contentType: "text/csv; charset=utf-8",
+          filename: `products-${date}.csv`,
+          body: csvChunks(products),
+        }
+      : {
+          contentType: "application/json; charset=utf-8",
+          filename: `products-${date}.json`,
+          body: jsonChunks(products),
+        };
+  }
+
+  // -------------------- Helpers --------------------
+  #parseFile(file, format) {
+    const fileFormat = this.#assertFormat(
+      format || path.extname(file.originalname).slice(1)
+    );
+    const text = file.buffer.toString("utf8");
+
+    try {
+      if (fileFormat === "csv") return csvRecordsToProducts(parseCsv(text));
+
+      const json = JSON.parse(text);
+      const items = Array.isArray(json) ? json : json?.products;
+      if (!Array.isArray(items)) {
+        throw new Error("expected an array of products");
+      }
+
+      return items.map((item, index) =>
+        item && typeof item === "object" && !Array.isArray(item)
+          ? { row: index + 1, data: item, errors: [] }
+          : { row: index + 1, data: {}, errors: ["Product must be an object"] }
+      );
+    } catch (err) {
+      throw new ApiError({
+        message: `Could not read the ${fileFormat.toUpperCase()} file: ${err.message}`,
+        statusCode: 400,
+        errorCode: "INVALID_IMPORT_FILE",
+      });
+    }
+  }
+
+  #assertFormat(format) {
+    const normalized = String(format ?? "").toLowerCase();
+    if (!TransferFormats.includes(normalized)) {
+      throw new ApiError({
+        message: `Format must be one of: ${TransferFormats.join(", ")}`,
+        statusCode: 400,
+        errorCode: "UNSUPPORTED_FORMAT",
+      });
+    }
+
+    return normalized;
+  }
+
+  // Fill in action, id and errors of every entry
+  async #validate(entries, { upsert }) {
+    for (const entry of entries) {
+      IGNORED_FIELDS.forEach((field) => delete entry.data[field]);
+    }
+
+    const ids = entries
+      .map((entry) => Number(entry.data.id))
+      .filter((id) => Number.isInteger(id));
+    const existing = new Map(
+      (await this.productRepository.findByIds(ids)).map((p) => [p.id, p])
+    );
+
+    const skus = entries.flatMap((entry) => this.#skusOf(entry.data));
+    const skuOwners = new Map();
+    for (const owner of await this.productRepository.findSkuOwners(skus)) {
+      owner.variants.forEach((v) => skuOwners.set(v.sku, owner.id));
+    }
+    const seenSkus = new Map(); // SKU → row of the file that uses it first
+
+    const slugs = entries
+      .map((entry) => entry.data.slug)
+      .filter((slug) => typeof slug === "string" && slug);
+    const slugOwners = new Map();
+    for (const owner of await this.productRepository.findSlugOwners(slugs)) {
+      [owner.slug, ...(owner.previousSlugs ?? [])].forEach((slug) =>
+        slugOwners.set(slug, owner.id)
+      );
+    }
+    const seenSlugs = new Map(); // Slug → row of the file that uses it first
+
+    for (const entry of entries) {
+      if (entry.errors.length > 0) continue;
+      const { data } = entry;
+
+      entry.action = "create";
+      if (data.id !== undefined && data.id !== "") {
+        entry.id = Number(data.id);
+        if (!upsert) {
+          entry.errors.push("id is only allowed when upserting");
+        } else if (!existing.has(entry.id)) {
+          entry.errors.push(`Product [${data.id}] not found`);
+        } else {
+          entry.action = "update";
+        }
+      }
+      delete data.id;
+
+      // Updates are checked as the product they will produce
+      const current = existing.get(entry.id);
+      const candidate =
+        entry.action === "update" ? { ...current, ...data } : data;
+
+      const validationError = new Product(candidate).validateSync();
+      if (validationError) {
+        entry.errors.push(
+          ...Object.values(validationError.errors).map((e) => e.message)
+        );
+      }
+
+      // ProductService resolves the categories again when writing
+      try {
+        await this.categoryService.resolveProductCategories(candidate);
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        entry.errors.push(err.message);
+      }
+
+      for (const sku of this.#skusOf(data)) {
+        const owner = skuOwners.get(sku);
+        if (owner !== undefined && owner !== entry.id) {
+          entry.errors.push(`SKU ${sku} is already used by product [${owner}]`);
+        }
+        if (seenSkus.has(sku)) {
+          entry.errors.push(
+            `SKU ${sku} is also used by row ${seenSkus.get(sku)}`
+          );
+        } else {
+          seenSkus.set(sku, entry.row);
+        }
+      }
+
+      if (typeof data.slug === "string" && data.slug) {
+        const owner = slugOwners.get(data.slug);
+        if (owner !== undefined && owner !== entry.id) {
+          entry.errors.push(
+            `Slug ${data.slug} is already used by product [${owner}]`
+          );
+        }
+        if (seenSlugs.has(data.slug)) {
+          entry.errors.push(
+            `Slug ${data.slug} is also used by row ${seenSlugs.get(data.slug)}`
+          );
+        } else {
+          seenSlugs.set(data.slug, entry.row);
+        }
+      }
+    }
+  }
+
+  #skusOf(data) {
+    return (Array.isArray(data.variants) ? data.variants : [])
+      .map((variant) => String(variant?.sku ?? "").trim().toUpperCase())
+      .filter(Boolean);
+  }
+
+  #rowReport(entry) {
+    return {
+      row: entry.row,
+      id: entry.id ?? null,
+      title: entry.data.title ?? null,
+      errors: entry.errors,
+    };
+  }
+}
+
+// -------------------- Export Streams --------------------
+async function* csvChunks(products) {
+  yield toCsvLine(PRODUCT_CSV_COLUMNS);
+  for await (const product of products) yield productToCsv(product);
+}
+
+async function* jsonChunks(products) {
+  let separator = "[\n";
+  for await (const product of products) {
+    yield separator + JSON.stringify(product);
+    separator = ",\n";
+  }
+  yield separator === "[\n" ? "[]\n" : "\n]\n";
+}
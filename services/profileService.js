@@ -0,0 +1,220 @@
+/**
+ * @file profileService.js
+ * @description
+ * Service class to let authenticated users manage their own account.
+ *
+ * Methods:
+ * - async getProfile(userId)
+ *    - Returns the current user's account
+ *
+ * - async updateProfile(userId, { fullName, email, currentPassword })
+ *    - Updates the full name and/or email
+ *    - An email change requires the current password, marks the account
+ *      unverified and sends a new verification link
+ *
+ * - async changePassword(userId, { currentPassword, newPassword }, sessionId)
+ *    - Requires the current password
+ *    - Signs every other session of the account out, keeping the current one
+ *
+ * @dependencies
+ * - userRepository: Repository object for accessing user data
+ * - sessionService: Service used to sign other sessions out
+ * - emailVerificationService: Sends verification links after an email change
+ * - loginThrottleService: Counts wrong current passwords and applies lockouts
+ *
+ * Usage:
+ * const profileService = new ProfileService(userRepository, sessionService, emailVerificationService, loginThrottleService);
+ * const result = await profileService.getProfile(req.user.id);
+ */
+
+import logger from "../middleware/logger/logger.js";
+import ApiError from "../utils/ApiError.js";
+import ApiSuccess from "../utils/ApiSuccess.js";
+import {
+  validateEmail,
+  validatePassword,
+} from "../validators/authValidator.js";
+
+export default class ProfileService {
+  constructor(
+    userRepository,
+    sessionService,
+    emailVerificationService,
+    loginThrottleService
+  ) {
+    this.userRepository = userRepository;
+    this.sessionService = sessionService;
+    this.emailVerificationService = emailVerificationService;
+    this.loginThrottleService = loginThrottleService;
+  }
+
+  // -------------------- Get Profile --------------------
+  /**
+   * Returns the account of the authenticated user
+   * @param {string} userId - Id of the authenticated user (req.user.id)
+   * @returns {Promise<ApiSuccess>} User data
+   */
+  async getProfile(userId) {
+    const user = await this.#findUserOrThrow(userId);
+
+    return new ApiSuccess({
+      message: "Profile fetched successfully",
+      statusCode: 200,
+      data: user,
+      successCode: "PROFILE_FETCHED",
+    });
+  }
+
+  // -------------------- Update Profile --------------------
+  /**
+   * Updates the full name and/or email of the authenticated user
+   * @param {string} userId - Id of the authenticated user (req.user.id)
+   * @param {Object} updates - { fullName, email, currentPassword }; other
+   * fields are ignored. currentPassword is required when the email changes
+   * @returns {Promise<ApiSuccess>} Updated user data
+   * @throws {ApiError} If nothing is updated, the data is invalid, the email is
+   * taken, the current password is wrong, or the account is locked (429)
+   */
+  async updateProfile(userId, { fullName, email, currentPassword } = {}) {
+    if (fullName === undefined && email === undefined) {
+      throw new ApiError({
+        message: "fullName or email is required",
+        statusCode: 400,
+        errorCode: "MISSING_UPDATE_DATA",
+      });
+    }
+
+    const user = await this.#findUserOrThrow(userId);
+    const updates = {};
+
+    if (fullName !== undefined) updates.fullName = fullName;
+
+    const emailChanged =
+      email !== undefined && String(email).trim().toLowerCase() !== user.email;
+    if (emailChanged) {
+      validateEmail(email);
+
+      // Whoever holds the session must not be able to move the account to
+      // an address they control without knowing the password
+      await this.#verifyCurrentPassword(userId, currentPassword);
+
+      const existingUser = await this.userRepository.findByEmail(email);
+      if (existingUser) {
+        throw new ApiError({
+          message: "Email already exists",
+          statusCode: 400,
+          errorCode: "EMAIL_EXISTS",
+        });
+      }
+
+      // The new address has to be proven again
+      updates.email = email;
+      updates.isEmailVerified = false;
+      updates.emailVerificationSentAt = null;
+    }
+
+    let updatedUser;
+    try {
+      updatedUser = await this.userRepository.update(user, updates);
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        throw new ApiError({
+          message: "Invalid profile data",
+          statusCode: 400,
+          errorCode: "VALIDATION_ERROR",
+          details: Object.values(err.errors).map((e) => e.message),
+        });
+      }
+      throw err;
+    }
+
+    if (emailChanged) {
+      logger.info(`User [${userId}] changed email, verification required`);
+      await this.emailVerificationService.sendVerification(updatedUser);
+    }
+
+    return new ApiSuccess({
+      message: emailChanged
+        ? "Profile updated successfully. Please verify your new email"
+        : "Profile updated successfully",
+      statusCode: 200,
+      data: updatedUser,
+      successCode: "PROFILE_UPDATED",
+    });
+  }
+
+  // -------------------- Change Password --------------------
+  /**
+   * Changes the password of the authenticated user
+   * @param {string} userId - Id of the authenticated user (req.user.id)
+   * @param {Object} passwords - { currentPassword, newPassword }
+   * @param {string} sessionId - Session of the current login (req.user.sid)
+   * @returns {Promise<ApiSuccess>} Structured success response
+   * @throws {ApiError} If the current password is wrong, the new one is
+   * invalid, or the account is locked after too many failures (429)
+   */
+  async changePassword(
+    userId,
+    { currentPassword, newPassword } = {},
+    sessionId
+  ) {
+    validatePassword(newPassword);
+
+    const user = await this.#verifyCurrentPassword(userId, currentPassword);
+
+    await this.userRepository.update(user, { password: newPassword });
+
+    // Sign out every other device; the current login keeps working
+    await this.sessionService.revokeAllForUser(user._id, sessionId);
+
+    logger.info(`User [${userId}] changed password`);
+
+    return new ApiSuccess({
+      message: "Password changed successfully",
+      statusCode: 200,
+      successCode: "PASSWORD_CHANGED",
+    });
+  }
+
+  // -------------------- Helpers --------------------
+  // Wrong current passwords share the account's failed-login counter
+  async #verifyCurrentPassword(userId, currentPassword) {
+    const user = await this.userRepository.findByIdWithPassword(userId);
+    if (!user) {
+      throw new ApiError({
+        message: "User not found",
+        statusCode: 404,
+        errorCode: "USER_NOT_FOUND",
+      });
+    }
+
+    const keys = this.loginThrottleService.keysFor({ email: user.email });
+    await this.loginThrottleService.assertNotLocked(keys.all);
+
+    const isMatch = await user.comparePassword(String(currentPassword));
+    if (!isMatch) {
+      await this.loginThrottleService.recordFailure(keys.all);
+      throw new ApiError({
+        message: "Current password is incorrect",
+        statusCode: 401,
+        errorCode: "INVALID_CURRENT_PASSWORD",
+      });
+    }
+    await this.loginThrottleService.reset(keys.account);
+
+    return user;
+  }
+
+  async #findUserOrThrow(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new ApiError({
+        message: "User not found",
+        statusCode: 404,
+        errorCode: "USER_NOT_FOUND",
+      });
+    }
+
+    return user;
+  }
+}
@@ -0,0 +1,427 @@
+/**
+ * @file reservationService.js
+ * @description
+ * Service class to hold product variant stock for buyers during checkout.
+ *
+ * Reserving decrements the variant's stock atomically and only when enough
+ * units are left, so two buyers can never both get the last unit. The units
+ * are then either committed (sold) or released back to stock; reservations
+ * that are neither within RESERVATION_TTL_MINUTES are released by
+ * releaseExpired().
+ *
+ * A reservation records the unit price at the time it was made. During a flash
+ * sale that is the sale price, and the units count against the sale's
+ * per-customer limit until they are released.
+ *
+ * A buyer's active reservations of one variant hold at most
+ * RESERVATION_MAX_QUANTITY units together, so one account cannot hold the
+ * whole stock by reserving again and again.
+ *
+ * Only products customers can see (published, or unlisted, inside their
+ * publishing window) can be reserved.
+ *
+ * Methods:
+ * - async reserve({ productId, sku, quantity }, actor)
+ * - async getReservation(id, actor)
+ * - async release(id, actor)
+ * - async commit(id, actor)
+ * - async releaseExpired()
+ *
+ * An actor is { userId, apiKeyId, canManage }: buyers only see and release
+ * their own reservations, actors with canManage (inventory:manage) any of them.
+ *
+ * @dependencies
+ * - reservationRepository: Repository object for the reservations
+ * - productRepository: Repository object holding the variant stock
+ * - flashSaleService: Enforces flash sale per-customer limits
+ * - reservationRepository also keeps the per-buyer hold counters
+ *
+ * Usage:
+ * const reservationService = new ReservationService(reservationRepository, productRepository, flashSaleService);
+ * const result = await reservationService.reserve({ productId: 12, sku: "TSHIRT-RED-M", quantity: 1 }, actor);
+ */
+
+import mongoose from "mongoose";
+import logger from "../middleware/logger/logger.js";
+import ApiError from "../utils/ApiError.js";
+import ApiSuccess from "../utils/ApiSuccess.js";
+import inventoryConfig from "../config/inventory.js";
+import { ReservationStatus } from "../models/reservationModel.js";
+import {
+  activeFlashSale,
+  variantRegularPrice,
+  variantSalePrice,
+} from "../utils/flashSale.js";
+import {
+  isProductVisible,
+  visibleProductsFilter,
+} from "../utils/visibility.js";
+
+export default class ReservationService {
+  constructor(reservationRepository, productRepository, flashSaleService) {
+    this.reservationRepository = reservationRepository;
+    this.productRepository = productRepository;
+    this.flashSaleService = flashSaleService;
+  }
+
+  // -------------------- Reserve --------------------
+  /**
+   * Holds units of a product variant
+   * @param {Object} data - { productId, sku, quantity }
+   * @param {Object} actor - { userId, apiKeyId, canManage }
+   * @returns {Promise<ApiSuccess>} Created reservation
+   * @throws {ApiError} If the data is invalid, the variant does not exist,
+   * has too few units in stock, or the buyer is over the hold or a flash sale limit
+   */
+  async reserve({ productId, sku, quantity } = {}, actor) {
+    // Service clients need inventory:manage; buyers reserve for themselves
+    if (!actor.userId && !actor.canManage) {
+      throw new ApiError({
+        message: "Forbidden: API key is missing the required scope",
+        statusCode: 403,
+        errorCode: "INSUFFICIENT_SCOPE",
+      });
+    }
+
+    const numericId = Number(productId);
+    const normalizedSku =
+      typeof sku === "string" ? sku.trim().toUpperCase() : "";
+    const maxQuantity = inventoryConfig.reservationMaxQuantity;
+    if (
+      !Number.isInteger(numericId) ||
+      !normalizedSku ||
+      !Number.isInteger(quantity) ||
+      quantity < 1 ||
+      quantity > maxQuantity
+    ) {
+      throw new ApiError({
+        message: `productId, sku and a whole quantity between 1 and ${maxQuantity} are required`,
+        statusCode: 400,
+        errorCode: "INVALID_RESERVATION",
+      });
+    }
+
+    const { unitPrice, sale } = await this.#priceOf(numericId, normalizedSku);
+
+    // Buyers count against their hold and the sale limit; service clients
+    // reserve for many
+    if (actor.userId) {
+      const hold = await this.reservationRepository.claimHold(
+        actor.userId,
+        normalizedSku,
+        quantity,
+        maxQuantity
+      );
+      if (!hold) {
+        throw new ApiError({
+          message: `You can hold at most ${maxQuantity} unit(s) of a variant at a time`,
+          statusCode: 409,
+          errorCode: "RESERVATION_LIMIT_EXCEEDED",
+          details: { limit: maxQuantity },
+        });
+      }
+    }
+    const limitedUser = sale && actor.userId ? actor.userId : null;
+
+    let purchaseClaimed = false;
+    let reservation;
+    try {
+      if (limitedUser) {
+        await this.flashSaleService.claimPurchase(sale, limitedUser, quantity);
+        purchaseClaimed = true;
+      }
+
+      const product = await this.productRepository.reserveStock(
+        numericId,
+        normalizedSku,
+        quantity,
+        visibleProductsFilter(new Date(), { includeUnlisted: true })
+      );
+      if (!product) {
+        await this.#throwUnavailable(numericId, normalizedSku);
+      }
+
+      try {
+        reservation = await this.reservationRepository.create({
+          product: numericId,
+          sku: normalizedSku,
+          quantity,
+          unitPrice,
+          flashSale: sale?.sale ?? null,
+          user: actor.userId ?? null,
+          apiKey: actor.apiKeyId ?? null,
+          expiresAt: new Date(
+            Date.now() + inventoryConfig.reservationTtlMinutes * 60 * 1000
+          ),
+        });
+      } catch (err) {
+        // Never keep units held by a reservation that does not exist
+        await this.productRepository.releaseStock(
+          numericId,
+          normalizedSku,
+          quantity
+        );
+        throw err;
+      }
+    } catch (err) {
+      if (purchaseClaimed) {
+        await this.flashSaleService.releasePurchase(
+          sale.sale,
+          limitedUser,
+          quantity
+        );
+      }
+      if (actor.userId) {
+        await this.reservationRepository.releaseHold(
+          actor.userId,
+          normalizedSku,
+          quantity
+        );
+      }
+      throw err;
+    }
+
+    logger.info(
+      `Reserved ${quantity} x [${normalizedSku}] of product [${numericId}] (reservation [${reservation._id}])`
+    );
+
+    return new ApiSuccess({
+      message: "Stock reserved successfully",
+      statusCode: 201,
+      data: reservation,
+      successCode: "STOCK_RESERVED",
+    });
+  }
+
+  // -------------------- Get Reservation --------------------
+  /**
+   * Returns a reservation
+   * @param {string} id - Reservation ObjectId
+   * @param {Object} actor - { userId, apiKeyId, canManage }
+   * @returns {Promise<ApiSuccess>} Reservation
+   * @throws {ApiError} If the reservation does not exist or belongs to someone else
+   */
+  async getReservation(id, actor) {
+    const reservation = await this.#findReservationOrThrow(id, actor);
+
+    return new ApiSuccess({
+      message: "Reservation fetched successfully",
+      statusCode: 200,
+      data: reservation,
+      successCode: "RESERVATION_FETCHED",
+    });
+  }
+
+  // -------------------- Release --------------------
+  /**
+   * Cancels an active reservation and returns its units to stock
+   * @param {string} id - Reservation ObjectId
+   * @param {Object} actor - { userId, apiKeyId, canManage }
+   * @returns {Promise<ApiSuccess>} Released reservation
+   * @throws {ApiError} If the reservation does not exist or is no longer active
+   */
+  async release(id, actor) {
+    await this.#findReservationOrThrow(id, actor);
+
+    const released = await this.reservationRepository.complete(
+      id,
+      ReservationStatus.RELEASED
+    );
+    if (!released) this.#throwNotActive();
+
+    await this.#returnToStock(released);
+    logger.info(`Reservation [${id}] released`);
+
+    return new ApiSuccess({
+      message: "Reservation released successfully",
+      statusCode: 200,
+      data: released,
+      successCode: "RESERVATION_RELEASED",
+    });
+  }
+
+  // -------------------- Commit --------------------
+  /**
+   * Makes the sale of an active, unexpired reservation final
+   * @param {string} id - Reservation ObjectId
+   * @param {Object} actor - { userId, apiKeyId, canManage }
+   * @returns {Promise<ApiSuccess>} Committed reservation
+   * @throws {ApiError} If the reservation does not exist, has expired or is no longer active
+   */
+  async commit(id, actor) {
+    await this.#findReservationOrThrow(id, actor);
+
+    const committed = await this.reservationRepository.complete(
+      id,
+      ReservationStatus.COMMITTED,
+      { expiresAt: { $gt: new Date() } }
+    );
+    if (!committed) {
+      const reservation = await this.reservationRepository.findById(id);
+      if (reservation?.status === ReservationStatus.ACTIVE) {
+        // Overdue but not swept yet: its units are about to return to stock
+        throw new ApiError({
+          message: "Reservation has expired",
+          statusCode: 409,
+          errorCode: "RESERVATION_EXPIRED",
+        });
+      }
+      this.#throwNotActive();
+    }
+
+    await this.#releaseHold(committed);
+    const product = await this.productRepository.commitStock(
+      committed.product,
+      committed.sku,
+      committed.quantity
+    );
+    if (!product) {
+      logger.warn(
+        `Committed reservation [${id}] for missing variant [${committed.sku}] of product [${committed.product}]`
+      );
+    }
+    logger.info(`Reservation [${id}] committed`);
+
+    return new ApiSuccess({
+      message: "Reservation committed successfully",
+      statusCode: 200,
+      data: committed,
+      successCode: "RESERVATION_COMMITTED",
+    });
+  }
+
+  // -------------------- Release Expired --------------------
+  /**
+   * Returns the units of every overdue active reservation to stock
+   * @returns {Promise<number>} Number of reservations released
+   */
+  async releaseExpired() {
+    const now = new Date();
+    let count = 0;
+
+    // Claiming one at a time keeps concurrent sweeps from releasing twice
+    let reservation;
+    while ((reservation = await this.reservationRepository.claimExpired(now))) {
+      await this.#returnToStock(reservation);
+      count += 1;
+    }
+
+    if (count > 0) logger.info(`${count} expired reservation(s) released`);
+    return count;
+  }
+
+  // -------------------- Helpers --------------------
+  async #findReservationOrThrow(id, actor) {
+    const reservation = mongoose.isValidObjectId(id)
+      ? await this.reservationRepository.findById(id)
+      : null;
+
+    // Other buyers' reservations are reported as missing
+    const isOwner =
+      actor.userId && String(reservation?.user) === String(actor.userId);
+    if (!reservation || (!isOwner && !actor.canManage)) {
+      throw new ApiError({
+        message: "Reservation not found",
+        statusCode: 404,
+        errorCode: "RESERVATION_NOT_FOUND",
+      });
+    }
+
+    return reservation;
+  }
+
+  // Price of one unit now, and the flash sale entry it comes from
+  async #priceOf(productId, sku) {
+    const product = await this.productRepository.findWithID(productId);
+    if (
+      !product ||
+      !isProductVisible(product, new Date(), { includeUnlisted: true })
+    ) {
+      throw new ApiError({
+        message: "Product not found",
+        statusCode: 404,
+        errorCode: "PRODUCT_NOT_FOUND",
+      });
+    }
+
+    const variant = product.variants.find((v) => v.sku === sku);
+    if (!variant) await this.#throwUnavailable(productId, sku);
+
+    const sale = activeFlashSale(product);
+    const salePrice = sale ? variantSalePrice(product, variant, sale) : null;
+    if (salePrice !== null) return { unitPrice: salePrice, sale };
+
+    return { unitPrice: variantRegularPrice(product, variant), sale: null };
+  }
+
+  // Units of a finished reservation no longer count against the buyer's hold
+  async #releaseHold(reservation) {
+    if (!reservation.user) return;
+
+    await this.reservationRepository.releaseHold(
+      reservation.user,
+      reservation.sku,
+      reservation.quantity
+    );
+  }
+
+  // Return the units to stock and, for flash sale buyers, to their allowance
+  async #returnToStock(reservation) {
+    await this.#releaseHold(reservation);
+
+    if (reservation.flashSale && reservation.user) {
+      await this.flashSaleService.releasePurchase(
+        reservation.flashSale,
+        reservation.user,
+        reservation.quantity
+      );
+    }
+
+    const product = await this.productRepository.releaseStock(
+      reservation.product,
+      reservation.sku,
+      reservation.quantity
+    );
+    if (!product) {
+      logger.warn(
+        `Released reservation [${reservation._id}] for missing variant [${reservation.sku}] of product [${reservation.product}]`
+      );
+    }
+  }
+
+  // Tell a missing product or variant apart from one that is out of stock
+  async #throwUnavailable(productId, sku) {
+    const product = await this.productRepository.findWithID(productId);
+    if (!product) {
+      throw new ApiError({
+        message: "Product not found",
+        statusCode: 404,
+        errorCode: "PRODUCT_NOT_FOUND",
+      });
+    }
+
+    const variant = product.variants.find((v) => v.sku === sku);
+    if (!variant) {
+      throw new ApiError({
+        message: "Variant not found",
+        statusCode: 404,
+        errorCode: "VARIANT_NOT_FOUND",
+      });
+    }
+
+    throw new ApiError({
+      message: "Not enough units in stock",
+      statusCode: 409,
+      errorCode: "INSUFFICIENT_STOCK",
+      details: { available: variant.stock },
+    });
+  }
+
+  #throwNotActive() {
+    throw new ApiError({
+      message: "Reservation is no longer active",
+      statusCode: 409,
+      errorCode: "RESERVATION_NOT_ACTIVE",
+    });
+  }
+}
@@ -0,0 +1,357 @@
+/**
+ * @file reviewService.js
+ * @description
+ * Service class to handle customer product reviews.
+ *
+ * Responsibilities:
+ * 1. Lets authenticated users post one rating plus text per product, and edit
+ *    or delete their own review.
+ * 2. Lists the published reviews of a product, newest or most helpful first.
+ * 3. Counts "helpful" votes, once per user.
+ * 4. Lets moderators list, hide, re-publish and delete any review.
+ * 5. Recomputes the product's avgRate and ratingCount from its published
+ *    reviews after every change.
+ *
+ * Methods:
+ * - async listProductReviews(productId, query)
+ * - async createReview(productId, { rating, text }, actor)
+ * - async updateReview(id, { rating, text }, actor)
+ * - async deleteReview(id, actor)
+ * - async markHelpful(id, actor)
+ * - async listReviews(query)
+ * - async moderateReview(id, { status, reason }, actor)
+ *
+ * An actor is { id, canModerate }: authors manage their own reviews, actors
+ * with canModerate (review:moderate) any review.
+ *
+ * @dependencies
+ * - reviewRepository: Repository object for the reviews
+ * - productRepository: Repository object holding the rating summary
+ *
+ * Usage:
+ * const reviewService = new ReviewService(reviewRepository, productRepository);
+ * const result = await reviewService.listProductReviews(12, { sort: "helpful" });
+ */
+
+import mongoose from "mongoose";
+import logger from "../middleware/logger/logger.js";
+import ApiError from "../utils/ApiError.js";
+import ApiSuccess from "../utils/ApiSuccess.js";
+import { buildReviewQueryOptions } from "../utils/builder.js";
+import { ReviewStatus } from "../models/reviewModel.js";
+import { isProductVisible } from "../utils/visibility.js";
+
+export default class ReviewService {
+  constructor(reviewRepository, productRepository) {
+    this.reviewRepository = reviewRepository;
+    this.productRepository = productRepository;
+  }
+
+  // -------------------- List Product Reviews --------------------
+  /**
+   * Lists the published reviews of a product
+   * @param {string|number} productId - Product ID
+   * @param {Object} query - Query parameters (rating, page, pageSize, sort: newest|oldest|helpful|rating)
+   * @returns {Promise<ApiSuccess>} Reviews array with pagination meta
+   * @throws {ApiError} If the product does not exist
+   */
+  async listProductReviews(productId, query) {
+    const product = await this.#findProductOrThrow(productId);
+    const { filter, options } = buildReviewQueryOptions(query);
+
+    return this.#list(
+      { ...filter, product: product.id, status: ReviewStatus.PUBLISHED },
+      options
+    );
+  }
+
+  // -------------------- Create Review --------------------
+  /**
+   * Posts the actor's review of a product
+   * @param {string|number} productId - Product ID
+   * @param {Object} data - { rating, text }
+   * @param {Object} actor - { id, canModerate }
+   * @returns {Promise<ApiSuccess>} Created review
+   * @throws {ApiError} If the product does not exist, the data is invalid or
+   * the user already reviewed the product
+   */
+  async createReview(productId, { rating, text } = {}, actor) {
+    const product = await this.#findProductOrThrow(productId);
+
+    const existing = await this.reviewRepository.findByProductAndUser(
+      product.id,
+      actor.id
+    );
+    if (existing) this.#throwAlreadyReviewed();
+
+    let review;
+    try {
+      review = await this.reviewRepository.create({
+        product: product.id,
+        user: actor.id,
+        rating,
+        text,
+      });
+    } catch (err) {
+      // Two concurrent posts by the same user
+      if (err.code === 11000) this.#throwAlreadyReviewed();
+      this.#rethrowValidation(err);
+    }
+
+    await this.#refreshRating(product.id);
+    logger.info(`Review [${review._id}] of product [${product.id}] created`);
+
+    return new ApiSuccess({
+      message: "Review created successfully",
+      statusCode: 201,
+      data: review,
+      successCode: "REVIEW_CREATED",
+    });
+  }
+
+  // -------------------- Update Review --------------------
+  /**
+   * Edits the rating and/or text of the actor's own review
+   * @param {string} id - Review ObjectId
+   * @param {Object} updates - { rating, text }; other fields are ignored
+   * @param {Object} actor - { id, canModerate }
+   * @returns {Promise<ApiSuccess>} Updated review
+   * @throws {ApiError} If nothing is updated, the data is invalid or the review
+   * does not exist or belongs to someone else
+   */
+  async updateReview(id, { rating, text } = {}, actor) {
+    if (rating === undefined && text === undefined) {
+      throw new ApiError({
+        message: "rating or text is required",
+        statusCode: 400,
+        errorCode: "MISSING_UPDATE_DATA",
+      });
+    }
+
+    const review = await this.#findReviewOrThrow(id);
+    // Moderators hide or delete reviews; they never rewrite them
+    if (String(review.user) !== String(actor.id)) this.#throwNotFound();
+
+    const updates = {};
+    if (rating !== undefined) updates.rating = rating;
+    if (text !== undefined) updates.text = text;
+
+    let updatedReview;
+    try {
+      updatedReview = await this.reviewRepository.update(review, updates);
+    } catch (err) {
+      this.#rethrowValidation(err);
+    }
+
+    await this.#refreshRating(review.product);
+    logger.info(`Review [${id}] updated`);
+
+    return new ApiSuccess({
+      message: "Review updated successfully",
+      statusCode: 200,
+      data: updatedReview,
+      successCode: "REVIEW_UPDATED",
+    });
+  }
+
+  // -------------------- Delete Review --------------------
+  /**
+   * Deletes a review (the author's own, or any review for moderators)
+   * @param {string} id - Review ObjectId
+   * @param {Object} actor - { id, canModerate }
+   * @returns {Promise<ApiSuccess>} Structured success response
+   * @throws {ApiError} If the review does not exist or belongs to someone else
+   */
+  async deleteReview(id, actor) {
+    const review = await this.#findReviewOrThrow(id);
+    const isAuthor = String(review.user) === String(actor.id);
+    if (!isAuthor && !actor.canModerate) this.#throwNotFound();
+
+    await this.reviewRepository.deleteById(review._id);
+    await this.#refreshRating(review.product);
+
+    logger.info(
+      `Review [${id}] deleted by ${isAuthor ? "its author" : `moderator [${actor.id}]`}`
+    );
+
+    return new ApiSuccess({
+      message: "Review deleted successfully",
+      statusCode: 200,
+      successCode: "REVIEW_DELETED",
+    });
+  }
+
+  // -------------------- Mark Helpful --------------------
+  /**
+   * Counts the actor's "helpful" vote for a published review
+   * @param {string} id - Review ObjectId
+   * @param {Object} actor - { id, canModerate }
+   * @returns {Promise<ApiSuccess>} Review with the new helpfulCount
+   * @throws {ApiError} If the review does not exist, is the actor's own or was already voted for
+   */
+  async markHelpful(id, actor) {
+    const review = await this.#findReviewOrThrow(id);
+    if (review.status !== ReviewStatus.PUBLISHED) this.#throwNotFound();
+
+    if (String(review.user) === String(actor.id)) {
+      throw new ApiError({
+        message: "You cannot vote for your own review",
+        statusCode: 400,
+        errorCode: "CANNOT_VOTE_OWN_REVIEW",
+      });
+    }
+
+    const voted = await this.reviewRepository.addHelpfulVote(
+      review._id,
+      actor.id
+    );
+    if (!voted) {
+      throw new ApiError({
+        message: "You already marked this review as helpful",
+        statusCode: 409,
+        errorCode: "ALREADY_VOTED",
+      });
+    }
+
+    return new ApiSuccess({
+      message: "Review marked as helpful",
+      statusCode: 200,
+      data: { _id: voted._id, helpfulCount: voted.helpfulCount },
+      successCode: "REVIEW_MARKED_HELPFUL",
+    });
+  }
+
+  // -------------------- List Reviews (Moderation) --------------------
+  /**
+   * Lists every review, published or hidden
+   * @param {Object} query - Query parameters (status, product, rating, page, pageSize, sort)
+   * @returns {Promise<ApiSuccess>} Reviews array with pagination meta
+   */
+  async listReviews(query) {
+    const { filter, options } = buildReviewQueryOptions(query);
+
+    return this.#list(filter, options);
+  }
+
+  // -------------------- Moderate Review --------------------
+  /**
+   * Hides or re-publishes a review
+   * @param {string} id - Review ObjectId
+   * @param {Object} decision - { status: "published" | "hidden", reason }
+   * @param {Object} actor - { id, canModerate }
+   * @returns {Promise<ApiSuccess>} Moderated review
+   * @throws {ApiError} If the status is unknown or the review does not exist
+   */
+  async moderateReview(id, { status, reason } = {}, actor) {
+    if (!Object.values(ReviewStatus).includes(status)) {
+      throw new ApiError({
+        message: `Status must be one of: ${Object.values(ReviewStatus).join(", ")}`,
+        statusCode: 400,
+        errorCode: "INVALID_REVIEW_STATUS",
+      });
+    }
+
+    const review = await this.#findReviewOrThrow(id);
+
+    const moderatedReview = await this.reviewRepository.update(review, {
+      status,
+      moderation: {
+        reason: reason ? String(reason) : null,
+        moderatedBy: actor.id,
+        moderatedAt: new Date(),
+      },
+    });
+
+    await this.#refreshRating(review.product);
+    logger.info(`Review [${id}] ${status} by moderator [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Review moderated successfully",
+      statusCode: 200,
+      data: moderatedReview,
+      successCode: "REVIEW_MODERATED",
+    });
+  }
+
+  // -------------------- Helpers --------------------
+  async #list(filter, options) {
+    const [reviews, total] = await Promise.all([
+      this.reviewRepository.findWithPagination(filter, options),
+      this.reviewRepository.count(filter),
+    ]);
+
+    return new ApiSuccess({
+      message: "Reviews fetched successfully",
+      statusCode: 200,
+      data: reviews,
+      successCode: "REVIEWS_FETCHED",
+      meta: {
+        total,
+        page: options.page,
+        pageSize: options.pageSize,
+        totalPages: Math.ceil(total / options.pageSize),
+        hasNext: options.skip + reviews.length < total,
+      },
+    });
+  }
+
+  // Keep the product's avgRate and ratingCount in line with its published reviews
+  async #refreshRating(productId) {
+    const summary = await this.reviewRepository.getRatingSummary(productId);
+    await this.productRepository.setRating(productId, summary);
+  }
+
+  // Reviews are read and written only for products customers can see
+  async #findProductOrThrow(productId) {
+    const product = await this.productRepository.findWithID(productId);
+    if (
+      !product ||
+      !isProductVisible(product, new Date(), { includeUnlisted: true })
+    ) {
+      throw new ApiError({
+        message: "Product not found",
+        statusCode: 404,
+        errorCode: "PRODUCT_NOT_FOUND",
+      });
+    }
+
+    return product;
+  }
+
+  async #findReviewOrThrow(id) {
+    const review = mongoose.isValidObjectId(id)
+      ? await this.reviewRepository.findById(id)
+      : null;
+    if (!review) this.#throwNotFound();
+
+    return review;
+  }
+
+  #throwNotFound() {
+    throw new ApiError({
+      message: "Review not found",
+      statusCode: 404,
+      errorCode: "REVIEW_NOT_FOUND",
+    });
+  }
+
+  #throwAlreadyReviewed() {
+    throw new ApiError({
+      message: "You have already reviewed this product",
+      statusCode: 409,
+      errorCode: "REVIEW_EXISTS",
+    });
+  }
+
+  #rethrowValidation(err) {
+    if (err.name === "ValidationError") {
+      throw new ApiError({
+        message: "Invalid review data",
+        statusCode: 400,
+        errorCode: "VALIDATION_ERROR",
+        details: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * @file localDiskStorage.js
+ * @description
+ * Default file storage: writes files below a local directory that the server
+ * serves statically under `publicUrl`.
+ *
+ * Any object exposing `async save({ key, buffer, contentType })` → `{ key, url }`
+ * and `async remove(key)` can replace this storage (e.g. an object store).
+ *
+ * @example
+ * const storage = new LocalDiskStorage({ dir: 'uploads', publicUrl: 'http://127.0.0.1:4000/uploads' });
+ * const { url } = await storage.save({ key: 'products/7/1f2e3d4c.png', buffer });
+ * // → uploads/products/7/1f2e3d4c.png, served at http://127.0.0.1:4000/uploads/products/7/1f2e3d4c.png
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+export default class LocalDiskStorage {
+  constructor({ dir, publicUrl }) {
+    this.dir = path.resolve(dir);
+    this.publicUrl = publicUrl;
+  }
+
+  async save({ key, buffer }) {
+    const file = this.#pathOf(key);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // "wx" never overwrites an existing file
+    await fs.writeFile(file, buffer, { flag: "wx" });
+
+    return { key, url: `${this.publicUrl}/${key}` };
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.#pathOf(key));
+    } catch (err) {
+      // Already gone is as good as removed
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  // Keys are generated by the services, but never let one escape the directory
+  #pathOf(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return file;
+  }
+}
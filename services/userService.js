@@ -0,0 +1,285 @@
+/**
+ * @file userService.js
+ * @description
+ * Service class to handle admin user management.
+ *
+ * Responsibilities:
+ * 1. Lists, searches and paginates user accounts.
+ * 2. Changes user roles.
+ * 3. Disables and re-enables accounts (disabling also revokes their logins).
+ * 4. Lifts login lockouts early.
+ * 5. Lists the sessions of a user and signs them out everywhere.
+ * 6. Resets two-factor authentication of users who lost their device.
+ * 7. Returns structured success or error responses for controllers using ApiSuccess / ApiError.
+ *
+ * Methods:
+ * - async listUsers(query)
+ * - async getUserById(id)
+ * - async changeRole(id, role, actor)
+ * - async setDisabled(id, disabled, actor)
+ * - async unlockLogin(id, actor)
+ * - async listSessions(id)
+ * - async signOutEverywhere(id, actor)
+ * - async resetTwoFactor(id, actor)
+ *
+ * @dependencies
+ * - userRepository: Repository object for accessing user data
+ * - sessionService: Service used to list and sign out sessions
+ * - loginThrottleService: Service holding the failed-login lockouts
+ * - twoFactorService: Service managing two-factor authentication
+ *
+ * Usage:
+ * const userService = new UserService(userRepository, sessionService, loginThrottleService, twoFactorService);
+ * const result = await userService.listUsers({ q: 'john', page: 1 });
+ */
+
+import mongoose from "mongoose";
+import logger from "../middleware/logger/logger.js";
+import ApiError from "../utils/ApiError.js";
+import ApiSuccess from "../utils/ApiSuccess.js";
+import { buildUserQueryOptions } from "../utils/builder.js";
+import Roles from "../constants/roles.js";
+
+export default class UserService {
+  constructor(
+    userRepository,
+    sessionService,
+    loginThrottleService,
+    twoFactorService
+  ) {
+    this.userRepository = userRepository;
+    this.sessionService = sessionService;
+    this.loginThrottleService = loginThrottleService;
+    this.twoFactorService = twoFactorService;
+  }
+
+  // -------------------- List Users --------------------
+  /**
+   * Lists users with search, filtering, sorting and pagination
+   * @param {Object} query - Query parameters (q, role, status, emailVerified, page, pageSize, sort, order)
+   * @returns {Promise<ApiSuccess>} Users array with pagination meta
+   */
+  async listUsers(query) {
+    const { filter, options } = buildUserQueryOptions(query);
+
+    const [users, total] = await Promise.all([
+      this.userRepository.findWithPagination(filter, options),
+      this.userRepository.count(filter),
+    ]);
+
+    return new ApiSuccess({
+      message: "Users fetched successfully",
+      statusCode: 200,
+      data: users,
+      successCode: "USERS_FETCHED",
+      meta: {
+        total,
+        page: options.page,
+        pageSize: options.pageSize,
+        hasNext: options.skip + users.length < total,
+      },
+    });
+  }
+
+  // -------------------- Get User by ID --------------------
+  /**
+   * Retrieves a single user
+   * @param {string} id - User ObjectId
+   * @returns {Promise<ApiSuccess>} User data
+   * @throws {ApiError} If the ID is invalid or the user does not exist
+   */
+  async getUserById(id) {
+    const user = await this.#findUserOrThrow(id);
+
+    return new ApiSuccess({
+      message: "User fetched successfully",
+      statusCode: 200,
+      data: user,
+      successCode: "USER_FETCHED",
+    });
+  }
+
+  // -------------------- Change Role --------------------
+  /**
+   * Changes the role of a user
+   * @param {string} id - User ObjectId
+   * @param {string} role - New role (one of Roles)
+   * @param {Object} actor - Admin performing the change (req.user)
+   * @returns {Promise<ApiSuccess>} Updated user
+   * @throws {ApiError} If the role is unknown or an admin targets their own account
+   */
+  async changeRole(id, role, actor) {
+    if (!Object.values(Roles).includes(role)) {
+      throw new ApiError({
+        message: `Role must be one of: ${Object.values(Roles).join(", ")}`,
+        statusCode: 400,
+        errorCode: "INVALID_ROLE",
+      });
+    }
+
+    this.#assertNotSelf(id, actor);
+    const user = await this.#findUserOrThrow(id);
+
+    const updatedUser = await this.userRepository.update(user, { role });
+    logger.info(`User [${id}] role changed to ${role} by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "User role updated successfully",
+      statusCode: 200,
+      data: updatedUser,
+      successCode: "USER_ROLE_UPDATED",
+    });
+  }
+
+  // -------------------- Disable / Enable --------------------
+  /**
+   * Disables or re-enables a user account
+   * @param {string} id - User ObjectId
+   * @param {boolean} disabled - true to disable, false to re-enable
+   * @param {Object} actor - Admin performing the change (req.user)
+   * @returns {Promise<ApiSuccess>} Updated user
+   * @throws {ApiError} If `disabled` is not a boolean or an admin targets their own account
+   */
+  async setDisabled(id, disabled, actor) {
+    if (typeof disabled !== "boolean") {
+      throw new ApiError({
+        message: "disabled must be a boolean",
+        statusCode: 400,
+        errorCode: "INVALID_STATUS",
+      });
+    }
+
+    this.#assertNotSelf(id, actor);
+    const user = await this.#findUserOrThrow(id);
+
+    const updatedUser = await this.userRepository.update(user, {
+      isDisabled: disabled,
+      disabledAt: disabled ? new Date() : null,
+    });
+
+    // A disabled account must not be able to refresh its way back in
+    if (disabled) {
+      await this.sessionService.revokeAllForUser(user._id);
+    }
+
+    logger.info(
+      `User [${id}] ${disabled ? "disabled" : "enabled"} by [${actor.id}]`
+    );
+
+    return new ApiSuccess({
+      message: `User ${disabled ? "disabled" : "enabled"} successfully`,
+      statusCode: 200,
+      data: updatedUser,
+      successCode: disabled ? "USER_DISABLED" : "USER_ENABLED",
+    });
+  }
+
+  // -------------------- Unlock Login --------------------
+  /**
+   * Lifts a failed-login lockout of an account before it expires
+   * @param {string} id - User ObjectId
+   * @param {Object} actor - Admin performing the change (req.user)
+   * @returns {Promise<ApiSuccess>} Structured success response
+   */
+  async unlockLogin(id, actor) {
+    const user = await this.#findUserOrThrow(id);
+
+    await this.loginThrottleService.unlockAccount(user.email);
+    logger.info(`User [${id}] login unlocked by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "User login unlocked successfully",
+      statusCode: 200,
+      successCode: "USER_UNLOCKED",
+    });
+  }
+
+  // -------------------- List Sessions --------------------
+  /**
+   * Lists the active sessions of a user
+   * @param {string} id - User ObjectId
+   * @returns {Promise<ApiSuccess>} Sessions, most recently used first
+   */
+  async listSessions(id) {
+    const user = await this.#findUserOrThrow(id);
+
+    return this.sessionService.listSessions(user._id);
+  }
+
+  // -------------------- Sign Out Everywhere --------------------
+  /**
+   * Signs a user out of every session
+   * @param {string} id - User ObjectId
+   * @param {Object} actor - User performing the change (req.user)
+   * @returns {Promise<ApiSuccess>} Structured success response
+   */
+  async signOutEverywhere(id, actor) {
+    const user = await this.#findUserOrThrow(id);
+
+    await this.sessionService.revokeAllForUser(user._id);
+    logger.info(`User [${id}] signed out everywhere by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "User signed out of all sessions successfully",
+      statusCode: 200,
+      successCode: "USER_SESSIONS_REVOKED",
+    });
+  }
+
+  // -------------------- Reset Two-Factor --------------------
+  /**
+   * Turns two-factor authentication off for a user who lost their device.
+   * Every session is signed out so the account has to log in again.
+   * @param {string} id - User ObjectId
+   * @param {Object} actor - User performing the change (req.user)
+   * @returns {Promise<ApiSuccess>} Structured success response
+   * @throws {ApiError} If two-factor authentication is not enabled
+   */
+  async resetTwoFactor(id, actor) {
+    this.#assertNotSelf(id, actor);
+    const user = await this.#findUserOrThrow(id);
+
+    await this.twoFactorService.reset(user._id);
+    await this.sessionService.revokeAllForUser(user._id);
+    logger.warn(`User [${id}] two-factor authentication reset by [${actor.id}]`);
+
+    return new ApiSuccess({
+      message: "Two-factor authentication reset successfully",
+      statusCode: 200,
+      successCode: "TWO_FACTOR_RESET",
+    });
+  }
+
+  // -------------------- Helpers --------------------
+  async #findUserOrThrow(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new ApiError({
+        message: "Invalid user ID format",
+        statusCode: 400,
+        errorCode: "INVALID_USER_ID",
+      });
+    }
+
+    const user = await this.userRepository.findById(id);
+    if (!user) {
+      throw new ApiError({
+        message: "User not found",
+        statusCode: 404,
+        errorCode: "USER_NOT_FOUND",
+      });
+    }
+
+    return user;
+  }
+
+  // Admins cannot lock themselves out by demoting or disabling their own account
+  #assertNotSelf(id, actor) {
+    if (String(actor.id) === String(id)) {
+      throw new ApiError({
+        message: "You cannot change your own account",
+        statusCode: 400,
+        errorCode: "CANNOT_MODIFY_SELF",
+      });
+    }
+  }
+}
@@ -1,9 +1,17 @@
 export default class ApiSuccess {
-  constructor({ message, statusCode = 200, data = null, successCode = null }) {
+  constructor({
+    message,
+    statusCode = 200,
+    data = null,
+    successCode = null,
+    meta = null,
+  }) {
     this.message = message;
     this.statusCode = statusCode;
     this.data = data;
     this.successCode = successCode;
     this.isSuccess = true;
+    // Extra information about the data (e.g. pagination); omitted when unused
+    if (meta) this.meta = meta;
   }
 }
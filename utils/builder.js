@@ -1,14 +1,89 @@
+import { tokenize } from "./search.js";
+
+// Price a customer pays: the discount price when there is one
+export const EFFECTIVE_PRICE = {
+  $cond: [{ $gt: ["$discountPrice", 0] }, "$discountPrice", "$price"],
+};
+// Units in stock over all variants
+export const TOTAL_STOCK = { $sum: "$variants.stock" };
+
+// Parse a numeric query parameter; undefined when missing or not a number
+function parseNumber(value) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// Multi-value parameters may be repeated (?color=red&color=blue) or comma-separated
+function parseList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
 export function buildQueryOptions(query) {
   const filter = {};
   const q = Object.fromEntries(
     Object.entries(query).map(([key, value]) => [key.toLowerCase(), value])
   );
 
-  if (q.category) filter.category = q.category;
+  // Keyword search; the terms are expanded and turned into a $text filter by the service
+  const searchTerms = q.q ? tokenize(q.q) : [];
+
   if (q.subcategory) filter.subCategory = q.subcategory;
   if (q.brand) filter.brand = q.brand;
   if (q.ishook) filter.isHook = q.ishook === "true";
-  if (q.isflash) filter.isFlash = q.isflash === "true";
+  if (q.isfeatured) filter.isFeatured = q.isfeatured === "true";
+  // Publishing status; public listings only ever hold visible products
+  if (q.status) filter.status = String(q.status);
+
+  // Flash sales are stored with their window; only a sale running now counts
+  if (q.isflash) {
+    const now = new Date();
+    const running = {
+      $elemMatch: { startsAt: { $lte: now }, endsAt: { $gt: now } },
+    };
+    filter.flashSales = q.isflash === "true" ? running : { $not: running };
+  }
+
+  // Conditions on computed values are combined into a single $expr
+  const expressions = [];
+
+  const minPrice = parseNumber(q.minprice);
+  const maxPrice = parseNumber(q.maxprice);
+  if (minPrice !== undefined) {
+    expressions.push({ $gte: [EFFECTIVE_PRICE, minPrice] });
+  }
+  if (maxPrice !== undefined) {
+    expressions.push({ $lte: [EFFECTIVE_PRICE, maxPrice] });
+  }
+
+  const minRating = parseNumber(q.minrating);
+  if (minRating !== undefined) filter.avgRate = { $gte: minRating };
+
+  // Any of the requested colors / sizes, case-insensitively
+  const colors = parseList(q.color);
+  if (colors.length > 0) {
+    filter["variants.attributes.color"] = { $in: colors.map(exactMatch) };
+  }
+  const sizes = parseList(q.size);
+  if (sizes.length > 0) {
+    filter["variants.attributes.size"] = { $in: sizes.map(exactMatch) };
+  }
+
+  if (q.hasdiscount === "true") filter.discountPrice = { $gt: 0 };
+  if (q.hasdiscount === "false") filter.discountPrice = { $not: { $gt: 0 } };
+
+  const minStock = parseNumber(q.minstock);
+  if (q.instock === "true") expressions.push({ $gt: [TOTAL_STOCK, 0] });
+  if (q.instock === "false") expressions.push({ $eq: [TOTAL_STOCK, 0] });
+  if (minStock !== undefined) {
+    expressions.push({ $gte: [TOTAL_STOCK, minStock] });
+  }
+
+  if (expressions.length > 0) filter.$expr = { $and: expressions };
 
   const page = Math.max(parseInt(q.page) || 1, 1);
   const pageSize = Math.min(parseInt(q.pagesize) || 10, 100);
@@ -16,15 +91,177 @@ export function buildQueryOptions(query) {
   const sortOrder = q.order === "asc" ? 1 : -1;
 
   const options = {
+    page,
+    pageSize,
     skip: (page - 1) * pageSize,
     limit: pageSize,
   };
 
+  // A category also matches its descendants; the service resolves them
+  if (q.category) options.category = String(q.category).trim().toLowerCase();
+
+  // Cursor mode (?cursor for the first page, then ?cursor=<meta.nextCursor>)
+  // replaces page numbers; the cursor is decoded by the service
+  if (q.cursor !== undefined) options.cursor = String(q.cursor);
+
+  if (searchTerms.length > 0) options.searchTerms = searchTerms;
+
+  // Facet counts are returned with every listing unless disabled
+  options.facets = q.facets !== "false" && sortField !== "random";
+
   if (sortField === "random") {
     options.random = true;
+  } else if (searchTerms.length > 0 && !q.sort) {
+    // Searches are ranked by relevance unless another order is requested
+    options.sort = { score: { $meta: "textScore" }, _id: 1 };
   } else {
     options.sort = { [sortField]: sortOrder, _id: 1 };
   }
 
   return { filter, options };
 }
+
+// Case-insensitive match of a whole value
+function exactMatch(value) {
+  return new RegExp(`^${escapeRegex(value)}$`, "i");
+}
+
+// Escape user input before embedding it in a regular expression
+export function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Fields admins may sort the user list by
+const USER_SORT_FIELDS = ["createdAt", "updatedAt", "email", "fullName", "role"];
+
+export function buildUserQueryOptions(query) {
+  const filter = {};
+  const q = Object.fromEntries(
+    Object.entries(query).map(([key, value]) => [key.toLowerCase(), value])
+  );
+
+  // Case-insensitive search over name and email
+  if (q.q) {
+    const pattern = new RegExp(escapeRegex(q.q), "i");
+    filter.$or = [{ fullName: pattern }, { email: pattern }];
+  }
+  if (q.role) filter.role = q.role;
+  if (q.status === "disabled") filter.isDisabled = true;
+  if (q.status === "active") filter.isDisabled = { $ne: true };
+  if (q.emailverified) filter.isEmailVerified = q.emailverified === "true";
+
+  const page = Math.max(parseInt(q.page) || 1, 1);
+  const pageSize = Math.min(parseInt(q.pagesize) || 10, 100);
+  const sortField = USER_SORT_FIELDS.includes(q.sort) ? q.sort : "createdAt";
+  const sortOrder = q.order === "asc" ? 1 : -1;
+
+  const options = {
+    page,
+    pageSize,
+    skip: (page - 1) * pageSize,
+    limit: pageSize,
+    sort: { [sortField]: sortOrder, _id: 1 },
+  };
+
+  return { filter, options };
+}
+
+// Orders offered for review listings
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: 1 },
+  oldest: { createdAt: 1, _id: 1 },
+  helpful: { helpfulCount: -1, createdAt: -1, _id: 1 },
+  rating: { rating: -1, createdAt: -1, _id: 1 },
+};
+
+export function buildReviewQueryOptions(query) {
+  const filter = {};
+  const q = Object.fromEntries(
+    Object.entries(query).map(([key, value]) => [key.toLowerCase(), value])
+  );
+
+  const rating = parseNumber(q.rating);
+  if (rating !== undefined) filter.rating = rating;
+  if (q.status) filter.status = q.status;
+  const product = parseNumber(q.product);
+  if (product !== undefined) filter.product = product;
+
+  const page = Math.max(parseInt(q.page) || 1, 1);
+  const pageSize = Math.min(parseInt(q.pagesize) || 10, 100);
+
+  const options = {
+    page,
+    pageSize,
+    skip: (page - 1) * pageSize,
+    limit: pageSize,
+    sort: REVIEW_SORTS[q.sort] ?? REVIEW_SORTS.newest,
+  };
+
+  return { filter, options };
+}
+
+// Flash sales by status at a given time, each in its most useful order
+const FLASH_SALE_STATUSES = {
+  scheduled: (now) => ({
+    filter: { startsAt: { $gt: now } },
+    sort: { startsAt: 1, _id: 1 },
+  }),
+  active: (now) => ({
+    filter: { startsAt: { $lte: now }, endsAt: { $gt: now } },
+    sort: { endsAt: 1, _id: 1 },
+  }),
+  ended: (now) => ({
+    filter: { endsAt: { $lte: now } },
+    sort: { endsAt: -1, _id: 1 },
+  }),
+};
+
+export function buildFlashSaleQueryOptions(query, now = new Date()) {
+  const q = Object.fromEntries(
+    Object.entries(query).map(([key, value]) => [key.toLowerCase(), value])
+  );
+
+  const status = FLASH_SALE_STATUSES[q.status]?.(now) ?? {
+    filter: {},
+    sort: { startsAt: -1, _id: 1 },
+  };
+  const filter = { ...status.filter };
+  const product = parseNumber(q.product);
+  if (product !== undefined) filter["items.product"] = product;
+
+  const page = Math.max(parseInt(q.page) || 1, 1);
+  const pageSize = Math.min(parseInt(q.pagesize) || 10, 100);
+
+  const options = {
+    page,
+    pageSize,
+    skip: (page - 1) * pageSize,
+    limit: pageSize,
+    sort: status.sort,
+  };
+
+  return { filter, options };
+}
+
+export function buildRevisionQueryOptions(query) {
+  const filter = {};
+  const q = Object.fromEntries(
+    Object.entries(query).map(([key, value]) => [key.toLowerCase(), value])
+  );
+
+  if (q.action) filter.action = String(q.action);
+  if (q.actor) filter.actor = String(q.actor);
+
+  const page = Math.max(parseInt(q.page) || 1, 1);
+  const pageSize = Math.min(parseInt(q.pagesize) || 20, 100);
+
+  const options = {
+    page,
+    pageSize,
+    skip: (page - 1) * pageSize,
+    limit: pageSize,
+    sort: { createdAt: -1, _id: -1 },
+  };
+
+  return { filter, options };
+}
@@ -0,0 +1,112 @@
+/**
+ * @file csv.js
+ * @description
+ * Minimal RFC 4180 CSV reading and writing.
+ *
+ * Fields containing commas, quotes or line breaks are quoted, quotes inside
+ * them doubled. Both \n and \r\n line endings are accepted, as is a leading
+ * byte order mark (spreadsheet exports often add one).
+ *
+ * Text starting with =, +, -, @, tab or carriage return would run as a formula
+ * when the file is opened in a spreadsheet, so it is written with a leading
+ * apostrophe, which parseCsv removes again.
+ *
+ * Functions:
+ * - parseCsv(text) → array of records keyed by the header row, each with its line number
+ * - toCsvLine(values) → one CSV line (with trailing \r\n)
+ */
+
+// Text a spreadsheet would take for a formula, possibly already escaped
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text whose first row is the header
+ * @param {string} text
+ * @returns {{ line: number, values: Object<string, string> }[]} Records; rows
+ * that are completely empty are skipped
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unclosed quoted field starting on line ${rowLine}`);
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const [header, ...records] = rows.filter(({ cells }) =>
+    cells.some((cell) => cell.trim() !== "")
+  );
+  if (!header) return [];
+
+  const columns = header.cells.map((name) => name.trim());
+  return records.map(({ line: recordLine, cells }) => ({
+    line: recordLine,
+    values: Object.fromEntries(
+      columns.map((column, index) => [column, unescapeCell(cells[index] ?? "")])
+    ),
+  }));
+}
+
+/**
+ * Format one CSV line
+ * @param {Array<*>} values - Cell values; null and undefined become empty
+ * cells, text that would start a formula is prefixed with an apostrophe
+ * @returns {string}
+ */
+export function toCsvLine(values) {
+  return (
+    values
+      .map((value) => {
+        let text = value === null || value === undefined ? "" : String(value);
+        if (typeof value === "string" && FORMULA_START.test(text)) {
+          text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(",") + "\r\n"
+  );
+}
+
+// Removes the apostrophe toCsvLine adds in front of formula-like text
+function unescapeCell(cell) {
+  return cell.startsWith("'") && FORMULA_START.test(cell) ? cell.slice(1) : cell;
+}
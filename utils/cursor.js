@@ -0,0 +1,140 @@
+/**
+ * @file cursor.js
+ * @description
+ * Opaque cursors for keyset ("seek") pagination.
+ *
+ * Listings are sorted by `{ [field]: order, _id: 1 }` (see buildQueryOptions).
+ * A cursor stores that sort plus the field value and _id of the last item of
+ * a page; the next page is everything strictly after that position. Unlike
+ * skip/limit this stays fast on deep pages and does not repeat or skip items
+ * when products are inserted while paging.
+ *
+ * Functions:
+ * - encodeCursor(sort, item) → base64url string
+ * - decodeCursor(cursor, sort) → keyset filter to combine with the listing filter
+ */
+
+import mongoose from "mongoose";
+import ApiError from "./ApiError.js";
+
+function invalidCursor(message = "Invalid cursor") {
+  return new ApiError({
+    message,
+    statusCode: 400,
+    errorCode: "INVALID_CURSOR",
+  });
+}
+
+// The single user-chosen sort field (the _id tie-breaker is implicit)
+function sortKey(sort) {
+  const entry = Object.entries(sort).find(([key]) => key !== "_id");
+  if (!entry) {
+    throw invalidCursor("Cursor pagination needs a sort field other than _id");
+  }
+
+  const [field, order] = entry;
+  return { field, order };
+}
+
+// Dates do not survive JSON, so values are stored with their type
+function serializeValue(value) {
+  if (value === undefined || value === null) return { t: "null" };
+  if (value instanceof Date) return { t: "date", v: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { t: "id", v: String(value) };
+  }
+  return { t: typeof value, v: value };
+}
+
+// Cursors come from clients: a value must have its declared type, so a
+// crafted one cannot put an object (such as a query operator) into the filter
+function deserializeValue({ t, v }) {
+  switch (t) {
+    case "null":
+      return null;
+    case "date": {
+      const date = typeof v === "string" ? new Date(v) : null;
+      if (!date || Number.isNaN(date.getTime())) throw invalidCursor();
+      return date;
+    }
+    case "id":
+      if (typeof v !== "string" || !mongoose.isValidObjectId(v)) {
+        throw invalidCursor();
+      }
+      return new mongoose.Types.ObjectId(v);
+    case "number":
+    case "string":
+    case "boolean":
+      if (typeof v !== t) throw invalidCursor();
+      return v;
+    default:
+      throw invalidCursor();
+  }
+}
+
+/**
+ * Build the cursor pointing after an item
+ * @param {Object} sort - Sort of the listing ({ field: 1|-1, _id: 1 })
+ * @param {Object} item - Last item of the page (document or plain object)
+ * @returns {string} Opaque cursor
+ * @throws {ApiError} 400 INVALID_CURSOR if the sort has no field besides _id
+ */
+export function encodeCursor(sort, item) {
+  const { field, order } = sortKey(sort);
+  const value = item.get ? item.get(field) : item[field];
+
+  return Buffer.from(
+    JSON.stringify({
+      f: field,
+      o: order,
+      v: serializeValue(value),
+      id: String(item._id),
+    })
+  ).toString("base64url");
+}
+
+/**
+ * Turn a cursor into a filter matching the items after it
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} sort - Sort of the current listing; must match the cursor's
+ * @returns {Object} MongoDB filter
+ * @throws {ApiError} 400 INVALID_CURSOR if the cursor is malformed, from
+ * another sort, or the sort has no field besides _id
+ */
+export function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (err) {
+    throw invalidCursor();
+  }
+
+  const { field, order } = sortKey(sort);
+  if (!decoded || decoded.f !== field || decoded.o !== order) {
+    throw invalidCursor("Cursor does not match the requested sort");
+  }
+  if (typeof decoded.id !== "string" || !mongoose.isValidObjectId(decoded.id)) {
+    throw invalidCursor();
+  }
+
+  const id = new mongoose.Types.ObjectId(decoded.id);
+  const value = deserializeValue(decoded.v ?? {});
+  const sameValueLaterId = { [field]: value, _id: { $gt: id } };
+
+  // Missing values sort before everything ascending and after everything descending
+  if (value === null) {
+    return order === 1
+      ? { $or: [sameValueLaterId, { [field]: { $ne: null } }] }
+      : sameValueLaterId;
+  }
+
+  return order === 1
+    ? { $or: [{ [field]: { $gt: value } }, sameValueLaterId] }
+    : {
+        $or: [
+          { [field]: { $lt: value } },
+          sameValueLaterId,
+          { [field]: null },
+        ],
+      };
+}
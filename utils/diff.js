@@ -0,0 +1,69 @@
+/**
+ * @file diff.js
+ * @description
+ * Field-level differences between two versions of a document.
+ *
+ * Nested objects are compared field by field ("attributes.color"). Arrays are
+ * compared as a whole, except those named in `keyedArrays`, whose items are
+ * matched by a key field instead of by position ("variants[TSHIRT-RED-M].stock"),
+ * so reordering them is not a change.
+ *
+ * @example
+ * diffFields({ price: 10 }, { price: 12 });
+ * // → [{ field: "price", from: 10, to: 12 }]
+ */
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Dates and ObjectIds compare by their JSON form
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Flatten a value into a Map of field path → leaf value
+function flatten(value, path, keyedArrays, fields) {
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, path ? `${path}.${key}` : key, keyedArrays, fields);
+    }
+    return fields;
+  }
+
+  const itemKey = keyedArrays[path];
+  if (
+    itemKey &&
+    Array.isArray(value) &&
+    value.every((item) => isPlainObject(item) && item[itemKey] != null)
+  ) {
+    for (const item of value) {
+      flatten(item, `${path}[${item[itemKey]}]`, keyedArrays, fields);
+    }
+    return fields;
+  }
+
+  fields.set(path, value);
+  return fields;
+}
+
+/**
+ * Lists the fields that differ between two versions
+ * @param {Object|null} before - Previous version (plain object); null for none
+ * @param {Object|null} after - New version (plain object); null for none
+ * @param {Object} [options]
+ * @param {Object} [options.keyedArrays] - Array path → key field of its items
+ * @returns {{ field: string, from: *, to: * }[]} Changed fields; a missing
+ * value is reported as null
+ */
+export function diffFields(before, after, { keyedArrays = {} } = {}) {
+  const from = flatten(before ?? {}, "", keyedArrays, new Map());
+  const to = flatten(after ?? {}, "", keyedArrays, new Map());
+
+  return [...new Set([...from.keys(), ...to.keys()])]
+    .filter((field) => !isEqual(from.get(field), to.get(field)))
+    .map((field) => ({
+      field,
+      from: from.get(field) ?? null,
+      to: to.get(field) ?? null,
+    }));
+}
@@ -0,0 +1,44 @@
+/**
+ * @file etag.js
+ * @description
+ * Version-based entity tags for optimistic concurrency.
+ *
+ * A product's ETag is its version (`__v`), which every write increments (edits,
+ * stock reservations, ratings and flash sale changes), followed by the flash
+ * sale running at the time, since sales start and end without a write. Every
+ * product response carries it; clients send it back in `If-Match` when
+ * updating or deleting, and in `If-None-Match` to revalidate a cached copy.
+ *
+ * Functions:
+ * - productETag(product) → '"<version>"' or '"<version>-<sale id>"'
+ * - ifMatchSatisfied(header, etag) → whether an If-Match header accepts an ETag
+ */
+
+/**
+ * Strong ETag of a product
+ * @param {Object} product - Product as responses present it (see withFlashSale)
+ * @returns {string} Quoted version and running sale, e.g. '"3"' or '"3-<sale id>"'
+ */
+export function productETag(product) {
+  const version = product.__v ?? 0;
+  return product.flashSale
+    ? `"${version}-${product.flashSale.id}"`
+    : `"${version}"`;
+}
+
+/**
+ * Evaluates an If-Match header against the current ETag (RFC 9110 §13.1.1).
+ * "*" matches any existing resource; weak tags (W/"...") never match, as
+ * If-Match uses strong comparison.
+ * @param {string} header - If-Match header value
+ * @param {string} etag - Current strong ETag
+ * @returns {boolean}
+ */
+export function ifMatchSatisfied(header, etag) {
+  if (header.trim() === "*") return true;
+
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .some((tag) => tag === etag);
+}
@@ -0,0 +1,87 @@
+/**
+ * @file flashSale.js
+ * @description
+ * Flash sale pricing from the sale entries products carry (`flashSales`).
+ *
+ * Exports:
+ * - activeFlashSale(product, now) → the entry running at `now`, or null
+ * - applyDiscount(price, entry) → price after the sale discount
+ * - variantRegularPrice(product, variant) → price of a variant outside sales
+ * - variantSalePrice(product, variant, entry) → sale price of a variant, or
+ *   null when the sale does not cover it
+ * - withFlashSale(product, now) → plain product for responses: `isFlash`,
+ *   and while a sale runs, `flashSale` with the sale price of each discounted
+ *   variant and the countdown
+ */
+
+import { DiscountTypes } from "../models/flashSaleModel.js";
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+export function activeFlashSale(product, now = new Date()) {
+  return (
+    (product.flashSales ?? []).find(
+      (entry) => entry.startsAt <= now && entry.endsAt > now
+    ) ?? null
+  );
+}
+
+export function applyDiscount(price, { discountType, discountValue }) {
+  const discounted =
+    discountType === DiscountTypes.PERCENTAGE
+      ? price * (1 - discountValue / 100)
+      : price - discountValue;
+
+  return Math.max(roundPrice(discounted), 0);
+}
+
+// The variant price, otherwise the product's discount price when set,
+// otherwise its price
+export function variantRegularPrice(product, variant) {
+  const productPrice =
+    product.discountPrice > 0 ? product.discountPrice : product.price;
+  return variant.price ?? productPrice;
+}
+
+// Sales discount the regular price, so they never cost more than it
+export function variantSalePrice(product, variant, entry) {
+  const covered = !entry.skus?.length || entry.skus.includes(variant.sku);
+  return covered
+    ? applyDiscount(variantRegularPrice(product, variant), entry)
+    : null;
+}
+
+export function withFlashSale(product, now = new Date()) {
+  const { flashSales, ...plain } = product.toObject
+    ? product.toObject()
+    : product;
+  const entry = activeFlashSale({ flashSales }, now);
+  const variants = entry
+    ? (plain.variants ?? [])
+        .map((variant) => ({
+          sku: variant.sku,
+          price: variantSalePrice(plain, variant, entry),
+        }))
+        .filter((variant) => variant.price !== null)
+    : [];
+
+  // A sale whose variants are all gone discounts nothing
+  if (variants.length === 0) return { ...plain, isFlash: false };
+
+  return {
+    ...plain,
+    isFlash: true,
+    flashSale: {
+      id: entry.sale,
+      name: entry.name,
+      discount: { type: entry.discountType, value: entry.discountValue },
+      // Lowest sale price, for "from" prices on product cards
+      price: Math.min(...variants.map((variant) => variant.price)),
+      variants,
+      perCustomerLimit: entry.perCustomerLimit ?? null,
+      startsAt: entry.startsAt,
+      endsAt: entry.endsAt,
+      endsInSeconds: Math.max(Math.ceil((entry.endsAt - now) / 1000), 0),
+    },
+  };
+}
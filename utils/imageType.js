@@ -0,0 +1,49 @@
+/**
+ * @file imageType.js
+ * @description
+ * Detects the type of an image from its first bytes, so an upload is accepted
+ * for what it is rather than for the type or file name the client claims.
+ *
+ * Exports:
+ * - IMAGE_TYPES → accepted MIME types and their file extensions (first is preferred)
+ * - detectImageType(buffer) → { mimeType, extension } or null
+ */
+
+export const IMAGE_TYPES = Object.freeze({
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+  "image/gif": [".gif"],
+  "image/webp": [".webp"],
+});
+
+// File signatures; null bytes are wildcards
+const SIGNATURES = [
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    mimeType: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] }, // "GIF8"
+  {
+    // "RIFF" <size> "WEBP"
+    mimeType: "image/webp",
+    bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+  },
+];
+
+/**
+ * @param {Buffer} buffer - File contents
+ * @returns {{ mimeType: string, extension: string }|null} Detected image type,
+ * or null when the file is not one of IMAGE_TYPES
+ */
+export function detectImageType(buffer) {
+  const match = SIGNATURES.find(
+    ({ bytes }) =>
+      buffer.length >= bytes.length &&
+      bytes.every((byte, i) => byte === null || buffer[i] === byte)
+  );
+
+  return match
+    ? { mimeType: match.mimeType, extension: IMAGE_TYPES[match.mimeType][0] }
+    : null;
+}
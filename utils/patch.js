@@ -0,0 +1,302 @@
+/**
+ * @file patch.js
+ * @description
+ * Applies partial updates in the two standard JSON formats, chosen by the
+ * request's Content-Type:
+ *
+ * - application/merge-patch+json (RFC 7396): an object mirroring the document;
+ *   given fields replace the current ones, null removes them, arrays are
+ *   replaced as a whole.
+ * - application/json-patch+json (RFC 6902): a list of operations (add, remove,
+ *   replace, move, copy, test) addressed by JSON Pointers such as
+ *   "/variants/0/stock". Operations apply in order and all or nothing.
+ *
+ * Documents are plain JSON values; the input is never changed.
+ *
+ * @example
+ * applyPatch({ price: 10, tags: ["a"] }, [{ op: "add", path: "/tags/-", value: "b" }], "application/json-patch+json");
+ * // → { price: 10, tags: ["a", "b"] }
+ */
+
+import ApiError from "./ApiError.js";
+
+export const PatchMediaTypes = Object.freeze({
+  MERGE_PATCH: "application/merge-patch+json",
+  JSON_PATCH: "application/json-patch+json",
+});
+
+const OPERATIONS = ["add", "remove", "replace", "move", "copy", "test"];
+// Array indexes as JSON Pointer writes them: no sign, no leading zeros
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// -------------------- Entry Point --------------------
+/**
+ * Applies a patch document of the given media type
+ * @param {Object} document - Current document (plain JSON)
+ * @param {*} patch - Merge patch object or JSON Patch operations
+ * @param {string} contentType - Content-Type of the request (parameters are ignored)
+ * @returns {Object} Patched copy of the document
+ * @throws {ApiError} 415 for other media types, 400 for invalid or
+ * inapplicable patches, 409 when a "test" operation fails
+ */
+export function applyPatch(document, patch, contentType) {
+  const mediaType = String(contentType ?? "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+
+  if (mediaType === PatchMediaTypes.MERGE_PATCH) {
+    if (!isPlainObject(patch)) {
+      throw invalidPatch("A merge patch must be a JSON object");
+    }
+    return applyMergePatch(document, patch);
+  }
+
+  if (mediaType === PatchMediaTypes.JSON_PATCH) {
+    if (!Array.isArray(patch)) {
+      throw invalidPatch("A JSON Patch must be an array of operations");
+    }
+    return applyJsonPatch(document, patch);
+  }
+
+  throw new ApiError({
+    message: `Unsupported patch format; use ${Object.values(
+      PatchMediaTypes
+    ).join(" or ")}`,
+    statusCode: 415,
+    errorCode: "UNSUPPORTED_MEDIA_TYPE",
+    details: { supported: Object.values(PatchMediaTypes) },
+  });
+}
+
+// -------------------- JSON Merge Patch --------------------
+/**
+ * RFC 7396 merge
+ * @param {*} target - Current value
+ * @param {*} patch - Merge patch
+ * @returns {*} Merged copy
+ */
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return structuredClone(patch);
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    assertSafeKey(key);
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+}
+
+// -------------------- JSON Patch --------------------
+/**
+ * RFC 6902 operations, applied to a copy of the document
+ * @param {*} document - Current document
+ * @param {Object[]} operations - JSON Patch operations
+ * @returns {*} Patched copy
+ */
+export function applyJsonPatch(document, operations) {
+  let result = structuredClone(document);
+
+  operations.forEach((operation, index) => {
+    const fail = (reason, statusCode = 400, errorCode = "INVALID_PATCH") => {
+      const where = isPlainObject(operation)
+        ? ` (${operation.op} ${operation.path})`
+        : "";
+      return new ApiError({
+        message: `Patch operation ${index}${where}: ${reason}`,
+        statusCode,
+        errorCode,
+        details: { operation: index, reason },
+      });
+    };
+
+    if (!isPlainObject(operation)) throw fail("must be an object");
+    const { op, path, from } = operation;
+    if (!OPERATIONS.includes(op)) {
+      throw fail(`"op" must be one of ${OPERATIONS.join(", ")}`);
+    }
+    if (typeof path !== "string") throw fail('"path" must be a string');
+    if (["add", "replace", "test"].includes(op) && !("value" in operation)) {
+      throw fail('"value" is required');
+    }
+    if (["move", "copy"].includes(op) && typeof from !== "string") {
+      throw fail('"from" must be a string');
+    }
+
+    const tokens = parsePointer(path, fail);
+
+    switch (op) {
+      case "add":
+        result = addValue(
+          result,
+          tokens,
+          structuredClone(operation.value),
+          fail
+        );
+        break;
+      case "remove":
+        result = removeValue(result, tokens, fail);
+        break;
+      case "replace":
+        getValue(result, tokens, fail);
+        result = removeValue(result, tokens, fail);
+        result = addValue(
+          result,
+          tokens,
+          structuredClone(operation.value),
+          fail
+        );
+        break;
+      case "move": {
+        const fromTokens = parsePointer(from, fail);
+        if (
+          fromTokens.length < tokens.length &&
+          fromTokens.every((token, i) => token === tokens[i])
+        ) {
+          throw fail('"from" cannot be moved into one of its own children');
+        }
+        const value = getValue(result, fromTokens, fail);
+        result = removeValue(result, fromTokens, fail);
+        result = addValue(result, tokens, value, fail);
+        break;
+      }
+      case "copy": {
+        const value = getValue(result, parsePointer(from, fail), fail);
+        result = addValue(result, tokens, structuredClone(value), fail);
+        break;
+      }
+      case "test":
+        if (!isDeepEqual(getValue(result, tokens, fail), operation.value)) {
+          throw fail(
+            "test failed, the value differs",
+            409,
+            "PATCH_TEST_FAILED"
+          );
+        }
+        break;
+    }
+  });
+
+  return result;
+}
+
+// -------------------- JSON Pointer --------------------
+// "/variants/0/attributes/a~1b" → ["variants", "0", "attributes", "a/b"]
+function parsePointer(pointer, fail) {
+  if (pointer === "") return [];
+  if (!pointer.startsWith("/")) {
+    throw fail(`"${pointer}" is not a JSON Pointer (it must start with "/")`);
+  }
+
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => {
+      const key = token.replace(/~1/g, "/").replace(/~0/g, "~");
+      assertSafeKey(key);
+      return key;
+    });
+}
+
+// Container holding the last token of a path
+function parentOf(document, tokens, fail) {
+  return getValue(document, tokens.slice(0, -1), fail);
+}
+
+function getValue(document, tokens, fail) {
+  let value = document;
+  for (const token of tokens) {
+    if (
+      Array.isArray(value) &&
+      ARRAY_INDEX.test(token) &&
+      Number(token) < value.length
+    ) {
+      value = value[Number(token)];
+    } else if (isPlainObject(value) && Object.hasOwn(value, token)) {
+      value = value[token];
+    } else {
+      throw fail("path does not exist");
+    }
+  }
+
+  return value;
+}
+
+function addValue(document, tokens, value, fail) {
+  if (tokens.length === 0) return value;
+
+  const parent = parentOf(document, tokens, fail);
+  const key = tokens.at(-1);
+  if (Array.isArray(parent)) {
+    const index = key === "-" ? parent.length : arrayIndex(key, fail);
+    if (index > parent.length) throw fail("array index is out of bounds");
+    parent.splice(index, 0, value);
+  } else if (isPlainObject(parent)) {
+    parent[key] = value;
+  } else {
+    throw fail("parent of the path is not an object or array");
+  }
+
+  return document;
+}
+
+function removeValue(document, tokens, fail) {
+  if (tokens.length === 0) return undefined;
+
+  getValue(document, tokens, fail);
+  const parent = parentOf(document, tokens, fail);
+  const key = tokens.at(-1);
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+
+  return document;
+}
+
+function arrayIndex(token, fail) {
+  if (!ARRAY_INDEX.test(token)) throw fail(`"${token}" is not an array index`);
+  return Number(token);
+}
+
+// -------------------- Helpers --------------------
+// "__proto__" would replace an object's prototype instead of adding a field
+function assertSafeKey(key) {
+  if (key === "__proto__") {
+    throw invalidPatch('"__proto__" is not a valid field name');
+  }
+}
+
+function invalidPatch(message) {
+  return new ApiError({ message, statusCode: 400, errorCode: "INVALID_PATCH" });
+}
+
+// Structural equality of JSON values (object key order does not matter)
+function isDeepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    return (
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => isDeepEqual(item, b[i]))
+    );
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => Object.hasOwn(b, key) && isDeepEqual(a[key], b[key]))
+    );
+  }
+
+  return false;
+}
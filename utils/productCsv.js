@@ -0,0 +1,168 @@
+/**
+ * @file productCsv.js
+ * @description
+ * Maps products to and from the spreadsheet (CSV) layout used by bulk
+ * import and export.
+ *
+ * Every variant is one row. The first row of a product carries the product
+ * fields; following rows that leave `title` empty add more variants to the
+ * same product. Variant images are separated by "|". `avgRate` and
+ * `ratingCount` are exported for reference and ignored on import.
+ *
+ * On import, an empty cell leaves a field out (an update keeps its value),
+ * except for optional fields, which it clears. A file without any variant
+ * column leaves the variants of updated products as they are.
+ *
+ * Functions:
+ * - productToCsv(product) → CSV lines of one product (plain object)
+ * - csvRecordsToProducts(records) → [{ row, data, errors }] from parseCsv records
+ */
+
+import { toCsvLine } from "./csv.js";
+
+const PRODUCT_COLUMNS = [
+  "id",
+  "title",
+  "slug",
+  "description",
+  "price",
+  "discountPrice",
+  "mainImgSRC",
+  "category",
+  "subCategory",
+  "isFeatured",
+  "isHook",
+  "status",
+  "publishAt",
+  "unpublishAt",
+  "avgRate",
+  "ratingCount",
+];
+const VARIANT_COLUMNS = ["sku", "color", "size", "variantPrice", "stock", "images"];
+const IGNORED_COLUMNS = ["avgRate", "ratingCount"];
+// Optional fields an empty cell clears
+const CLEARABLE_COLUMNS = [
+  "discountPrice",
+  "isFeatured",
+  "isHook",
+  "publishAt",
+  "unpublishAt",
+];
+
+export const PRODUCT_CSV_COLUMNS = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS];
+
+const IMAGE_SEPARATOR = "|";
+
+// Dates are written as ISO 8601 so they read back unchanged
+const cellOf = (value) => (value instanceof Date ? value.toISOString() : value);
+
+function variantCells(variant = {}) {
+  return [
+    variant.sku,
+    variant.attributes?.color,
+    variant.attributes?.size,
+    variant.price,
+    variant.stock,
+    (variant.images ?? []).join(IMAGE_SEPARATOR),
+  ];
+}
+
+/**
+ * @param {Object} product - Plain product object
+ * @returns {string} One CSV line per variant
+ */
+export function productToCsv(product) {
+  const [first, ...others] = product.variants?.length ? product.variants : [{}];
+
+  return [
+    toCsvLine([
+      ...PRODUCT_COLUMNS.map((column) => cellOf(product[column])),
+      ...variantCells(first),
+    ]),
+    ...others.map((variant) =>
+      toCsvLine([
+        product.id,
+        ...PRODUCT_COLUMNS.slice(1).map(() => ""),
+        ...variantCells(variant),
+      ])
+    ),
+  ].join("");
+}
+
+// Cells are passed on as trimmed strings (Mongoose casts numbers and booleans);
+// empty cells are left out
+function pick(values, columns) {
+  const picked = {};
+  for (const column of columns) {
+    const cell = String(values[column] ?? "").trim();
+    if (cell !== "") picked[column] = cell;
+  }
+  return picked;
+}
+
+function toVariant(values) {
+  const cells = pick(values, VARIANT_COLUMNS);
+  const variant = { sku: cells.sku, attributes: {}, stock: cells.stock };
+
+  if (cells.color) variant.attributes.color = cells.color;
+  if (cells.size) variant.attributes.size = cells.size;
+  if (cells.variantPrice) variant.price = cells.variantPrice;
+  if (cells.images) {
+    variant.images = cells.images
+      .split(IMAGE_SEPARATOR)
+      .map((url) => url.trim())
+      .filter(Boolean);
+  }
+
+  return variant;
+}
+
+/**
+ * Group CSV records into products
+ * @param {{ line: number, values: Object }[]} records - Output of parseCsv
+ * @returns {{ row: number, data: Object, errors: string[] }[]} One entry per
+ * product, `row` being the line of its first record
+ */
+export function csvRecordsToProducts(records) {
+  const products = [];
+
+  for (const { line, values } of records) {
+    const cells = pick(values, PRODUCT_COLUMNS);
+    const hasVariantColumns = VARIANT_COLUMNS.some((column) => column in values);
+    const hasVariant = Object.keys(pick(values, VARIANT_COLUMNS)).length > 0;
+
+    if (cells.title) {
+      IGNORED_COLUMNS.forEach((column) => delete cells[column]);
+      CLEARABLE_COLUMNS.filter(
+        (column) => column in values && !(column in cells)
+      ).forEach((column) => {
+        cells[column] = null;
+      });
+      if (hasVariantColumns) {
+        cells.variants = hasVariant ? [toVariant(values)] : [];
+      }
+      products.push({ row: line, data: cells, errors: [] });
+      continue;
+    }
+
+    // A row without title adds a variant to the product above
+    const current = products[products.length - 1];
+    if (
+      !current ||
+      !hasVariantColumns ||
+      (cells.id && cells.id !== current.data.id)
+    ) {
+      products.push({
+        row: line,
+        data: {},
+        errors: [
+          `Line ${line}: a row without title must follow the product it adds a variant to`,
+        ],
+      });
+      continue;
+    }
+    current.data.variants.push(toVariant(values));
+  }
+
+  return products;
+}
@@ -0,0 +1,191 @@
+/**
+ * @file search.js
+ * @description
+ * Helpers for keyword search on top of MongoDB text indexes.
+ *
+ * MongoDB `$text` only matches whole (stemmed) words, so query terms are first
+ * expanded against a vocabulary of words that occur in the catalog:
+ * - prefix matching: "head" → "headphones", "headset"
+ * - typo tolerance: "keybaord" → "keyboard" (Damerau-Levenshtein distance,
+ *   1 edit for words of 4-7 letters, 2 edits from 8 letters)
+ *
+ * Functions:
+ * - tokenize(text) → lowercase word list
+ * - buildVocabulary(texts, vocabulary) → Set of distinct words
+ * - expandTerms(terms, vocabulary) → { [term]: matchingWords[] }
+ * - highlight(text, words, options) → HTML-escaped text with <mark> around matches
+ */
+
+// Words of fewer letters are too ambiguous to expand
+const MIN_EXPANSION_LENGTH = 3;
+// Upper bound of vocabulary words added per query term
+const MAX_EXPANSIONS_PER_TERM = 10;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into lowercase words (letters and digits only, so text index
+ * operators such as "-" or quotes in user input are never passed through)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text ?? "").toLowerCase().match(WORD_PATTERN) ?? [];
+}
+
+/**
+ * Collect the distinct words of some texts
+ * @param {string[]} texts
+ * @param {Set<string>} [vocabulary] - Set to add the words to
+ * @returns {Set<string>}
+ */
+export function buildVocabulary(texts, vocabulary = new Set()) {
+  for (const text of texts) {
+    for (const word of tokenize(text)) {
+      if (word.length >= 2) vocabulary.add(word);
+    }
+  }
+
+  return vocabulary;
+}
+
+// Optimal string alignment distance, stopping early once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      // Transposition of two adjacent letters counts as one edit
+      if (
+        previousPrevious &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function allowedEdits(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Find the vocabulary words each term may stand for
+ * @param {string[]} terms - Tokenized query
+ * @param {Set<string>} vocabulary - Words occurring in the catalog
+ * @returns {Object<string, string[]>} Term → matching words (the term itself first)
+ */
+export function expandTerms(terms, vocabulary) {
+  const expansions = {};
+
+  for (const term of new Set(terms)) {
+    const candidates = [];
+
+    if (term.length >= MIN_EXPANSION_LENGTH) {
+      const maxEdits = allowedEdits(term);
+      for (const word of vocabulary) {
+        if (word === term) continue;
+
+        if (word.startsWith(term)) {
+          candidates.push({ word, rank: 0, length: word.length });
+          continue;
+        }
+
+        const distance = editDistance(term, word, maxEdits);
+        if (distance <= maxEdits) {
+          candidates.push({ word, rank: distance, length: word.length });
+        }
+      }
+    }
+
+    // Closest and shortest candidates first
+    candidates.sort((a, b) => a.rank - b.rank || a.length - b.length);
+
+    expansions[term] = [
+      term,
+      ...candidates.slice(0, MAX_EXPANSIONS_PER_TERM).map((c) => c.word),
+    ];
+  }
+
+  return expansions;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Wrap every word of `text` that starts with one of `words` in <mark> tags.
+ * With `maxLength`, returns a snippet around the first match instead of the whole text.
+ * @param {string} text - Field value
+ * @param {string[]} words - Matched words (lowercase)
+ * @param {Object} [options] - { maxLength }
+ * @returns {string|null} HTML-safe highlighted text, or null if nothing matched
+ */
+export function highlight(text, words, { maxLength } = {}) {
+  if (!text || words.length === 0) return null;
+
+  const source = String(text);
+  const isMatch = (word) => {
+    const lower = word.toLowerCase();
+    return words.some((w) => lower.startsWith(w));
+  };
+
+  const matches = [...source.matchAll(WORD_PATTERN)].filter((m) =>
+    isMatch(m[0])
+  );
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = source.length;
+  if (maxLength && source.length > maxLength) {
+    start = Math.max(0, matches[0].index - Math.floor(maxLength / 4));
+    end = Math.min(source.length, start + maxLength);
+  }
+
+  let output = start > 0 ? "…" : "";
+  let cursor = start;
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < start || matchEnd > end) continue;
+
+    output += escapeHtml(source.slice(cursor, match.index));
+    output += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = matchEnd;
+  }
+  output += escapeHtml(source.slice(cursor, end));
+  if (end < source.length) output += "…";
+
+  return output;
+}
@@ -0,0 +1,53 @@
+/**
+ * @file slug.js
+ * @description
+ * Helpers for human-readable URL identifiers such as "wireless-keyboards".
+ *
+ * Functions:
+ * - slugify(text) → lowercase ASCII words joined by dashes
+ * - isSlug(value) → whether a value is already a valid slug
+ * - uniqueSlug(base, isTaken) → base, or base-2, base-3, ... when taken
+ */
+
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// Longer slugs are cut at a word boundary
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turn text into a slug ("Men's T-Shirts & Tops" → "mens-t-shirts-tops")
+ * @param {string} text
+ * @returns {string} Slug, or "" when the text has no letters or digits
+ */
+export function slugify(text) {
+  const slug = String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Drop accents: "é" → "e"
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  if (slug.length <= MAX_SLUG_LENGTH) return slug;
+  const cut = slug.slice(0, MAX_SLUG_LENGTH);
+  return cut.includes("-") ? cut.slice(0, cut.lastIndexOf("-")) : cut;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSlug(value) {
+  return typeof value === "string" && SLUG_PATTERN.test(value);
+}
+
+/**
+ * Find the first free variant of a slug
+ * @param {string} base - Preferred slug
+ * @param {(slug: string) => Promise<boolean>} isTaken - Whether a slug is already used
+ * @returns {Promise<string>}
+ */
+export async function uniqueSlug(base, isTaken) {
+  let slug = base;
+  for (let n = 2; await isTaken(slug); n += 1) slug = `${base}-${n}`;
+  return slug;
+}
@@ -0,0 +1,134 @@
+/**
+ * @file totp.js
+ * @description
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps),
+ * compatible with Google Authenticator, Authy, 1Password, etc.
+ *
+ * Functions:
+ * - generateSecret() → random base32 secret (160 bits)
+ * - generateCode(secret, step) → 6-digit code for a time step
+ * - verifyCode(secret, code, { window }) → matching time step, or null
+ * - buildOtpAuthUri({ secret, accountName, issuer }) → otpauth:// URI for QR codes
+ */
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// -------------------- Base32 (RFC 4648, no padding) --------------------
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// -------------------- Codes --------------------
+/**
+ * Current time step (number of 30 s periods since the Unix epoch)
+ * @param {number} [now] - Time in milliseconds
+ * @returns {number}
+ */
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP value (RFC 4226) of a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded 6-digit code
+ */
+export function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a code against the current step and its neighbours (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options] - { window: steps accepted on each side (default 1), now }
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+export function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+  const normalized = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = generateCode(secret, step + drift);
+    if (
+      crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))
+    ) {
+      return step + drift;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Key URI understood by authenticator apps (render it as a QR code)
+ * @see https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+export function buildOtpAuthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,45 @@
+/**
+ * @file userAgent.js
+ * @description
+ * Turns a User-Agent header into a short label such as "Chrome on Windows",
+ * good enough for users to recognise their own devices in a session list.
+ */
+
+// Order matters: Edge and Opera also claim to be Chrome, Chrome claims to be Safari
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+function match(list, userAgent) {
+  return list.find(([, pattern]) => pattern.test(userAgent))?.[0] ?? null;
+}
+
+/**
+ * Describe the device of a user agent
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string} e.g. "Firefox on Linux", "curl", "Unknown device"
+ */
+export function describeDevice(userAgent = "") {
+  if (!userAgent) return "Unknown device";
+
+  const browser = match(BROWSERS, userAgent);
+  const system = match(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} on ${system}`;
+  if (browser || system) return browser || system;
+
+  // Non-browser clients: "curl/8.4.0" → "curl"
+  return userAgent.split(/[\s/]/)[0].slice(0, 50);
+}
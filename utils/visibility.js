@@ -0,0 +1,62 @@
+/**
+ * @file visibility.js
+ * @description
+ * When customers can see a product, based on its publishing status and window.
+ *
+ * - draft: never.
+ * - scheduled / published: from `publishAt` (immediately when unset).
+ * - unlisted: like published, but only by direct link (GET /products/:id or
+ *   /products/slug/:slug), never in listings.
+ * - Every status: until `unpublishAt` (forever when unset).
+ *
+ * The query filter and the check below implement the same rule; keep them together.
+ */
+
+import { ProductStatus } from "../models/productModel.js";
+
+const LISTED_STATUSES = [ProductStatus.SCHEDULED, ProductStatus.PUBLISHED];
+
+/**
+ * MongoDB filter matching the products customers can see at a given time
+ * @param {Date} now - Current time
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnlisted=false] - Also match unlisted products
+ * @returns {Object} Filter, to be combined with `$and`
+ */
+export function visibleProductsFilter(now, { includeUnlisted = false } = {}) {
+  return {
+    status: {
+      $in: includeUnlisted
+        ? [...LISTED_STATUSES, ProductStatus.UNLISTED]
+        : LISTED_STATUSES,
+    },
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+    ],
+  };
+}
+
+/**
+ * Whether customers can see a product at a given time
+ * @param {Object} product - Product document or plain object
+ * @param {Date} now - Current time
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnlisted=false] - Count unlisted products as visible
+ * @returns {boolean}
+ */
+export function isProductVisible(
+  product,
+  now,
+  { includeUnlisted = false } = {}
+) {
+  const statuses = includeUnlisted
+    ? [...LISTED_STATUSES, ProductStatus.UNLISTED]
+    : LISTED_STATUSES;
+
+  return (
+    statuses.includes(product.status) &&
+    (!product.publishAt || product.publishAt <= now) &&
+    (!product.unpublishAt || product.unpublishAt > now)
+  );
+}
@@ -1,3 +1,5 @@
+import ApiError from "../utils/ApiError.js";
+
 export const validateEmail = (email) => {
   if (!email) {
     throw new ApiError({
@@ -14,3 +16,13 @@ export const validateEmail = (email) => {
     });
   }
 };
+
+export const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < 6) {
+    throw new ApiError({
+      message: "Password must be at least 6 characters",
+      statusCode: 400,
+      errorCode: "INVALID_PASSWORD",
+    });
+  }
+};